@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseBatchInput, runBatch } = require('../lib/batch');
+const { fetchLandingPage } = require('../lib/page-fetcher');
+const { parseThreshold } = require('../lib/scoring');
+const { getRuleSetVersion } = require('../lib/engine');
+const { version } = require('../package.json');
+
+// adcheck: check ad copy files from the command line or CI
+//
+//   adcheck lint ads/*.yaml --platform google --fail-on critical
+//
+// Files hold one ad, a list of ads or { ads: [...] } in YAML or JSON, with
+// the same fields as the batch endpoint (id, headline, adText, description,
+// landingUrl, displayUrl, platform, jurisdiction) plus optional adFields and
+// an `image` path. Landing pages are only fetched with --fetch, so by
+// default nothing leaves the machine.
+//
+// Exit codes: 0 when nothing reaches --fail-on, 1 when something does, 2 on
+// usage or input errors.
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const FAIL_ON = SEVERITIES.concat('warning', 'none');
+const FORMATS = ['human', 'json'];
+const PLATFORMS = ['meta', 'google', 'both'];
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+const USAGE = `Usage: adcheck lint <files...> [options]
+
+Checks ad copy files (YAML or JSON) against the compliance rules.
+
+Options:
+  --platform <meta|google|both>   Platform to check against (default: both)
+  --jurisdiction <ids>            Jurisdiction packs, comma-separated (default: us)
+  --fail-on <level>               critical, high, medium, low, warning or none
+                                  (default: low, i.e. any violation)
+  --format <human|json>           Output format (default: human)
+  --threshold <0-100>             Approval threshold overriding the scoring config
+  --fetch                         Fetch landing pages (off by default: offline)
+  -h, --help                      Show this help
+  -v, --version                   Show the version and rule set version
+`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = { files: [], platform: 'both', jurisdiction: '', failOn: 'low', format: 'human', fetch: false };
+    const takeValue = (i, name) => {
+        if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) throw new UsageError(`${name} needs a value`);
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg, undefined];
+        const value = name => {
+            if (inline !== undefined) return inline;
+            return takeValue(i++, name);
+        };
+
+        if (flag === '-h' || flag === '--help') options.help = true;
+        else if (flag === '-v' || flag === '--version') options.version = true;
+        else if (flag === '--platform') options.platform = value(flag).toLowerCase();
+        else if (flag === '--jurisdiction') options.jurisdiction = value(flag);
+        else if (flag === '--fail-on') options.failOn = value(flag).toLowerCase();
+        else if (flag === '--format') options.format = value(flag).toLowerCase();
+        else if (flag === '--threshold') options.threshold = value(flag);
+        else if (flag === '--fetch') options.fetch = true;
+        else if (flag === '--json') options.format = 'json';
+        else if (flag.startsWith('-')) throw new UsageError(`Unknown option ${flag}`);
+        else if (!options.command) options.command = arg;
+        else options.files.push(arg);
+    }
+
+    if (!PLATFORMS.includes(options.platform)) throw new UsageError(`--platform must be one of ${PLATFORMS.join(', ')}`);
+    if (!FAIL_ON.includes(options.failOn)) throw new UsageError(`--fail-on must be one of ${FAIL_ON.join(', ')}`);
+    if (!FORMATS.includes(options.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    try {
+        options.threshold = parseThreshold(options.threshold);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    return options;
+}
+
+// Minimal glob support for shells that don't expand patterns (and quoted
+// patterns in CI configs): `*` and `?` within a path segment, `**` for any
+// number of directories.
+function segmentPattern(segment) {
+    const source = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+    return new RegExp(`^${source}$`);
+}
+
+function expandGlob(pattern) {
+    if (!/[*?]/.test(pattern)) return [pattern];
+
+    const absolute = path.isAbsolute(pattern);
+    const segments = pattern.split(/[\\/]+/).filter(Boolean);
+    let bases = [absolute ? path.parse(process.cwd()).root : '.'];
+
+    segments.forEach((segment, index) => {
+        const last = index === segments.length - 1;
+        const next = [];
+        bases.forEach(base => {
+            if (segment === '**') {
+                const walk = dir => {
+                    next.push(dir);
+                    readDir(dir).filter(e => e.isDirectory() && e.name !== 'node_modules' && !e.name.startsWith('.'))
+                        .forEach(e => walk(path.join(dir, e.name)));
+                };
+                walk(base);
+            } else if (!/[*?]/.test(segment)) {
+                next.push(path.join(base, segment));
+            } else {
+                const matcher = segmentPattern(segment);
+                readDir(base)
+                    .filter(e => matcher.test(e.name) && (last ? e.isFile() : e.isDirectory()))
+                    .forEach(e => next.push(path.join(base, e.name)));
+            }
+        });
+        bases = next;
+    });
+
+    return bases.filter(file => fs.existsSync(file) && fs.statSync(file).isFile()).sort();
+}
+
+function readDir(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+}
+
+// Ads in one file, as batch records. YAML files may hold several documents.
+function readAdFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const docs = /\.json$/i.test(file)
+        ? [JSON.parse(content)]
+        : YAML.parseAllDocuments(content).map(doc => {
+            if (doc.errors.length > 0) throw doc.errors[0];
+            return doc.toJSON();
+        });
+
+    return docs
+        .filter(doc => doc !== null && doc !== undefined)
+        .reduce((ads, doc) => ads.concat(Array.isArray(doc) ? doc : Array.isArray(doc.ads) ? doc.ads : [doc]), [])
+        .map(ad => withImage(ad, path.dirname(file)));
+}
+
+// `image: banner.png` (relative to the ad file) becomes imageInfo with the
+// file's bytes, so the image rules measure it like an upload.
+function withImage(ad, dir) {
+    if (!ad || typeof ad !== 'object' || typeof ad.image !== 'string') return ad;
+
+    const file = path.resolve(dir, ad.image);
+    const data = fs.readFileSync(file);
+    return Object.assign({}, ad, {
+        imageInfo: {
+            name: path.basename(file),
+            size: data.length,
+            type: IMAGE_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            data: data.toString('base64')
+        }
+    });
+}
+
+function failingFindings(results, failOn) {
+    if (failOn === 'none') return [];
+    if (failOn === 'warning') return results.violations.concat(results.warnings);
+    const limit = SEVERITIES.indexOf(failOn);
+    return results.violations.filter(f => SEVERITIES.indexOf(f.severity) <= limit);
+}
+
+function plainTitle(title) {
+    return String(title || '').replace(/^[\p{Extended_Pictographic}\uFE0F\s]+/u, '');
+}
+
+function summarizeAd(file, row, failOn) {
+    const { results } = row;
+    const findings = results.violations.map(f => Object.assign({ type: 'violation' }, f))
+        .concat(results.warnings.map(f => Object.assign({ type: 'warning' }, f)));
+
+    return {
+        file,
+        id: row.id,
+        platform: row.platform,
+        jurisdictions: results.jurisdictions,
+        language: results.languages && results.languages.adText ? results.languages.adText.code : null,
+        score: results.score,
+        subScores: results.subScores,
+        approved: results.approved,
+        failed: failingFindings(results, failOn).length > 0,
+        findings: findings.map(f => ({
+            type: f.type,
+            ruleId: f.ruleId,
+            severity: f.severity,
+            title: plainTitle(f.title),
+            description: f.description,
+            policy: f.policy || null,
+            language: f.language || null,
+            matches: (f.matches || []).map(m => ({ match: m.match, start: m.start, end: m.end }))
+        })),
+        notices: (results.notices || []).map(n => plainTitle(n.title))
+    };
+}
+
+function printHuman(report) {
+    const lines = [];
+    let currentFile = null;
+
+    report.ads.forEach(ad => {
+        if (ad.file !== currentFile) {
+            currentFile = ad.file;
+            lines.push('', ad.file);
+        }
+        lines.push(`  ${ad.id} (${ad.platform}${ad.language ? `, ${ad.language}` : ''}) score ${ad.score} ${ad.approved ? 'approved' : 'NOT APPROVED'}${ad.failed ? '  [fails --fail-on]' : ''}`);
+        ad.findings.forEach(f => {
+            const marker = f.type === 'violation' ? 'x' : '!';
+            lines.push(`    ${marker} ${f.severity.padEnd(8)} ${f.ruleId}: ${f.title}${f.policy ? ` [${f.policy}]` : ''}`);
+            lines.push(`      ${f.description}`);
+            f.matches.forEach(m => lines.push(`      at ${m.start}-${m.end}: "${m.match}"`));
+        });
+    });
+
+    report.errors.forEach(e => lines.push('', `${e.file}: ${e.error}`));
+
+    const s = report.summary;
+    lines.push('', `${s.ads} ad(s) in ${s.files} file(s): ${s.approved} approved, ${s.ads - s.approved} not approved; ` +
+        `${s.violations} violation(s) (${s.criticalViolations} critical), ${s.warnings} warning(s). ` +
+        `Rule set ${report.ruleSetVersion}${report.fetch ? '' : ', landing pages not fetched'}.`);
+    if (s.failed > 0) lines.push(`${s.failed} ad(s) have findings at or above --fail-on ${report.failOn}.`);
+
+    process.stdout.write(`${lines.join('\n').replace(/^\n/, '')}\n`);
+}
+
+async function lint(options) {
+    const files = Array.from(new Set(options.files.reduce((all, pattern) => all.concat(expandGlob(pattern)), [])));
+    if (files.length === 0) throw new UsageError('No ad files matched');
+
+    const ads = [];
+    const errors = [];
+
+    for (const file of files) {
+        try {
+            const rows = parseBatchInput(readAdFile(file), options.platform, options.jurisdiction);
+            const batch = await runBatch(rows, {
+                fetchPage: options.fetch ? fetchLandingPage : null,
+                approvalThreshold: options.threshold
+            });
+            batch.rows.forEach(row => ads.push(summarizeAd(file, row, options.failOn)));
+        } catch (error) {
+            errors.push({ file, error: error.message.split('\n')[0] });
+        }
+    }
+
+    const report = {
+        ruleSetVersion: getRuleSetVersion(),
+        failOn: options.failOn,
+        fetch: options.fetch,
+        ads,
+        errors,
+        summary: {
+            files: files.length,
+            ads: ads.length,
+            approved: ads.filter(ad => ad.approved).length,
+            failed: ads.filter(ad => ad.failed).length,
+            violations: ads.reduce((sum, ad) => sum + ad.findings.filter(f => f.type === 'violation').length, 0),
+            criticalViolations: ads.reduce((sum, ad) => sum + ad.findings.filter(f => f.type === 'violation' && f.severity === 'critical').length, 0),
+            warnings: ads.reduce((sum, ad) => sum + ad.findings.filter(f => f.type === 'warning').length, 0)
+        }
+    };
+
+    if (options.format === 'json') {
+        process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    } else {
+        printHuman(report);
+    }
+
+    if (errors.length > 0) return 2;
+    return report.summary.failed > 0 ? 1 : 0;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`adcheck: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.version) {
+        process.stdout.write(`adcheck ${version} (rule set ${getRuleSetVersion()})\n`);
+        return 0;
+    }
+    if (options.help || !options.command) {
+        process.stdout.write(USAGE);
+        return options.help ? 0 : 2;
+    }
+    if (options.command !== 'lint') {
+        process.stderr.write(`adcheck: unknown command "${options.command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        return await lint(options);
+    } catch (error) {
+        process.stderr.write(`adcheck: ${error.message}\n`);
+        return 2;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
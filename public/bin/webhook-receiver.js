@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+const http = require('http');
+const { SIGNATURE_HEADER, verifySignature } = require('../lib/webhooks');
+
+// Stub webhook receiver for trying the /api/v1 job callbacks locally
+//
+//   WEBHOOK_SECRET=... node bin/webhook-receiver.js --port 4100
+//
+// Verifies each delivery's signature and prints one JSON line per delivery
+// (event, job id, status, decision, whether the signature was valid).
+// --fail <n> answers 500 to the first n deliveries to exercise retries. The
+// server has to be started with ALLOW_PRIVATE_NETWORK=true to call a
+// receiver on localhost.
+
+const USAGE = `Usage: webhook-receiver [options]
+
+Options:
+  --port <n>       Port to listen on (default: 4100)
+  --secret <s>     Signing secret (default: WEBHOOK_SECRET)
+  --fail <n>       Answer 500 to the first n deliveries (default: 0)
+  -h, --help       Show this help
+`;
+
+function parseArgs(argv) {
+    const options = { port: 4100, secret: process.env.WEBHOOK_SECRET || '', fail: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].includes('=') ? argv[i].split(/=(.*)/s) : [argv[i], undefined];
+        const value = () => (inline !== undefined ? inline : argv[++i]);
+
+        if (flag === '-h' || flag === '--help') options.help = true;
+        else if (flag === '--port') options.port = parseInt(value(), 10);
+        else if (flag === '--secret') options.secret = value();
+        else if (flag === '--fail') options.fail = parseInt(value(), 10) || 0;
+        else throw new Error(`Unknown option ${flag}`);
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!options.secret) {
+        process.stderr.write('A signing secret is required (--secret or WEBHOOK_SECRET)\n');
+        process.exit(2);
+    }
+
+    let received = 0;
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const valid = verifySignature(body, req.headers[SIGNATURE_HEADER.toLowerCase()], options.secret);
+            received++;
+
+            let payload = null;
+            try {
+                payload = JSON.parse(body);
+            } catch (e) {
+                // Reported below as an unparseable delivery
+            }
+            const job = payload && payload.data && payload.data.job;
+            process.stdout.write(`${JSON.stringify({
+                delivery: req.headers['x-adcheck-delivery'] || null,
+                event: payload ? payload.event : null,
+                job: job ? job.id : null,
+                status: job ? job.status : null,
+                decision: job && job.result ? job.result.decision : null,
+                signatureValid: valid
+            })}\n`);
+
+            if (!valid) {
+                res.writeHead(401, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Invalid signature' }));
+            }
+            if (received <= options.fail) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Failing on purpose (--fail)' }));
+            }
+            res.writeHead(204);
+            res.end();
+        });
+    });
+
+    server.listen(options.port, () => {
+        process.stderr.write(`Webhook receiver listening on http://localhost:${options.port}/\n`);
+    });
+}
+
+main();
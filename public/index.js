@@ -0,0 +1,41 @@
+// Programmatic entry point
+//
+// Everything the server and the adcheck CLI use, without starting either.
+// Nothing here touches the network unless a landing page is fetched with
+// fetchLandingPage (or runBatch with its default fetcher).
+
+const { analyzeAdText, analyzeAdFields, analyzeLandingPage, analyzeImage, checkCompliance } = require('./lib/compliance');
+const { createResults, getRules, getRuleSetVersion } = require('./lib/engine');
+const { parseBatchInput, runBatch } = require('./lib/batch');
+const { fetchLandingPage } = require('./lib/page-fetcher');
+const { resolveJurisdictions, listJurisdictions } = require('./lib/jurisdictions');
+const { detectLanguage } = require('./lib/language');
+const { listLanguages } = require('./lib/languages');
+const { scoreResults } = require('./lib/scoring');
+const { buildReport, renderReport } = require('./lib/report');
+const { toV1Result } = require('./lib/api-v1');
+const { signPayload, verifySignature } = require('./lib/webhooks');
+
+module.exports = {
+    analyzeAdText,
+    analyzeAdFields,
+    analyzeLandingPage,
+    analyzeImage,
+    checkCompliance,
+    createResults,
+    getRules,
+    getRuleSetVersion,
+    parseBatchInput,
+    runBatch,
+    fetchLandingPage,
+    resolveJurisdictions,
+    listJurisdictions,
+    detectLanguage,
+    listLanguages,
+    scoreResults,
+    buildReport,
+    renderReport,
+    toV1Result,
+    signPayload,
+    verifySignature
+};
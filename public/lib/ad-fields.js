@@ -0,0 +1,149 @@
+// Structured ad fields for Google responsive search ads and Meta ads
+//
+// Input shape (either platform may be omitted):
+//
+//   {
+//       google: { headlines: [...], descriptions: [...], path1, path2 },
+//       meta: { primaryText, headline, description, callToAction }
+//   }
+//
+// Every field is also exposed as { field, label, kind, value } so a finding
+// can point at exactly the asset that failed.
+
+// Google counts full-width (CJK) characters as two
+const WIDE_CHARACTER = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/u;
+const REPEATED_PUNCTUATION = /[!?]{2,}|([,*~])\1+/g;
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const GIMMICKY_SYMBOLS = /[\u2605\u2606\u2713\u2714\u2717\u2718\u260E\u261B\u261E\u27A4\u2794\u2192\u21D2\u2665\u2022\u25CF\u25C6\u25BA\u25B6]|\${2,}|[#@]{2,}|\b(?:[A-Za-z] ){3,}[A-Za-z]\b/g;
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split(/\r?\n/);
+    return [];
+}
+
+function clean(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function normalizeGoogle(google) {
+    if (!google || typeof google !== 'object') return null;
+
+    const fields = {
+        headlines: toList(google.headlines).map(clean).filter(Boolean),
+        descriptions: toList(google.descriptions).map(clean).filter(Boolean),
+        path1: clean(google.path1),
+        path2: clean(google.path2)
+    };
+
+    const hasContent = fields.headlines.length || fields.descriptions.length || fields.path1 || fields.path2;
+    return hasContent ? fields : null;
+}
+
+function normalizeMeta(meta) {
+    if (!meta || typeof meta !== 'object') return null;
+
+    const fields = {
+        primaryText: clean(meta.primaryText),
+        headline: clean(meta.headline),
+        description: clean(meta.description),
+        callToAction: clean(meta.callToAction)
+    };
+
+    const hasContent = fields.primaryText || fields.headline || fields.description || fields.callToAction;
+    return hasContent ? fields : null;
+}
+
+function normalizeAdFields(adFields) {
+    if (!adFields || typeof adFields !== 'object') return null;
+
+    const google = normalizeGoogle(adFields.google);
+    const meta = normalizeMeta(adFields.meta);
+    return google || meta ? { google, meta } : null;
+}
+
+function googleAssets(google) {
+    return [].concat(
+        google.headlines.map((value, i) => ({
+            field: `google.headlines[${i}]`, label: `Headline ${i + 1}`, kind: 'headline', value
+        })),
+        google.descriptions.map((value, i) => ({
+            field: `google.descriptions[${i}]`, label: `Description ${i + 1}`, kind: 'description', value
+        })),
+        ['path1', 'path2'].filter(key => google[key]).map(key => ({
+            field: `google.${key}`, label: `Display path ${key.slice(-1)}`, kind: 'path', value: google[key]
+        }))
+    );
+}
+
+function metaFields(meta) {
+    return [
+        ['primaryText', 'Primary text'],
+        ['headline', 'Headline'],
+        ['description', 'Description']
+    ]
+        .filter(([key]) => meta[key])
+        .map(([key, label]) => ({ field: `meta.${key}`, label, kind: key, value: meta[key] }));
+}
+
+// All copy from the structured fields, for the text rules to read when no
+// free-form ad text was submitted.
+function adFieldsText(fields) {
+    const parts = [];
+    if (fields.google) parts.push(...googleAssets(fields.google).filter(a => a.kind !== 'path').map(a => a.value));
+    if (fields.meta) parts.push(...metaFields(fields.meta).map(f => f.value));
+    return parts.join('\n');
+}
+
+function googleLength(value) {
+    return Array.from(value).reduce((length, char) => length + (WIDE_CHARACTER.test(char) ? 2 : 1), 0);
+}
+
+function charLength(value) {
+    return Array.from(value).length;
+}
+
+function unique(values) {
+    return Array.from(new Set(values));
+}
+
+// Lists punctuation and symbol problems in one field value.
+function punctuationIssues(value, { allowEmoji = true, allowExclamation = true } = {}) {
+    const issues = [];
+
+    const repeated = value.match(REPEATED_PUNCTUATION);
+    if (repeated) issues.push(`repeated punctuation "${unique(repeated).join('", "')}"`);
+
+    if (!allowExclamation && !repeated && value.includes('!')) {
+        issues.push('exclamation mark');
+    }
+
+    const emoji = value.match(EMOJI);
+    if (!allowEmoji && emoji) issues.push(`emoji ${unique(emoji).join(' ')}`);
+
+    const symbols = value.match(GIMMICKY_SYMBOLS);
+    if (symbols) issues.push(`gimmicky symbols "${unique(symbols).join('", "')}"`);
+
+    return issues;
+}
+
+// Case and trailing punctuation do not make an asset unique.
+function assetKey(value) {
+    return value.toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?,]+$/, '');
+}
+
+function normalizeCallToAction(value) {
+    return value.trim().toUpperCase().replace(/[\s-]+/g, '_');
+}
+
+module.exports = {
+    normalizeAdFields,
+    googleAssets,
+    metaFields,
+    adFieldsText,
+    googleLength,
+    charLength,
+    punctuationIssues,
+    assetKey,
+    normalizeCallToAction
+};
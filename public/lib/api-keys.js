@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+// API keys for the versioned API and for reviewers
+//
+// Keys come from API_KEYS, a comma-separated list of `name:key` pairs (a bare
+// key is named after its position). The name identifies the client in stored
+// jobs, so a client only sees its own. Clients send the key as
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+//
+// Reviewers (who waive findings and approve or reject submissions) have keys
+// of their own in REVIEWER_KEYS, in the same format; the name is recorded as
+// the reviewer.
+//
+// Without configured keys the versioned API and the reviewer actions answer
+// 503 rather than running unauthenticated.
+
+const MIN_KEY_LENGTH = 16;
+
+const keyrings = {};
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function parseApiKeys(value) {
+    return String(value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry, i) => {
+            const separator = entry.indexOf(':');
+            const name = separator > 0 ? entry.slice(0, separator).trim() : `client-${i + 1}`;
+            const key = separator > 0 ? entry.slice(separator + 1).trim() : entry;
+            if (key.length < MIN_KEY_LENGTH) {
+                throw new Error(`API key for "${name}" must be at least ${MIN_KEY_LENGTH} characters`);
+            }
+            return { name, digest: digest(key) };
+        });
+}
+
+function getClients(variable = 'API_KEYS') {
+    if (!keyrings[variable]) keyrings[variable] = parseApiKeys(process.env[variable]);
+    return keyrings[variable];
+}
+
+// Whether any keys are configured. Called at startup so a malformed API_KEYS
+// or REVIEWER_KEYS stops the server instead of failing every request.
+function apiKeysConfigured() {
+    return getClients().length > 0;
+}
+
+function reviewerKeysConfigured() {
+    return getClients('REVIEWER_KEYS').length > 0;
+}
+
+function keyFrom(req) {
+    const header = req.get('authorization') || '';
+    const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+    return bearer ? bearer[1] : req.get('x-api-key') || null;
+}
+
+// The client a key belongs to, or null. Digests are compared in constant
+// time so response timing does not reveal how much of a key was right.
+function findClient(key, variable = 'API_KEYS') {
+    if (!key) return null;
+    const presented = digest(key);
+    const client = getClients(variable).find(c => crypto.timingSafeEqual(c.digest, presented));
+    return client ? { name: client.name } : null;
+}
+
+function unauthorized(res, error) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error, code: 'UNAUTHORIZED' });
+}
+
+// Express middleware: sets req.apiClient ({ name }) or answers 401/503
+function requireApiKey(req, res, next) {
+    if (!apiKeysConfigured()) {
+        return res.status(503).json({ error: 'The API is not enabled: no API keys are configured', code: 'API_KEYS_NOT_CONFIGURED' });
+    }
+
+    const client = findClient(keyFrom(req));
+    if (!client) return unauthorized(res, 'A valid API key is required');
+
+    req.apiClient = client;
+    next();
+}
+
+// Express middleware: sets req.reviewer ({ name }) or answers 401/503
+function requireReviewer(req, res, next) {
+    if (!reviewerKeysConfigured()) {
+        return res.status(503).json({ error: 'Reviewer actions are not enabled: no reviewer keys are configured', code: 'REVIEWER_KEYS_NOT_CONFIGURED' });
+    }
+
+    const reviewer = findClient(keyFrom(req), 'REVIEWER_KEYS');
+    if (!reviewer) return unauthorized(res, 'A valid reviewer key is required');
+
+    req.reviewer = reviewer;
+    next();
+}
+
+// Express middleware for open routes that do more for reviewers: sets
+// req.reviewer to the reviewer a key belongs to, or null when no key is sent;
+// a key that is sent but wrong answers 401
+function identifyReviewer(req, res, next) {
+    req.reviewer = null;
+    const key = keyFrom(req);
+    if (!key) return next();
+
+    const reviewer = reviewerKeysConfigured() ? findClient(key, 'REVIEWER_KEYS') : null;
+    if (!reviewer) return unauthorized(res, 'A valid reviewer key is required');
+
+    req.reviewer = reviewer;
+    next();
+}
+
+module.exports = {
+    parseApiKeys,
+    apiKeysConfigured,
+    reviewerKeysConfigured,
+    findClient,
+    requireApiKey,
+    requireReviewer,
+    identifyReviewer
+};
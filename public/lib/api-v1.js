@@ -0,0 +1,243 @@
+const express = require('express');
+const { getRules } = require('./engine');
+const { checkCompliance } = require('./compliance');
+const { measureImage } = require('./image-analysis');
+const { checkInput, recordCheck, getCheck, getLatestCheck } = require('./history');
+const { fetchLandingPage } = require('./page-fetcher');
+const { resolveJurisdictions } = require('./jurisdictions');
+const { parseThreshold } = require('./scoring');
+const { parseFetchableUrl } = require('./url-guard');
+const { apiKeysConfigured, requireApiKey } = require('./api-keys');
+const { submitJob, getJob, startJobs, describeJob } = require('./jobs');
+const { webhookSecret } = require('./webhooks');
+const { activeWaivers } = require('./waivers');
+const { SCHEMAS, validateBody } = require('./validation');
+
+// Versioned API (/api/v1)
+//
+// The contract for publishing pipelines that gate ads on a check. Every
+// request needs an API key (lib/api-keys.js). Findings are identified by
+// stable rule codes (FAIR_HOUSING_LANGUAGE for the rule
+// fair-housing-language), never by their display titles, and every error is
+// { error, code }.
+//
+//   GET  /rules        rule codes with target, severity and citation
+//   POST /checks       runs a check and answers with the result
+//   GET  /checks/:id   a stored check's result (the client's own checks only)
+//   POST /jobs         queues a check, 202 with the job; a callbackUrl gets
+//                      a signed webhook when it finishes
+//   GET  /jobs/:id     job status, and the result once completed
+//
+// A check's landing page is fetched unless its content is supplied
+// (`landingPageContent`); `fetch` ({ mode, crawl }) sets how.
+
+class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function ruleCode(ruleId) {
+    return ruleId.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function plainTitle(title) {
+    return String(title || '').replace(/^[\p{Extended_Pictographic}\uFE0F\s]+/u, '');
+}
+
+function toFinding(type, finding) {
+    return {
+        code: ruleCode(finding.ruleId),
+        ruleId: finding.ruleId,
+        type,
+        severity: finding.severity,
+        title: plainTitle(finding.title),
+        message: finding.description,
+        policy: finding.policy || null,
+        language: finding.language || null,
+        scoreImpact: typeof finding.scoreImpact === 'number' ? finding.scoreImpact : null,
+        matches: (finding.matches || []).map(m => ({ text: m.match, start: m.start, end: m.end }))
+    };
+}
+
+// Compliance results in the versioned shape
+function toV1Result(results) {
+    const languages = results.languages || {};
+    return {
+        checkId: results.checkId || null,
+        submissionId: results.submissionId || null,
+        version: results.version || null,
+        decision: results.approved ? 'approved' : 'rejected',
+        approved: results.approved,
+        score: results.score,
+        threshold: results.scoring ? results.scoring.threshold : null,
+        subScores: Object.keys(results.subScores || {}).reduce((all, id) => {
+            all[id] = results.subScores[id].score;
+            return all;
+        }, {}),
+        ruleSetVersion: results.ruleSetVersion,
+        platform: results.platform,
+        jurisdictions: results.jurisdictions,
+        languages: {
+            adText: languages.adText ? languages.adText.code : null,
+            landingPage: languages.landingPage ? languages.landingPage.code : null
+        },
+        summary: {
+            totalChecks: results.totalChecks,
+            passedChecks: results.passedChecks,
+            criticalViolations: results.criticalViolations,
+            violations: results.violations.length,
+            warnings: results.warnings.length
+        },
+        findings: results.violations.map(f => toFinding('violation', f))
+            .concat(results.warnings.map(f => toFinding('warning', f))),
+        waived: (results.waived || []).map(f => Object.assign(toFinding(f.type, f), {
+            waiver: { id: f.waiver.id, reason: f.waiver.reason, waivedBy: f.waiver.waivedBy, expiresAt: f.waiver.expiresAt }
+        })),
+        reviewState: results.reviewState || null,
+        notices: (results.notices || []).map(n => ({ code: ruleCode(n.ruleId), ruleId: n.ruleId, title: plainTitle(n.title), message: n.description })),
+        rules: results.rules.map(r => ({ code: ruleCode(r.id), ruleId: r.id, target: r.target, status: r.status, severity: r.severity })),
+        rewrittenAdText: results.rewrittenAdText || null,
+        rewriteFindings: (results.rewriteFindings || []).map(f => toFinding(f.type, f))
+    };
+}
+
+// Rejects input the check would fail on, before anything is queued
+function assertCheckable(check) {
+    try {
+        resolveJurisdictions(check.jurisdiction);
+        parseThreshold(check.approvalThreshold);
+        if (check.landingPage && !check.landingPageContent) parseFetchableUrl(check.landingPage);
+    } catch (error) {
+        throw new ApiError(400, error.code === 'ERR_UNSAFE_URL' ? 'URL_NOT_ALLOWED' : 'INVALID_REQUEST', error.message);
+    }
+    if (!check.adText && !check.adFields && !check.landingPage && !check.imageInfo) {
+        throw new ApiError(400, 'INVALID_REQUEST', 'Nothing to check: send adText, adFields, landingPage or imageInfo');
+    }
+}
+
+// Fetches the landing page when needed, checks, stores the check for
+// `client` and returns the versioned result. A new version can only be added
+// to one of the client's own submissions.
+async function runCheck(check, client) {
+    if (check.submissionId) {
+        const latest = await getLatestCheck(check.submissionId);
+        if (latest && latest.client !== client) throw new ApiError(404, 'NOT_FOUND', 'Submission not found');
+    }
+
+    let pageContent = check.landingPageContent || null;
+    if (check.landingPage && !pageContent) {
+        const fetchOptions = check.fetch || {};
+        pageContent = await fetchLandingPage(check.landingPage, { mode: fetchOptions.mode, crawl: fetchOptions.crawl });
+        if (pageContent.blocked) throw new ApiError(400, 'URL_NOT_ALLOWED', pageContent.message);
+    }
+
+    const waivers = await activeWaivers(check);
+    const imageAnalysis = await measureImage(check.imageInfo);
+    const results = checkCompliance(Object.assign({}, check, { landingPageContent: pageContent, waivers, imageAnalysis }));
+    await recordCheck(checkInput(check), pageContent, results, { submissionId: check.submissionId, client });
+    return toV1Result(results);
+}
+
+function sendError(res, error) {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error in API v1:', error);
+    res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+}
+
+// The /api/v1 router. `fetchLimit` is the rate limit for requests that
+// fetch pages; when API keys are configured the job queue starts working as
+// the router is created.
+function createApiV1Router({ fetchLimit = (req, res, next) => next() } = {}) {
+    const router = express.Router();
+    if (apiKeysConfigured()) {
+        startJobs((input, job) => runCheck(input, job.client)).catch(error => console.error('Error starting the job queue:', error));
+    } else {
+        console.warn('API_KEYS is not set: /api/v1 is disabled');
+    }
+    router.use(requireApiKey);
+
+    router.get('/rules', (req, res) => {
+        res.json(getRules().map(rule => ({
+            code: ruleCode(rule.id),
+            ruleId: rule.id,
+            target: rule.target,
+            platforms: rule.platforms || ['meta', 'google'],
+            jurisdictions: rule.jurisdictions || null,
+            severity: rule.severity,
+            policy: rule.policy || null
+        })));
+    });
+
+    router.post('/checks', fetchLimit, validateBody(SCHEMAS.v1Check), async (req, res) => {
+        try {
+            assertCheckable(req.body);
+            res.json(await runCheck(req.body, req.apiClient.name));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/checks/:id', async (req, res) => {
+        try {
+            const check = await getCheck(req.params.id, { client: req.apiClient.name });
+            if (!check) throw new ApiError(404, 'NOT_FOUND', 'Check not found');
+            res.json(toV1Result(Object.assign({}, check.results, {
+                checkId: check._id,
+                submissionId: check.submissionId,
+                version: check.version
+            })));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/jobs', fetchLimit, validateBody(SCHEMAS.v1Job), async (req, res) => {
+        try {
+            const { check, callbackUrl, reference } = req.body;
+            assertCheckable(check);
+            if (callbackUrl) {
+                if (!webhookSecret()) {
+                    throw new ApiError(400, 'WEBHOOKS_NOT_CONFIGURED', 'callbackUrl needs WEBHOOK_SECRET to be set on the server');
+                }
+                try {
+                    parseFetchableUrl(callbackUrl);
+                } catch (error) {
+                    throw new ApiError(400, 'URL_NOT_ALLOWED', error.message);
+                }
+            }
+
+            const job = await submitJob({ input: check, client: req.apiClient.name, callbackUrl, reference });
+            const location = `${req.baseUrl}/jobs/${job._id}`;
+            res.status(202).set('Location', location).json(Object.assign(describeJob(job), { statusUrl: location }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/jobs/:id', async (req, res) => {
+        try {
+            const job = await getJob(req.params.id);
+            if (!job || job.client !== req.apiClient.name) throw new ApiError(404, 'NOT_FOUND', 'Job not found');
+            res.json(describeJob(job));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.use((req, res) => {
+        res.status(404).json({ error: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`, code: 'NOT_FOUND' });
+    });
+
+    return router;
+}
+
+module.exports = {
+    ruleCode,
+    toV1Result,
+    createApiV1Router
+};
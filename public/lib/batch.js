@@ -0,0 +1,249 @@
+const { parseCsvRecords, toCsv } = require('./csv');
+const { checkCompliance } = require('./compliance');
+const { measureImage } = require('./image-analysis');
+const { fetchLandingPage } = require('./page-fetcher');
+const { mapWithConcurrency } = require('./concurrency');
+const { resolveJurisdictions } = require('./jurisdictions');
+
+// Batch campaign checking
+//
+// A batch is a preview of a whole campaign file: its rows are not stored in
+// the check history and do not enter the review workflow, since a file of up
+// to MAX_BATCH_ROWS ads would crowd the in-memory store with one-off rows.
+// Check an ad on its own to record it and send it for review. Reviewer
+// waivers do apply when a reviewer runs a batch that names an advertiser.
+
+const MAX_BATCH_ROWS = 1000;
+// Distinct landing pages one batch may fetch through the API. Each fetch can
+// render the page, weigh its resources and crawl linked pages, so a batch is
+// held to what a client could fetch in about a minute of single checks.
+const MAX_BATCH_URLS = 20;
+// Longest headline, ad text and description of one row together; rule
+// checks get slow on long text, and ads are far shorter
+const MAX_ROW_TEXT_LENGTH = 5000;
+// Rows are checked in chunks of about this many milliseconds, yielding to
+// the event loop between chunks so other requests are served while a large
+// batch runs
+const CHUNK_MS = 50;
+const DEFAULT_CONCURRENCY = 4;
+const PLATFORMS = ['meta', 'google', 'both'];
+
+// Header spellings accepted in uploads, keyed by their normalised form
+const FIELD_ALIASES = {
+    id: 'id',
+    adid: 'id',
+    name: 'id',
+    adtext: 'adText',
+    text: 'adText',
+    primarytext: 'adText',
+    headline: 'headline',
+    description: 'description',
+    landingurl: 'landingUrl',
+    landingpage: 'landingUrl',
+    url: 'landingUrl',
+    finalurl: 'landingUrl',
+    displayurl: 'displayUrl',
+    platform: 'platform',
+    jurisdiction: 'jurisdiction',
+    jurisdictions: 'jurisdiction'
+};
+
+function normalizeRow(raw, index, defaultPlatform, defaultJurisdiction) {
+    const row = {};
+    Object.keys(raw || {}).forEach(key => {
+        const field = FIELD_ALIASES[key.toLowerCase().replace(/[^a-z]/g, '')];
+        if (field && raw[key] !== undefined && raw[key] !== null) row[field] = String(raw[key]).trim();
+    });
+
+    const platform = (row.platform || '').toLowerCase();
+    const jurisdiction = row.jurisdiction || defaultJurisdiction;
+
+    try {
+        resolveJurisdictions(jurisdiction);
+    } catch (error) {
+        throw new Error(`Row ${index + 1}: ${error.message}`);
+    }
+
+    // Structured platform fields and image data pass through untouched
+    const adFields = raw && raw.adFields && typeof raw.adFields === 'object' ? raw.adFields : null;
+    const imageInfo = raw && raw.imageInfo && typeof raw.imageInfo === 'object' ? raw.imageInfo : null;
+
+    const textLength = ['headline', 'adText', 'description'].reduce((sum, field) => sum + (row[field] || '').length, 0);
+    if (textLength > MAX_ROW_TEXT_LENGTH) {
+        throw new Error(`Row ${index + 1}: headline, ad text and description are limited to ${MAX_ROW_TEXT_LENGTH} characters together`);
+    }
+
+    return {
+        row: index + 1,
+        id: row.id || String(index + 1),
+        platform: PLATFORMS.includes(platform) ? platform : defaultPlatform,
+        jurisdiction,
+        headline: row.headline || '',
+        adText: row.adText || '',
+        description: row.description || '',
+        landingUrl: row.landingUrl || '',
+        displayUrl: row.displayUrl || '',
+        adFields,
+        imageInfo
+    };
+}
+
+// Accepts either { ads: [...] } / a bare array, or { csv: '...' } / a CSV
+// string, and returns normalised rows.
+function parseBatchInput(body, defaultPlatform = 'both', defaultJurisdiction = '') {
+    let records;
+
+    if (typeof body === 'string') {
+        records = parseCsvRecords(body);
+    } else if (Array.isArray(body)) {
+        records = body;
+    } else if (body && typeof body.csv === 'string') {
+        records = parseCsvRecords(body.csv);
+    } else if (body && Array.isArray(body.ads)) {
+        records = body.ads;
+    } else {
+        throw new Error('Provide a JSON array of ads or CSV content');
+    }
+
+    if (records.length === 0) {
+        throw new Error('No ads found in upload');
+    }
+    if (records.length > MAX_BATCH_ROWS) {
+        throw new Error(`Batch is limited to ${MAX_BATCH_ROWS} ads (received ${records.length})`);
+    }
+
+    return records.map((record, i) => normalizeRow(record, i, defaultPlatform, defaultJurisdiction));
+}
+
+function isFetchable(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+// The distinct landing URLs runBatch would fetch for `rows`
+function landingUrls(rows) {
+    return Array.from(new Set(rows.map(row => row.landingUrl).filter(isFetchable)));
+}
+
+function combinedAdText(row) {
+    return [row.headline, row.adText, row.description].filter(Boolean).join('\n');
+}
+
+function summarize(rows, pagesFetched) {
+    const failingRules = {};
+    rows.forEach(row => {
+        row.results.violations.concat(row.results.warnings).forEach(finding => {
+            failingRules[finding.ruleId] = (failingRules[finding.ruleId] || 0) + 1;
+        });
+    });
+
+    const scores = rows.map(row => row.results.score);
+
+    return {
+        totalAds: rows.length,
+        approved: rows.filter(row => row.results.approved).length,
+        rejected: rows.filter(row => !row.results.approved).length,
+        averageScore: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0,
+        criticalViolations: rows.reduce((sum, row) => sum + row.results.criticalViolations, 0),
+        warnings: rows.reduce((sum, row) => sum + row.results.warnings.length, 0),
+        landingPagesFetched: pagesFetched,
+        topFindings: Object.keys(failingRules)
+            .map(ruleId => ({ ruleId, count: failingRules[ruleId] }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 10)
+    };
+}
+
+function checkRow(row, pages, images, approvalThreshold, waivers) {
+    const adText = combinedAdText(row);
+    return Object.assign({}, row, {
+        results: checkCompliance({
+            adText,
+            adFields: row.adFields,
+            imageInfo: row.imageInfo,
+            landingPage: row.landingUrl,
+            displayUrl: row.displayUrl,
+            platform: row.platform,
+            jurisdiction: row.jurisdiction,
+            landingPageContent: pages.get(row.landingUrl) || null,
+            imageAnalysis: images.get(row) || null,
+            approvalThreshold,
+            waivers
+        })
+    });
+}
+
+function nextTick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Runs the compliance check for every row. Each distinct landing URL is
+// fetched once, with at most `concurrency` fetches in flight, and each
+// distinct image measured once; pass `fetchPage: null` to check URLs without
+// fetching anything. `waivers` are the active waivers of the advertiser the
+// batch is for.
+async function runBatch(rows, { concurrency = DEFAULT_CONCURRENCY, fetchPage = fetchLandingPage, approvalThreshold, waivers } = {}) {
+    const pages = new Map();
+    const urls = fetchPage ? landingUrls(rows) : [];
+
+    await mapWithConcurrency(urls, concurrency, async url => {
+        pages.set(url, await fetchPage(url));
+    });
+
+    // Images are measured off the request thread, once per distinct image
+    const images = new Map();
+    await Promise.all(rows.filter(row => row.imageInfo).map(async row => {
+        images.set(row, await measureImage(row.imageInfo));
+    }));
+
+    const checked = [];
+    let chunkStart = Date.now();
+    for (const row of rows) {
+        if (Date.now() - chunkStart >= CHUNK_MS) {
+            await nextTick();
+            chunkStart = Date.now();
+        }
+        checked.push(checkRow(row, pages, images, approvalThreshold, waivers));
+    }
+
+    return {
+        rows: checked,
+        summary: summarize(checked, urls.length)
+    };
+}
+
+const FINDINGS_CSV_HEADER = [
+    'row', 'id', 'platform', 'landing_url', 'score', 'approved',
+    'rule_id', 'type', 'severity', 'title', 'description', 'policy'
+];
+
+// One line per finding; rows without findings get a single "clean" line.
+function findingsToCsv(rows) {
+    const lines = [];
+    rows.forEach(row => {
+        const base = [row.row, row.id, row.platform, row.landingUrl, row.results.score, row.results.approved];
+        const findings = row.results.violations.map(f => ['violation', f])
+            .concat(row.results.warnings.map(f => ['warning', f]));
+
+        if (findings.length === 0) {
+            lines.push(base.concat(['', 'clean', '', '', '', '']));
+        }
+        findings.forEach(([type, f]) => {
+            lines.push(base.concat([f.ruleId, type, f.severity, f.title, f.description, f.policy || '']));
+        });
+    });
+    return toCsv(FINDINGS_CSV_HEADER, lines);
+}
+
+module.exports = {
+    MAX_BATCH_ROWS,
+    MAX_BATCH_URLS,
+    MAX_ROW_TEXT_LENGTH,
+    parseBatchInput,
+    landingUrls,
+    runBatch,
+    findingsToCsv
+};
@@ -0,0 +1,262 @@
+const { JURISDICTIONS } = require('./jurisdictions');
+const { DEFAULT_LANGUAGE, findPhrases, findTranslatedTerms } = require('./language');
+
+// Advertising claim extraction and evidence linking
+//
+// Claims are recognised by their shape rather than a word list: any "-est"
+// superlative or "#1", "-er than" comparatives, counted or time-boxed
+// scarcity, guaranteed returns and award mentions. Each claim is then looked
+// up on the landing page: a sentence that repeats the claim's keyword and
+// carries an award name, a source, a date or a unit count supports it, and a
+// footnote marker after the claim is supported by a disclaimer on the page.
+// Copy in other languages is matched against the `claims.<type>` phrase
+// lists in lib/languages, and their `claimEvidence.source` lists count as
+// cited sources.
+
+const SNIPPET_RADIUS = 30;
+const CLAUSE_BREAK = /[.;|!?\n](?:\s|$)|\n/;
+
+// Words ending in "-est" that are not superlatives, plus superlatives that
+// only describe position ("nearest metro") and make no claim
+const NOT_SUPERLATIVE = new Set([
+    'interest', 'invest', 'honest', 'dishonest', 'forest', 'west', 'midwest', 'guest', 'request', 'suggest',
+    'contest', 'protest', 'modest', 'harvest', 'chest', 'nest', 'rest', 'test', 'arrest', 'digest',
+    'quest', 'crest', 'vest', 'pest', 'zest', 'attest', 'earnest', 'manifest', 'infest', 'conquest',
+    'everest', 'budapest', 'bucharest', 'latest', 'nearest'
+]);
+const NOT_COMPARATIVE = new Set([
+    'other', 'others', 'rather', 'either', 'neither', 'whether', 'later', 'sooner', 'earlier',
+    'under', 'over', 'after', 'never', 'ever', 'per'
+]);
+
+const UNITS = '(?:units?|flats?|homes?|apartments?|villas?|plots?|houses?|slots?|inventory)';
+const RETURNS = '(?:returns?|appreciation|rental(?:\\s+income)?|income|profits?|yields?|roi|gains?)';
+
+const CLAIM_TYPES = [
+    {
+        type: 'guarantee',
+        label: 'guaranteed return',
+        evidence: [],
+        exclude: new Set(),
+        patterns: [
+            `\\b(?:\\d+(?:\\.\\d+)?\\s*%\\s*)?(?:guaranteed?|assured|sure[-\\s]?shot|risk[-\\s]?free)\\s+(?:\\d+(?:\\.\\d+)?\\s*%\\s*)?(?<key>${RETURNS})\\b`,
+            `\\b(?<key>${RETURNS})\\s+(?:of\\s+\\d+(?:\\.\\d+)?\\s*%\\s+)?(?:is\\s+|are\\s+)?(?:guaranteed|assured)\\b`,
+            '\\b(?<key>double)\\s+your\\s+(?:money|investment)\\b',
+            `\\b(?:fixed|committed)\\s+(?<key>rental|returns?)\\b`
+        ]
+    },
+    {
+        type: 'award',
+        label: 'award',
+        evidence: ['awardName'],
+        exclude: new Set(),
+        patterns: [
+            '\\b(?<key>award)[-\\s]?winning\\b',
+            '\\b(?:winner|winners|recipient)\\s+of\\s+(?:the\\s+)?(?:[\\w&\'-]+\\s+){0,5}?(?<key>award)s?\\b',
+            '\\b(?<key>award)ed\\s+(?:the\\s+)?(?:[\\w&\'-]+\\s+){0,5}?(?:award|title|prize)\\b',
+            '\\b(?<key>award)s?\\s+(?:for|as)\\b'
+        ]
+    },
+    {
+        type: 'superlative',
+        label: 'superlative',
+        evidence: ['source', 'awardName', 'date'],
+        exclude: NOT_SUPERLATIVE,
+        patterns: [
+            '(?<key>#\\s?1)\\b',
+            '\\b(?<key>no\\.?\\s?1|number\\s+one)\\b',
+            '\\b(?<key>top[-\\s]rated|best[-\\s]in[-\\s]class|best[-\\s]selling)\\b',
+            '\\b(?<key>un(?:beat|match|rival|parallel|surpass)(?:able|ed|led))\\b',
+            '\\b(?:the\\s+)?(?<key>most|least)\\s+(?:[a-z]+\\s+){0,1}?[a-z]{3,}\\b',
+            '\\b(?<key>[a-z]+est)\\b'
+        ]
+    },
+    {
+        type: 'comparative',
+        label: 'comparative',
+        evidence: ['source', 'date'],
+        exclude: NOT_COMPARATIVE,
+        patterns: [
+            '\\b(?:\\d+(?:\\.\\d+)?\\s*%\\s*)?(?<key>[a-z]{2,}er|more\\s+[a-z]+|less\\s+[a-z]+)\\s+than\\b',
+            '\\b(?<key>unlike)\\s+(?:any\\s+)?(?:other|others|the\\s+rest)\\b',
+            '\\b(?<key>beats?|outperforms?|outshines?)\\s+(?:all|any|every|other)\\b',
+            '\\b(?<key>compared)\\s+(?:to|with)\\s+(?:other|others|any|the\\s+market)\\b'
+        ]
+    },
+    {
+        type: 'scarcity',
+        label: 'scarcity or urgency',
+        evidence: ['count', 'date'],
+        exclude: new Set(),
+        patterns: [
+            `\\bonly\\s+\\d+\\s+(?:\\w+\\s+)?(?<key>${UNITS}|days?|hours?)(?:\\s+(?:left|remaining|available))?\\b`,
+            `\\b(?:last|final)\\s+(?:few\\s+)?(?<key>${UNITS}|chance|days?)\\b`,
+            `\\b(?:limited|few)\\s+(?<key>${UNITS}|period|time|offer|stock)\\b`,
+            `\\b\\d+\\s+(?<key>${UNITS})\\s+(?:left|remaining)\\b`,
+            '\\b(?<key>prices?|rates?)\\s+(?:are\\s+|will\\s+be\\s+)?(?:rising|going\\s+up|increasing|set\\s+to\\s+(?:rise|increase)|revised|hike)\\b',
+            '\\bbefore\\s+(?:the\\s+)?(?<key>prices?|rates?)\\s+(?:rise|go\\s+up|increase|change)\\b',
+            '\\b(?<key>offer|sale|booking|launch\\s+price)s?\\s+(?:ends?|closes?|closing|expires?)\\b',
+            '\\b(?<key>hurry|selling\\s+fast|today\\s+only|act\\s+now|last\\s+chance|don\'?t\\s+miss)\\b'
+        ]
+    }
+];
+
+// What counts as support on the landing page. Award names and sources are
+// matched case-sensitively where capitalisation is the signal.
+const EVIDENCE = {
+    awardName: {
+        label: 'named award',
+        pattern: /\b(?:[A-Z][\w&'.-]*\s+){1,6}Awards?\b(?:\s+(?:19|20)\d{2})?|\bAwards?\s+(?:19|20)\d{2}\b/
+    },
+    source: {
+        label: 'cited source',
+        pattern: /\b(?:source|according to|as per|ranked by|rated by|survey|study|report|data from|based on|awarded by|presented by|conferred by|audited by|verified by)\b/i
+    },
+    date: {
+        label: 'date',
+        pattern: /\b\d{1,2}(?:st|nd|rd|th)?\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s+(?:19|20)?\d{2}\b|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(?:\d{1,2}(?:st|nd|rd|th)?,?\s+)?(?:19|20)\d{2}\b|\b\d{1,2}[/.-]\d{1,2}[/.-](?:19|20)?\d{2}\b|\b(?:19|20)\d{2}\b/i
+    },
+    count: {
+        label: 'unit count',
+        pattern: new RegExp(`\\b\\d+\\s+(?:\\w+\\s+)?${UNITS}\\s+(?:left|remaining|available|sold|booked)\\b|\\b(?:inventory|availability)\\s*:?\\s*\\d+`, 'i')
+    },
+    footnote: {
+        label: 'footnote or disclaimer',
+        pattern: /(?:^|\s)[*\u2020\u00B9\u00B2\u00B3]\s*[A-Za-z]|\bdisclaimer\b|\bterms\s+(?:and|&)\s+conditions\b|\bt\s*&\s*c/i
+    }
+};
+
+const FOOTNOTE_MARKER = /^\s?[*\u2020\u00B9\u00B2\u00B3]/;
+
+const compiled = CLAIM_TYPES.map(claimType => Object.assign({}, claimType, {
+    regexes: claimType.patterns.map(source => new RegExp(source, 'gi'))
+}));
+
+function snippetAround(text, start, end) {
+    const from = Math.max(0, start - SNIPPET_RADIUS);
+    const to = Math.min(text.length, end + SNIPPET_RADIUS);
+    return (from > 0 ? '…' : '') +
+        text.slice(from, to).replace(/\s+/g, ' ').trim() +
+        (to < text.length ? '…' : '');
+}
+
+function overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every claim in the ad text. Types are tried in CLAIM_TYPES order, so a
+// guarantee is not also reported as a superlative, and within a type the
+// longest match wins.
+function extractClaims(text) {
+    const claims = [];
+
+    compiled.forEach(claimType => {
+        const matches = [];
+        claimType.regexes.forEach(regex => {
+            let match;
+            regex.lastIndex = 0;
+            while ((match = regex.exec(text)) !== null) {
+                const key = match.groups.key;
+                if (claimType.exclude.has(key.toLowerCase())) continue;
+                matches.push({ start: match.index, end: match.index + match[0].length, key, language: DEFAULT_LANGUAGE });
+            }
+        });
+        findTranslatedTerms(text, `claims.${claimType.type}`).forEach(m => {
+            matches.push({ start: m.start, end: m.end, key: m.term, language: m.language });
+        });
+
+        matches
+            .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+            .filter((m, i, all) => !all.slice(0, i).some(o => overlaps(m, o)))
+            .filter(m => !claims.some(c => overlaps(m, c)))
+            .forEach(m => {
+                const value = text.slice(m.start, m.end);
+                claims.push({
+                    type: claimType.type,
+                    label: claimType.label,
+                    term: value.toLowerCase().replace(/\s+/g, ' '),
+                    keyword: m.key.toLowerCase().replace(/\s+/g, ' '),
+                    match: value,
+                    start: m.start,
+                    end: m.end,
+                    snippet: snippetAround(text, m.start, m.end),
+                    footnoted: FOOTNOTE_MARKER.test(text.slice(m.end)),
+                    language: m.language
+                });
+            });
+    });
+
+    return claims.sort((a, b) => a.start - b.start);
+}
+
+function sentences(text) {
+    return text.split(CLAUSE_BREAK).map(s => s.trim()).filter(Boolean);
+}
+
+// Landing page support for one claim: the evidence kinds its type accepts,
+// found in sentences that repeat the claim's keyword, plus any disclaimer
+// when the ad footnotes the claim.
+function findEvidence(claim, pageText) {
+    const claimType = CLAIM_TYPES.find(t => t.type === claim.type);
+    const keyword = new RegExp(`(?<![\\w#])${escapeRegExp(claim.keyword).replace(/ /g, '\\s+')}`, 'i');
+    const repeatsClaim = claim.language && claim.language !== DEFAULT_LANGUAGE
+        ? s => findPhrases(s, [claim.keyword], claim.language).length > 0
+        : s => keyword.test(s);
+    const relevant = sentences(pageText).filter(repeatsClaim);
+    const evidence = [];
+
+    claimType.evidence.forEach(kind => {
+        const sentence = relevant.find(s => EVIDENCE[kind].pattern.test(s) ||
+            (kind === 'source' && findTranslatedTerms(s, 'claimEvidence.source').length > 0));
+        if (sentence) {
+            evidence.push({ kind, label: EVIDENCE[kind].label, snippet: sentence.slice(0, 160) });
+        }
+    });
+
+    if (claim.footnoted && claimType.evidence.length > 0) {
+        const match = EVIDENCE.footnote.pattern.exec(pageText);
+        if (match) {
+            evidence.push({
+                kind: 'footnote',
+                label: EVIDENCE.footnote.label,
+                snippet: snippetAround(pageText, match.index, match.index + match[0].length)
+            });
+        }
+    }
+
+    return evidence;
+}
+
+// Claims in the ad, each with the evidence found for it on the landing page
+// (an empty list when there is no page or nothing supports it).
+function linkEvidence(text, pageText = '') {
+    return extractClaims(text).map(claim => Object.assign(claim, {
+        evidence: pageText ? findEvidence(claim, pageText) : []
+    }));
+}
+
+// What each claim type needs, for finding descriptions
+function expectedEvidence(type) {
+    const claimType = CLAIM_TYPES.find(t => t.type === type);
+    const labels = claimType.evidence.concat('footnote').map(kind => EVIDENCE[kind].label);
+    return `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`;
+}
+
+// Claims statutes of the selected packs
+function claimCitations(jurisdictions) {
+    return jurisdictions
+        .map(id => JURISDICTIONS[id] && JURISDICTIONS[id].statutes.claims)
+        .filter(Boolean);
+}
+
+module.exports = {
+    CLAIM_TYPES,
+    extractClaims,
+    linkEvidence,
+    expectedEvidence,
+    claimCitations
+};
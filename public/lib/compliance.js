@@ -0,0 +1,162 @@
+const { createResults, getRuleSetVersion, runRules } = require('./engine');
+const { rewriteAdText } = require('./rewrites');
+const { analyzeImageBuffer, decodeImageData } = require('./image-analysis');
+const { normalizeAdFields, adFieldsText } = require('./ad-fields');
+const { gradePageExperience } = require('./page-speed');
+const { resolveJurisdictions } = require('./jurisdictions');
+const { scoreResults, parseThreshold, annotateFindings } = require('./scoring');
+const { detectLanguage } = require('./language');
+const { applyWaivers } = require('./waivers');
+
+// Compliance pipeline shared by the single and batch check endpoints
+//
+// `shared` is context every rule sees whatever its target: the resolved
+// `jurisdictions`, the `adText` being checked (so landing page and image
+// rules can compare against it), the ad's `displayUrl` and the fetched
+// `landingPageContent` (so copy rules can accept disclosures made on the page).
+// The ad and page languages are detected once per check; copy and field rules
+// see the ad's as `language`, landing page rules the page's.
+
+function analyzeAdText(text, platform, results, shared = {}) {
+    return runRules('adText', Object.assign({ language: shared.adLanguage }, shared, { text }), platform, results);
+}
+
+// Structured Google RSA / Meta fields; see lib/ad-fields.js for the shape
+function analyzeAdFields(fields, platform, results, shared = {}) {
+    return runRules('adFields', Object.assign({ language: shared.adLanguage }, shared, { fields }), platform, results);
+}
+
+function analyzeLandingPage(url, platform, pageContent, results, shared = {}) {
+    let parsedUrl = null;
+    try {
+        parsedUrl = new URL(url);
+    } catch (e) {
+        // Reported by the landing-url-format rule
+    }
+
+    // Speed measurements graded against the platform bands, shared by the
+    // page experience rules and shown as a breakdown in the UI
+    let pageExperience = null;
+    if (pageContent && pageContent.success && pageContent.performance) {
+        pageExperience = gradePageExperience(pageContent.performance, platform);
+        results.pageExperience = pageExperience;
+    }
+
+    return runRules('landingPage', Object.assign({ language: shared.pageLanguage }, shared, { url, parsedUrl, pageContent, pageExperience }), platform, results);
+}
+
+// The rules work from the image's measured format, size and text coverage:
+// `measured`, the analysis done before the check (measureImage() in
+// lib/image-analysis.js, or a stored check's), otherwise the client's bytes
+// (`imageInfo.data`, base64 or a data URL) are analysed here.
+function analyzeImage(imageInfo, platform, results, shared = {}, measured = null) {
+    const buffer = measured ? null : decodeImageData(imageInfo.data);
+    const image = measured || (buffer ? analyzeImageBuffer(buffer, imageInfo.type) : null);
+    if (image) results.image = image;
+
+    return runRules('image', Object.assign({}, shared, { imageInfo, image }), platform, results);
+}
+
+// The rewrite is run through the copy rules again, with the same waivers; the
+// findings it still has are returned so it is not offered as compliant
+function checkRewrite(rewritten, platform, shared, waivers) {
+    const recheck = createResults();
+    const language = detectLanguage(rewritten);
+    analyzeAdText(rewritten, platform, recheck, Object.assign({}, shared, {
+        adText: rewritten,
+        adLanguage: language && language.code
+    }));
+    applyWaivers(recheck, waivers);
+
+    return recheck.violations.map(f => Object.assign({ type: 'violation' }, f))
+        .concat(recheck.warnings.map(f => Object.assign({ type: 'warning' }, f)));
+}
+
+// `jurisdiction` is a pack id, a comma-separated list or an array (default
+// 'us'); unknown ids throw. `approvalThreshold` (0-100) overrides the
+// configured minimum score for approval. `waivers` are the active reviewer
+// waivers for the ad's advertiser (lib/waivers.js); the findings they cover
+// are moved to results.waived before scoring. `imageAnalysis` is the image's
+// analysis when already measured: by measureImage(), off the request thread,
+// or the stored one when re-checking a saved check, which keeps no bytes.
+function checkCompliance({ adText, adFields, landingPage, displayUrl, platform, jurisdiction, imageInfo, landingPageContent, approvalThreshold, waivers, imageAnalysis }) {
+    const results = createResults();
+    const fields = normalizeAdFields(adFields);
+    const jurisdictions = resolveJurisdictions(jurisdiction);
+
+    // The copy rules read the field text when no free-form ad was given
+    if (fields && !adText) {
+        adText = adFieldsText(fields);
+        results.analyzedAdText = adText;
+    }
+
+    // Languages of the ad copy and of the landing page text
+    const languages = {
+        adText: adText ? detectLanguage(adText) : null,
+        landingPage: landingPageContent && landingPageContent.success
+            ? detectLanguage([landingPageContent.title, landingPageContent.bodyText].filter(Boolean).join('\n'))
+            : null
+    };
+    results.languages = languages;
+
+    const shared = {
+        jurisdictions,
+        adText: adText || '',
+        displayUrl,
+        landingPageContent,
+        adLanguage: languages.adText && languages.adText.code,
+        pageLanguage: languages.landingPage && languages.landingPage.code
+    };
+
+    // Analyze structured platform fields
+    if (fields) {
+        analyzeAdFields(fields, platform, results, shared);
+    }
+
+    // Analyze text
+    if (adText) {
+        analyzeAdText(adText, platform, results, shared);
+    }
+
+    // Analyze landing page
+    if (landingPage) {
+        analyzeLandingPage(landingPage, platform, landingPageContent, results, shared);
+    }
+
+    // Analyze image
+    if (imageInfo) {
+        analyzeImage(imageInfo, platform, results, shared, imageAnalysis || null);
+    }
+
+    // Reviewer waivers, then the rewrite of what is still flagged and what
+    // the rewrite itself would still be flagged for
+    applyWaivers(results, waivers);
+    if (adText) {
+        results.rewrittenAdText = rewriteAdText(adText, results);
+        if (results.rewrittenAdText) {
+            results.rewriteFindings = checkRewrite(results.rewrittenAdText, platform, shared, waivers);
+        }
+    }
+
+    // Score with the configured model (config/scoring.json)
+    const { score, subScores, approved, scoring } = scoreResults(results, { threshold: parseThreshold(approvalThreshold) });
+    annotateFindings(results, scoring.explanation);
+
+    results.score = score;
+    results.subScores = subScores;
+    results.approved = approved;
+    results.scoring = scoring;
+    results.platform = platform;
+    results.jurisdictions = jurisdictions;
+    results.ruleSetVersion = getRuleSetVersion();
+
+    return results;
+}
+
+module.exports = {
+    analyzeAdText,
+    analyzeAdFields,
+    analyzeLandingPage,
+    analyzeImage,
+    checkCompliance
+};
@@ -0,0 +1,22 @@
+// Runs `fn` over `items` with at most `limit` calls in flight, keeping the
+// results in input order.
+async function mapWithConcurrency(items, limit, fn) {
+    const output = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            output[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker());
+    await Promise.all(workers);
+    return output;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
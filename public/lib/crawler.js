@@ -0,0 +1,168 @@
+const cheerio = require('cheerio');
+const robotsParser = require('robots-parser');
+
+// Landing page crawl
+//
+// Follows same-origin links to the pages a reviewer expects to find behind a
+// landing page (privacy policy, terms, contact, pricing), within a depth and
+// page budget and honouring robots.txt. Each page is checked for a 200
+// response and for content that actually looks like what the link promised.
+
+const ROBOTS_AGENT = 'AdComplianceChecker';
+const DEFAULT_MAX_DEPTH = 1;
+const DEFAULT_MAX_PAGES = 8;
+const MAX_DEPTH_LIMIT = 2;
+const MAX_PAGES_LIMIT = 15;
+
+const KEY_PAGES = {
+    privacy: {
+        link: /privacy|data[-_\s]?protection|gdpr|cookie[-_\s]?policy/i,
+        content: [/personal (data|information)/i, /cookies?/i, /collect/i, /third[-\s]part/i, /data protection|gdpr|ccpa/i, /retain|retention/i],
+        minMatches: 2
+    },
+    terms: {
+        link: /terms|conditions|legal|disclaimer/i,
+        content: [/terms/i, /agree/i, /liabilit/i, /governing law|jurisdiction/i, /disclaimer/i, /warrant/i],
+        minMatches: 2
+    },
+    contact: {
+        link: /contact|reach[-_\s]us|enquir|inquir|get[-_\s]in[-_\s]touch/i,
+        content: [/\+?[\d\s\-()]{10,}/, /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/, /address|office/i],
+        elements: 'form',
+        minMatches: 1
+    },
+    pricing: {
+        link: /pric|cost|payment[-_\s]?plan|tariff/i,
+        content: [/\u20B9|rs\.?\s*\d|inr|\$\s?\d/i, /\d+\s*(lac|lakh|crore|k\b)/i, /price|cost/i],
+        minMatches: 1
+    }
+};
+
+function clamp(value, fallback, max) {
+    const number = parseInt(value, 10);
+    return Math.max(0, Math.min(Number.isFinite(number) ? number : fallback, max));
+}
+
+function stripHash(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+}
+
+function classifyLink(href, text) {
+    const haystack = `${href} ${text}`;
+    return Object.keys(KEY_PAGES).find(kind => KEY_PAGES[kind].link.test(haystack)) || null;
+}
+
+// Same-origin links on a page that point at one of the key page kinds.
+function findKeyLinks(html, pageUrl, origin) {
+    const $ = cheerio.load(html);
+    const links = [];
+
+    $('a[href]').each((i, elem) => {
+        const href = $(elem).attr('href');
+        let resolved;
+        try {
+            resolved = new URL(href, pageUrl);
+        } catch (e) {
+            return;
+        }
+        if (resolved.origin !== origin || !['http:', 'https:'].includes(resolved.protocol)) return;
+
+        const kind = classifyLink(resolved.pathname, $(elem).text().trim());
+        if (kind) links.push({ url: stripHash(resolved.href), kind });
+    });
+
+    return links;
+}
+
+// Content patterns are matched against the page's visible text, not its
+// markup, so words in scripts, styles or attributes don't count. A kind's
+// `elements` (a contact form) count as one more match when present.
+function looksLike(kind, html) {
+    const $ = cheerio.load(typeof html === 'string' ? html : '');
+    const { content, elements, minMatches } = KEY_PAGES[kind];
+    const hasElements = Boolean(elements) && $(elements).length > 0;
+
+    $('script, style, noscript, template').remove();
+    const text = $('body').text().replace(/\s+/g, ' ').trim();
+    return content.filter(pattern => pattern.test(text)).length + (hasElements ? 1 : 0) >= minMatches;
+}
+
+async function loadRobots(origin, fetch) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+        const { response } = await fetch(robotsUrl, { timeout: 5000 });
+        if (response.status === 200 && typeof response.data === 'string') {
+            return robotsParser(robotsUrl, response.data);
+        }
+    } catch (error) {
+        // No robots.txt means everything may be crawled
+    }
+    return null;
+}
+
+async function crawlSite(startUrl, startHtml, options = {}) {
+    const { fetch } = options;
+    const maxDepth = clamp(options.maxDepth, DEFAULT_MAX_DEPTH, MAX_DEPTH_LIMIT);
+    const maxPages = clamp(options.maxPages, DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT);
+    const origin = new URL(startUrl).origin;
+    const robots = await loadRobots(origin, fetch);
+
+    const visited = new Set([stripHash(startUrl)]);
+    const queue = findKeyLinks(startHtml, startUrl, origin).map(link => Object.assign(link, { depth: 1 }));
+    const pages = [];
+    const robotsBlocked = [];
+
+    while (queue.length > 0 && pages.length < maxPages) {
+        const link = queue.shift();
+        if (link.depth > maxDepth || visited.has(link.url)) continue;
+        visited.add(link.url);
+
+        if (robots && robots.isAllowed(link.url, ROBOTS_AGENT) === false) {
+            robotsBlocked.push(link.url);
+            continue;
+        }
+
+        const page = { url: link.url, kind: link.kind, depth: link.depth };
+        try {
+            const { response, finalUrl, redirectChain } = await fetch(link.url);
+            Object.assign(page, {
+                status: response.status,
+                finalUrl,
+                redirectChain,
+                ok: response.status === 200,
+                contentValid: response.status === 200 && looksLike(link.kind, response.data)
+            });
+
+            if (page.ok && link.depth < maxDepth && new URL(finalUrl).origin === origin) {
+                findKeyLinks(response.data, finalUrl, origin)
+                    .forEach(next => queue.push(Object.assign(next, { depth: link.depth + 1 })));
+            }
+        } catch (error) {
+            Object.assign(page, { status: null, ok: false, contentValid: false, error: error.message });
+        }
+        pages.push(page);
+    }
+
+    const found = kind => pages.filter(p => p.kind === kind);
+
+    return {
+        maxDepth,
+        maxPages,
+        robotsTxt: Boolean(robots),
+        pages,
+        robotsBlocked,
+        brokenLinks: pages.filter(p => !p.ok).map(p => ({ url: p.url, kind: p.kind, status: p.status, error: p.error || null })),
+        verified: Object.keys(KEY_PAGES).reduce((summary, kind) => {
+            summary[kind] = found(kind).some(p => p.ok && p.contentValid);
+            return summary;
+        }, {})
+    };
+}
+
+module.exports = {
+    KEY_PAGES,
+    crawlSite,
+    findKeyLinks
+};
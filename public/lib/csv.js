@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF)
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parses CSV with a header row into an array of objects keyed by header.
+function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    return rows.map(values => header.reduce((record, name, i) => {
+        record[name.trim()] = (values[i] || '').trim();
+        return record;
+    }, {}));
+}
+
+// Cells starting with = + - @ (or a tab or carriage return) are prefixed
+// with ' so spreadsheets show them as text instead of running them as
+// formulas (CSV injection)
+function escapeCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header].concat(rows)
+        .map(row => row.map(escapeCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRecords,
+    escapeCsvField,
+    toCsv
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { version: packageVersion } = require('../package.json');
+const { POLICIES } = require('./policies');
+const { DEFAULT_JURISDICTIONS, JURISDICTIONS } = require('./jurisdictions');
+
+// Rule engine
+//
+// Every check lives in its own module under rules/ (or a directory listed in
+// RULES_DIR) and exports one rule, or an array of rules, shaped like:
+//
+//   {
+//       id: 'stable-rule-id',
+//       target: 'adText' | 'adFields' | 'landingPage' | 'image',
+//       platforms: ['meta', 'google'],   // omit to run on every platform
+//       jurisdictions: ['in'],           // omit to run in every jurisdiction
+//       severity: 'critical' | 'high' | 'medium' | 'low' | 'info',
+//       policy: 'Citation shown next to the finding',
+//       enabled: true,                   // set to false to switch the rule off
+//       evaluate(context) { return { status: 'pass' | 'warn' | 'fail', title, description }; }
+//   }
+//
+// evaluate() returns null when the rule does not apply to the given input, in
+// which case it is not counted as a check. 'info' rules only carry a notice
+// for the advertiser: they go to results.notices and are never scored.
+//
+// Findings carry the `language` of the text they were found in: the outcome's
+// own `language` when the rule sets one (the language a term matched in),
+// otherwise the detected language of the checked text (`context.language`).
+
+const TARGETS = ['adText', 'adFields', 'landingPage', 'image'];
+const PLATFORMS = ['meta', 'google'];
+const STATUSES = ['pass', 'warn', 'fail'];
+const RULES_DIR = path.join(__dirname, '..', 'rules');
+
+let registry = null;
+
+function resolvePlatforms(platform) {
+    if (platform === 'both') return PLATFORMS.slice();
+    return PLATFORMS.includes(platform) ? [platform] : [];
+}
+
+function listRuleFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .reduce((files, entry) => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) return files.concat(listRuleFiles(fullPath));
+            if (entry.isFile() && entry.name.endsWith('.js')) files.push(fullPath);
+            return files;
+        }, []);
+}
+
+function validateRule(rule, file) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+        throw new Error(`Rule in ${file} is missing an id`);
+    }
+    if (!TARGETS.includes(rule.target)) {
+        throw new Error(`Rule "${rule.id}" has unknown target "${rule.target}"`);
+    }
+    if (typeof rule.evaluate !== 'function') {
+        throw new Error(`Rule "${rule.id}" has no evaluate function`);
+    }
+}
+
+function loadRules(dirs = defaultRuleDirs()) {
+    const rules = [];
+    const seen = new Set();
+
+    dirs.forEach(dir => {
+        listRuleFiles(dir).forEach(file => {
+            const exported = require(file);
+            [].concat(exported).forEach(rule => {
+                validateRule(rule, file);
+                if (seen.has(rule.id)) {
+                    throw new Error(`Duplicate rule id "${rule.id}" in ${file}`);
+                }
+                seen.add(rule.id);
+                if (rule.enabled !== false) rules.push(rule);
+            });
+        });
+    });
+
+    return rules;
+}
+
+function defaultRuleDirs() {
+    const extra = (process.env.RULES_DIR || '')
+        .split(path.delimiter)
+        .filter(Boolean)
+        .map(dir => path.resolve(dir));
+    return [RULES_DIR].concat(extra);
+}
+
+function getRules() {
+    if (!registry) registry = loadRules();
+    return registry;
+}
+
+// Identifies the rule set a result was produced with: the package version
+// plus a digest of every rule and the policy data they read. Stored with each
+// check so a re-run against changed rules is recognisable.
+function getRuleSetVersion(rules = getRules()) {
+    const hash = crypto.createHash('sha1');
+    rules
+        .slice()
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .forEach(rule => {
+            hash.update([
+                rule.id,
+                rule.target,
+                rule.severity,
+                rule.policy || '',
+                (rule.platforms || []).join(','),
+                (rule.jurisdictions || []).join(','),
+                rule.evaluate.toString()
+            ].join('\u0000'));
+        });
+    hash.update(JSON.stringify(POLICIES));
+    hash.update(JSON.stringify(JURISDICTIONS));
+    return `${packageVersion}+${hash.digest('hex').slice(0, 10)}`;
+}
+
+function appliesTo(rule, platforms, jurisdictions) {
+    return (!rule.platforms || rule.platforms.some(p => platforms.includes(p))) &&
+        (!rule.jurisdictions || rule.jurisdictions.some(j => jurisdictions.includes(j)));
+}
+
+function recordOutcome(rule, outcome, results, language) {
+    const { status, ...details } = outcome;
+    if (!STATUSES.includes(status)) {
+        throw new Error(`Rule "${rule.id}" returned unknown status "${status}"`);
+    }
+
+    // Outcomes may override the rule's severity or citation; `policy: null`
+    // drops the citation for findings that are only advisory.
+    const finding = Object.assign({
+        ruleId: rule.id,
+        severity: rule.severity,
+        policy: rule.policy
+    }, details);
+    if (!finding.policy) delete finding.policy;
+    finding.language = details.language || language;
+    if (!finding.language) delete finding.language;
+
+    if (finding.severity === 'info') {
+        results.rules.push({ id: rule.id, target: rule.target, status, severity: 'info' });
+        results.notices.push(finding);
+        return;
+    }
+
+    results.totalChecks++;
+    results.rules.push({ id: rule.id, target: rule.target, status, severity: finding.severity });
+
+    if (status === 'pass') {
+        results.passedChecks++;
+        if (finding.title) {
+            results.passed.push(Object.assign(
+                { ruleId: rule.id, title: finding.title, description: finding.description },
+                finding.language ? { language: finding.language } : {}
+            ));
+        }
+    } else if (status === 'warn') {
+        results.warnings.push(finding);
+    } else {
+        if (finding.severity === 'critical') results.criticalViolations++;
+        results.violations.push(finding);
+    }
+}
+
+// Runs every registered rule for `target` against `context`, recording the
+// outcomes into the shared results object. `context.jurisdictions` (resolved
+// ids, see lib/jurisdictions) selects the jurisdiction-specific rules.
+function runRules(target, context, platform, results, rules = getRules()) {
+    const platforms = resolvePlatforms(platform);
+    const jurisdictions = context.jurisdictions || DEFAULT_JURISDICTIONS;
+
+    rules
+        .filter(rule => rule.target === target && appliesTo(rule, platforms, jurisdictions))
+        .forEach(rule => {
+            try {
+                const outcome = rule.evaluate(Object.assign({ platform, platforms }, context, { jurisdictions }));
+                if (outcome) recordOutcome(rule, outcome, results, context.language);
+            } catch (error) {
+                console.error(`Rule "${rule.id}" failed:`, error.message);
+                results.rules.push({ id: rule.id, target: rule.target, status: 'error', severity: rule.severity });
+            }
+        });
+
+    return results;
+}
+
+function createResults() {
+    return {
+        violations: [],
+        warnings: [],
+        passed: [],
+        notices: [],
+        waived: [],
+        rules: [],
+        totalChecks: 0,
+        passedChecks: 0,
+        criticalViolations: 0
+    };
+}
+
+module.exports = {
+    TARGETS,
+    loadRules,
+    getRules,
+    getRuleSetVersion,
+    runRules,
+    createResults,
+    resolvePlatforms
+};
@@ -0,0 +1,89 @@
+const { POLICIES } = require('./policies');
+const { DEFAULT_LANGUAGE, findPhrases, findTranslatedTerms } = require('./language');
+
+// Fair Housing term matching
+//
+// Terms only match as whole words or phrases ("young" does not fire on
+// "Youngstown"), and a term directly followed by one of its safe collocations
+// ("white marble", "exclusive listing") is ignored. Every match carries its
+// character offsets into the original text, a short snippet for display and
+// the language of the list it came from. Matching is done on normalised text
+// (see lib/language.js), so accents, full-width letters and zero-width
+// characters do not hide a term.
+
+const WORD_AFTER = '(?![\\p{L}\\p{M}\\p{N}_])';
+
+const patternCache = new Map();
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function phrasePattern(phrase) {
+    return phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+}
+
+function collocationPattern(term, collocations) {
+    const followers = collocations
+        .filter(entry => entry.terms.some(t => t.toLowerCase() === term.toLowerCase()))
+        .reduce((all, entry) => all.concat(entry.followedBy), []);
+
+    if (followers.length === 0) return null;
+
+    const key = `${term}\u0000${followers.join('|')}`;
+    if (!patternCache.has(key)) {
+        patternCache.set(key, new RegExp(`^\\s+(?:${followers.map(phrasePattern).join('|')})${WORD_AFTER}`, 'iu'));
+    }
+    return patternCache.get(key);
+}
+
+function overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+// Longest match wins where terms overlap ("young professionals" over "young").
+function dropOverlapping(matches, blockers = []) {
+    const kept = [];
+    matches
+        .slice()
+        .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+        .forEach(match => {
+            if (!kept.concat(blockers).some(other => overlaps(match, other))) kept.push(match);
+        });
+    return kept.sort((a, b) => a.start - b.start);
+}
+
+function findTerms(text, terms, collocations = POLICIES.fairHousing.safeCollocations) {
+    return dropOverlapping(findPhrases(text, terms, DEFAULT_LANGUAGE, (term, normalized, end) => {
+        const safeFollowers = collocationPattern(term, collocations);
+        return !safeFollowers || !safeFollowers.test(normalized.slice(end));
+    }));
+}
+
+// Splits matches into outright violations and context-dependent terms that a
+// reviewer should look at. A context term inside a prohibited phrase is not
+// reported twice. `translations` names the lists in lib/languages that hold
+// the same policy in other languages ('fairHousing', 'discrimination.in').
+function scanFairHousing(text, policy = POLICIES.fairHousing, translations = 'fairHousing') {
+    const prohibited = dropOverlapping(
+        findTerms(text, policy.prohibitedTerms, policy.safeCollocations)
+            .concat(findTranslatedTerms(text, `${translations}.prohibitedTerms`))
+    );
+    const contextual = dropOverlapping(
+        findTerms(text, policy.contextTerms, policy.safeCollocations)
+            .concat(findTranslatedTerms(text, `${translations}.contextTerms`)),
+        prohibited
+    );
+
+    return { prohibited, contextual };
+}
+
+function uniqueTerms(matches) {
+    return Array.from(new Set(matches.map(m => m.term)));
+}
+
+module.exports = {
+    findTerms,
+    scanFairHousing,
+    uniqueTerms
+};
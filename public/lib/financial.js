@@ -0,0 +1,229 @@
+const { JURISDICTIONS } = require('./jurisdictions');
+const { DEFAULT_LANGUAGE, findTranslatedTerms } = require('./language');
+
+// Financial trigger terms and required disclosures
+//
+// Credit advertising rules work the same way everywhere: quoting certain
+// terms (a down payment, an EMI, a repayment period, "0% interest", a rate)
+// obliges the advertiser to state others (the APR, the repayment terms, ...).
+// This module finds the trigger terms in ad copy and checks which of the
+// disclosures each selected jurisdiction pack requires (its `lending` list)
+// are present in the ad or on the landing page. Copy in other languages is
+// matched against the `financial.<type>` and `disclosures.<key>` phrase lists
+// in lib/languages.
+
+const SNIPPET_RADIUS = 30;
+
+const CURRENCY = '(?:\u20B9|rs\\.?|inr|\\$|\u00A3|\u20AC|usd|eur|gbp)';
+const AMOUNT = `${CURRENCY}\\s*\\d[\\d,]*(?:\\.\\d+)?(?:\\s*(?:k|lakhs?|lacs?|crores?|cr|million|m)\\b)?`;
+const PERCENT = '\\d+(?:\\.\\d+)?\\s*%';
+const NONZERO_PERCENT = '(?<![\\d.])(?!0+(?:\\.0+)?\\s*%)\\d+(?:\\.\\d+)?\\s*%';
+const LEAD_IN = '(?:\\s*(?:of|from|starting|at|just|only|as\\s+low\\s+as|:|-))*\\s*';
+const PERIOD = '\\d+\\s*-?\\s*(?:years?|yrs?|months?)';
+// Any character up to the end of the sentence ("Rs." and decimals don't end it)
+const SAME_SENTENCE = '(?:[^.]|(?<=\\brs)\\.|(?<=\\d)\\.(?=\\d))';
+
+const TRIGGERS = [
+    {
+        type: 'downPayment',
+        label: 'down payment',
+        patterns: [
+            `(?:${PERCENT}|${AMOUNT})\\s*(?:down(?:\\s*payment)?|deposit|booking(?:\\s*amount)?|upfront)\\b`,
+            `\\b(?:down\\s*payment|deposit|booking\\s*amount)${LEAD_IN}(?:${PERCENT}|${AMOUNT})`,
+            `\\b(?:pay|book)(?:\\s*(?:with|at|for|just|only))*\\s*(?:${PERCENT}|${AMOUNT})\\s*(?:now|today|to\\s*book)\\b`,
+            '\\b(?:5|10|15|20|25|30)\\s*:\\s*(?:95|90|85|80|75|70)\\s*(?:payment\\s*)?(?:plan|scheme)\\b'
+        ]
+    },
+    {
+        type: 'paymentAmount',
+        label: 'payment amount',
+        patterns: [
+            `\\b(?:emis?|monthly\\s*(?:payments?|instal?ments?)|payments?)${LEAD_IN}${AMOUNT}`,
+            `${AMOUNT}\\s*(?:\\/\\s*(?:mo|month)\\b|per\\s*month\\b|a\\s*month\\b|monthly\\b|emi\\b)`
+        ]
+    },
+    {
+        type: 'paymentPeriod',
+        label: 'repayment period',
+        patterns: [
+            `\\b${PERIOD}\\s*(?:loan|tenure|term|financing|repayment|fixed|mortgage|to\\s*pay)\\b`,
+            `\\b(?:tenure|repay(?:ment)?(?:\\s*(?:period|over))?|financ(?:e|ing)\\s*(?:for|over))(?:\\s*(?:of|up\\s*to|upto|:))?\\s*${PERIOD}`,
+            '\\b\\d+\\s*(?:monthly\\s*)?payments\\b'
+        ]
+    },
+    {
+        type: 'financeCharge',
+        label: 'finance charge',
+        patterns: [
+            '\\b(?:0|zero)\\s*%?\\s*(?:interest|finance\\s*charges?)\\b',
+            '\\binterest[-\\s]free\\b',
+            '\\bno\\s*interest\\b',
+            '\\bno\\s*(?:pre-?)?emis?\\s*(?:till|until)\\s*possession\\b',
+            '\\bsubvention\\b'
+        ]
+    },
+    {
+        type: 'rate',
+        label: 'interest rate',
+        patterns: [
+            `${NONZERO_PERCENT}\\s*(?:apr|p\\.?\\s*a\\.?|per\\s*annum|interest|roi|rate|fixed|variable)\\b`,
+            `\\b(?:interest\\s*rates?|rate\\s*of\\s*interest|roi|apr)${LEAD_IN}${NONZERO_PERCENT}`
+        ]
+    },
+    {
+        type: 'offer',
+        label: 'offer',
+        patterns: [
+            `(?<![\\d.])${PERCENT}\\s*off\\b`,
+            `${AMOUNT}\\s*off\\b`,
+            `\\b(?:discount|cashback|cash\\s*back)(?:\\s*(?:of|up\\s*to|upto))?\\s*(?:${PERCENT}|${AMOUNT})`
+        ]
+    }
+];
+
+// Disclosures are looked for in the ad and on the landing page. APR is
+// matched case-sensitively so "Apr" (April) does not count.
+const DISCLOSURES = {
+    apr: {
+        label: 'annual percentage rate (APR)',
+        patterns: [/\bAPRC?\b/, /annual percentage rate/i]
+    },
+    interestRate: {
+        label: 'interest rate (p.a.) or APR',
+        patterns: [/\d+(?:\.\d+)?\s*%\s*(?:p\.?\s*a\.?|per annum|interest|roi|rate)/i, /rate of interest|interest rates? (?:of|from|:)\s*\d/i, /\bAPRC?\b/]
+    },
+    downPaymentTerms: {
+        label: 'down payment amount or percentage',
+        patterns: [/down\s*payment|deposit|booking amount/i, /\d+\s*%\s*(?:down|upfront)/i]
+    },
+    repaymentTerms: {
+        label: 'repayment terms (number of payments and period)',
+        patterns: [
+            new RegExp(`\\b${PERIOD}\\b[^.]{0,40}(?:loan|tenure|term|repay|financ|payments?)`, 'i'),
+            new RegExp(`\\b(?:tenure|term|repayment period)(?:\\s*(?:of|up to|upto|:))?\\s*${PERIOD}`, 'i'),
+            /\b\d+\s*(?:monthly\s*)?payments\b/i,
+            // A period stated with the payment: "EMI of Rs 25,000 for 20 years"
+            new RegExp(`\\b(?:emis?|instal?ments?|payments?)\\b${SAME_SENTENCE}{0,40}?\\b(?:for|over)\\s*${PERIOD}`, 'i'),
+            new RegExp(`${AMOUNT}\\s*(?:\\/\\s*(?:mo|month)\\b|per\\s*month|a\\s*month|monthly)${SAME_SENTENCE}{0,20}?\\b(?:for|over)\\s*${PERIOD}`, 'i')
+        ]
+    },
+    creditAmount: {
+        label: 'amount of credit or total amount payable',
+        patterns: [/\b(?:loan amount|amount of credit|total amount (?:payable|repayable)|total cost of credit|cash price)\b/i]
+    },
+    loanApproval: {
+        label: 'statement that the loan is subject to lender approval',
+        patterns: [/subject to (?:the )?(?:loan |bank |lender |credit )?(?:approval|sanction)/i, /(?:sole )?discretion of (?:the )?(?:bank|lender|financial institution)/i]
+    },
+    offerTerms: {
+        label: 'offer terms and conditions',
+        patterns: [/\bt\s*&\s*c\b|\bt&cs?\b/i, /terms\s*(?:and|&)\s*conditions|conditions apply/i]
+    },
+    offerValidity: {
+        label: 'offer validity period',
+        patterns: [
+            /valid\s*(?:till|until|up\s*to|upto|through|for|on)\b/i,
+            /offer\s*(?:ends|expires|valid|closes)\b/i,
+            /(?:till|until)\s*\d{1,2}(?:st|nd|rd|th)?\s*[a-z]{3,}/i,
+            /expires on|last date/i
+        ]
+    }
+};
+
+const compiled = TRIGGERS.map(trigger => Object.assign({}, trigger, {
+    regexes: trigger.patterns.map(source => new RegExp(source, 'giu'))
+}));
+
+function snippetAround(text, start, end) {
+    const from = Math.max(0, start - SNIPPET_RADIUS);
+    const to = Math.min(text.length, end + SNIPPET_RADIUS);
+    return (from > 0 ? '…' : '') +
+        text.slice(from, to).replace(/\s+/g, ' ').trim() +
+        (to < text.length ? '…' : '');
+}
+
+// Every trigger term in the text with its type and offsets. Where two
+// matches of the same type overlap the longer one is kept.
+function findTriggerTerms(text) {
+    const found = [];
+
+    compiled.forEach(trigger => {
+        const matches = [];
+        trigger.regexes.forEach(regex => {
+            let match;
+            regex.lastIndex = 0;
+            while ((match = regex.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    regex.lastIndex++;
+                    continue;
+                }
+                matches.push({ start: match.index, end: match.index + match[0].length, language: DEFAULT_LANGUAGE });
+            }
+        });
+        findTranslatedTerms(text, `financial.${trigger.type}`).forEach(m => {
+            matches.push({ start: m.start, end: m.end, language: m.language });
+        });
+
+        matches
+            .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+            .filter((m, i, all) => !all.slice(0, i).some(o => m.start < o.end && o.start < m.end))
+            .forEach(m => {
+                const value = text.slice(m.start, m.end).trim();
+                found.push({
+                    type: trigger.type,
+                    label: trigger.label,
+                    term: trigger.label,
+                    match: value,
+                    start: m.start,
+                    end: m.start + value.length,
+                    snippet: snippetAround(text, m.start, m.end),
+                    language: m.language
+                });
+            });
+    });
+
+    return found.sort((a, b) => a.start - b.start || a.type.localeCompare(b.type));
+}
+
+function disclosed(key, text) {
+    return DISCLOSURES[key].patterns.some(pattern => pattern.test(text)) ||
+        findTranslatedTerms(text, `disclosures.${key}`).length > 0;
+}
+
+// For each selected jurisdiction, the disclosures its lending rules require
+// for the trigger terms found, and where each one was found (or that it is
+// missing).
+function checkDisclosures(triggers, jurisdictions, { adText = '', pageText = '' } = {}) {
+    const types = new Set(triggers.map(t => t.type));
+    const requirements = [];
+
+    jurisdictions
+        .filter(id => JURISDICTIONS[id] && JURISDICTIONS[id].lending)
+        .forEach(id => {
+            JURISDICTIONS[id].lending
+                .filter(group => group.triggers.some(type => types.has(type)))
+                .forEach(group => {
+                    const triggeredBy = triggers.filter(t => group.triggers.includes(t.type)).map(t => t.match);
+                    group.requires.forEach(key => {
+                        const foundIn = disclosed(key, adText) ? 'ad' : disclosed(key, pageText) ? 'landingPage' : null;
+                        requirements.push({
+                            jurisdiction: id,
+                            disclosure: key,
+                            label: DISCLOSURES[key].label,
+                            citation: group.citation,
+                            triggeredBy,
+                            foundIn
+                        });
+                    });
+                });
+        });
+
+    return requirements;
+}
+
+module.exports = {
+    TRIGGERS,
+    DISCLOSURES,
+    findTriggerTerms,
+    checkDisclosures
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+const { noteCheck } = require('./reviews');
+const { decodeImageData } = require('./image-analysis');
+
+// Check history
+//
+// Every compliance check is stored in a local embedded database together with
+// its inputs, the landing page snapshot it was scored against, the rule set
+// version and the full results. Checks of the same ad share a submissionId and
+// are numbered by version so edits and re-checks can be compared. Each
+// stored version is passed on to the review workflow (lib/reviews.js).
+//
+// Starting a submission issues a submissionToken, returned once with that
+// first check and stored only as a digest; holdsSubmission() tells whether a
+// caller presented it, so open routes can refuse versions of other people's
+// submissions.
+//
+// A check belongs to the web UI (`client` null) or to the /api/v1 client that
+// ran it. Lookups given a `client` (null for the web UI) only return that
+// owner's checks; without one they return any.
+//
+// NeDB keeps the whole store in memory, so bulky data stays out of it: an
+// uploaded image is stored as its name, type, size, hash and measured
+// analysis, and a rendered page's screenshot is dropped from the snapshot.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = new Datastore({ filename: path.join(DATA_DIR, 'checks.db'), autoload: true });
+        store.ensureIndex({ fieldName: 'submissionId' });
+    }
+    return store;
+}
+
+function summarizeCheck(doc) {
+    return {
+        id: doc._id,
+        submissionId: doc.submissionId,
+        version: doc.version,
+        createdAt: doc.createdAt,
+        platform: doc.input.platform || null,
+        adText: (doc.input.adText || doc.results.analyzedAdText || '').slice(0, 120),
+        landingPage: doc.input.landingPage || null,
+        advertiser: doc.input.advertiser || null,
+        project: doc.input.project || null,
+        ruleSetVersion: doc.ruleSetVersion,
+        score: doc.score,
+        approved: doc.approved,
+        recheckOf: doc.recheckOf || null
+    };
+}
+
+async function nextVersion(submissionId) {
+    const [latest] = await getStore()
+        .findAsync({ submissionId }, { version: 1 })
+        .sort({ version: -1 })
+        .limit(1);
+    return latest ? latest.version + 1 : 1;
+}
+
+// An image as stored: its description and analysis, never its bytes.
+// `analysis` is the check's measured image analysis, which re-checks pass
+// back as checkCompliance's `imageAnalysis`.
+function storedImageInfo(imageInfo, analysis) {
+    if (!imageInfo) return imageInfo;
+    const buffer = decodeImageData(imageInfo.data);
+    return {
+        name: imageInfo.name || null,
+        type: imageInfo.type || null,
+        size: imageInfo.size || (buffer ? buffer.length : null),
+        sha256: buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : imageInfo.sha256 || null,
+        analysis: analysis || imageInfo.analysis || null
+    };
+}
+
+function storedSnapshot(snapshot) {
+    if (!snapshot || !snapshot.screenshot) return snapshot || null;
+    const stored = Object.assign({}, snapshot);
+    delete stored.screenshot;
+    return stored;
+}
+
+function tokenDigest(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Whether `token` is the submissionToken issued for `check`'s submission
+function holdsSubmission(check, token) {
+    if (!check || !check.tokenDigest || typeof token !== 'string' || !token) return false;
+    return crypto.timingSafeEqual(Buffer.from(check.tokenDigest, 'hex'), Buffer.from(tokenDigest(token), 'hex'));
+}
+
+async function submissionTokenDigest(submissionId) {
+    const [first] = await getStore().findAsync({ submissionId }, { tokenDigest: 1 }).sort({ version: 1 }).limit(1);
+    return first ? first.tokenDigest || null : null;
+}
+
+// Stores a check. Passing an existing submissionId records a new version of
+// that ad; otherwise a new submission is started and the returned doc carries
+// its `submissionToken`. `client` is the /api/v1 client that ran the check,
+// if any.
+async function saveCheck({ input, landingPageSnapshot, results, submissionId, recheckOf, client }) {
+    const id = submissionId || crypto.randomBytes(8).toString('hex');
+    const token = submissionId ? null : crypto.randomBytes(24).toString('hex');
+
+    const doc = await getStore().insertAsync({
+        submissionId: id,
+        version: await nextVersion(id),
+        tokenDigest: token ? tokenDigest(token) : await submissionTokenDigest(id),
+        createdAt: new Date().toISOString(),
+        recheckOf: recheckOf || null,
+        client: client || null,
+        input: Object.assign({}, input, { imageInfo: storedImageInfo(input.imageInfo, results.image) }),
+        landingPageSnapshot: storedSnapshot(landingPageSnapshot),
+        ruleSetVersion: results.ruleSetVersion,
+        score: results.score,
+        approved: results.approved,
+        results
+    });
+
+    return token ? Object.assign(doc, { submissionToken: token }) : doc;
+}
+
+// The request fields that are stored as a check's input
+function checkInput({ adText, adFields, landingPage, displayUrl, platform, jurisdiction, imageInfo, approvalThreshold, advertiser, project }) {
+    return { adText, adFields, landingPage, displayUrl, platform, jurisdiction, imageInfo, approvalThreshold, advertiser, project };
+}
+
+// Stores a finished check and adds its id, submission, version and review
+// state (and, for a new submission, its submissionToken) to the results; the
+// results are still returned if storage fails.
+async function recordCheck(input, landingPageSnapshot, results, options = {}) {
+    try {
+        const saved = await saveCheck(Object.assign({ input, landingPageSnapshot, results }, options));
+        return Object.assign(results, {
+            checkId: saved._id,
+            submissionId: saved.submissionId,
+            version: saved.version,
+            submissionToken: saved.submissionToken,
+            reviewState: await noteCheck(saved).catch(error => {
+                console.error('Error updating review state:', error.message);
+                return null;
+            })
+        });
+    } catch (error) {
+        console.error('Error saving check history:', error.message);
+        return results;
+    }
+}
+
+function ownerQuery(query, client) {
+    if (client === undefined) return query;
+    if (client) return Object.assign({ client }, query);
+    return Object.assign({ $or: [{ client: null }, { client: { $exists: false } }] }, query);
+}
+
+async function getCheck(id, { client } = {}) {
+    return getStore().findOneAsync(ownerQuery({ _id: id }, client));
+}
+
+// The latest stored version of a submission
+async function getLatestCheck(submissionId, { client } = {}) {
+    const [latest] = await getStore().findAsync(ownerQuery({ submissionId }, client)).sort({ version: -1 }).limit(1);
+    return latest || null;
+}
+
+async function listChecks({ submissionId, limit = 50, offset = 0, client } = {}) {
+    const query = ownerQuery(submissionId ? { submissionId } : {}, client);
+    const docs = await getStore()
+        .findAsync(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit);
+    return docs.map(summarizeCheck);
+}
+
+// One entry per rule that raised a violation or warning
+function findingsByRule(results) {
+    const findings = new Map();
+    results.violations.forEach(f => findings.set(f.ruleId, Object.assign({ type: 'violation' }, f)));
+    results.warnings.forEach(f => findings.set(f.ruleId, Object.assign({ type: 'warning' }, f)));
+    return findings;
+}
+
+function describeFinding(finding) {
+    return {
+        ruleId: finding.ruleId,
+        type: finding.type,
+        severity: finding.severity,
+        title: finding.title,
+        description: finding.description
+    };
+}
+
+// Compares two stored checks: findings that were resolved, newly introduced,
+// or still present but changed (severity, type or wording).
+function diffChecks(before, after) {
+    const previous = findingsByRule(before.results);
+    const current = findingsByRule(after.results);
+
+    const resolved = [];
+    const introduced = [];
+    const changed = [];
+    let unchanged = 0;
+
+    previous.forEach((finding, ruleId) => {
+        if (!current.has(ruleId)) resolved.push(describeFinding(finding));
+    });
+
+    current.forEach((finding, ruleId) => {
+        const earlier = previous.get(ruleId);
+        if (!earlier) {
+            introduced.push(describeFinding(finding));
+        } else if (earlier.type !== finding.type || earlier.severity !== finding.severity ||
+                   earlier.description !== finding.description) {
+            changed.push({ ruleId, before: describeFinding(earlier), after: describeFinding(finding) });
+        } else {
+            unchanged++;
+        }
+    });
+
+    return {
+        from: summarizeCheck(before),
+        to: summarizeCheck(after),
+        scoreDelta: after.score - before.score,
+        approvalChanged: before.approved !== after.approved,
+        ruleSetChanged: before.ruleSetVersion !== after.ruleSetVersion,
+        resolved,
+        introduced,
+        changed,
+        unchanged
+    };
+}
+
+module.exports = {
+    saveCheck,
+    checkInput,
+    recordCheck,
+    getCheck,
+    getLatestCheck,
+    holdsSubmission,
+    listChecks,
+    summarizeCheck,
+    diffChecks
+};
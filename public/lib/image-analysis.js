@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+// Image analysis for ad creatives
+//
+// Works on the uploaded bytes rather than the browser's claimed MIME type:
+// the format comes from the file signature, dimensions from the image header,
+// and text coverage from a small edge-density text-region detector that runs
+// on the CPU without any external service.
+//
+// Decoding and text detection take a few hundred milliseconds for a large
+// creative, so requests use measureImage(), which runs them in a worker thread
+// (IMAGE_WORKERS at a time) and reuses the analysis of identical bytes, as
+// when a batch repeats one image on every row.
+
+const MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const ASPECT_TOLERANCE = 0.03;
+
+// Detector tuning: the image is reduced to at most ANALYSIS_SIZE pixels on its
+// long side and split into CELL x CELL blocks. A block looks like text when it
+// has enough contrast and a dense, stroke-like pattern of vertical edges, and
+// is mostly flat between those edges: glyphs and their background are areas of
+// even tone, while noise and fine texture change from one pixel to the next.
+const ANALYSIS_SIZE = 512;
+const CELL = 8;
+const EDGE_THRESHOLD = 48;
+const MIN_CONTRAST = 70;
+const MIN_EDGE_DENSITY = 0.15;
+const MAX_EDGE_DENSITY = 0.9;
+const MIN_STROKES_PER_ROW = 1;
+const FLAT_STEP = 12;
+const MIN_FLAT_SHARE = 0.4;
+const MIN_REGION_CELLS = 3;
+const MAX_REPORTED_BOXES = 50;
+
+// Images are only decoded up to this many pixels (the header's width x
+// height, checked before decoding): a small compressed file can declare a
+// huge canvas, and decoding it would block the server and exhaust memory.
+const MAX_DECODE_PIXELS = parseInt(process.env.MAX_DECODE_PIXELS, 10) || 4096 * 4096;
+
+const IMAGE_WORKERS = Math.max(1, parseInt(process.env.IMAGE_WORKERS, 10) || 1);
+const ANALYSIS_TIMEOUT_MS = parseInt(process.env.IMAGE_ANALYSIS_TIMEOUT_MS, 10) || 15000;
+const CACHED_ANALYSES = 32;
+const WORKER_FILE = path.join(__dirname, 'image-worker.js');
+
+const analyses = new Map();
+const waiting = [];
+let running = 0;
+
+function decodeImageData(data) {
+    if (!data || typeof data !== 'string') return null;
+    const base64 = data.replace(/^data:[^;,]*(;[^,]*)?,/, '');
+    const buffer = Buffer.from(base64, 'base64');
+    return buffer.length > 0 ? buffer : null;
+}
+
+function sniffFormat(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+    if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) return 'gif';
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' &&
+        buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+function jpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            offset++;
+            continue;
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+            offset += 2;
+            continue;
+        }
+        // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function webpDimensions(buffer) {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+        const b = buffer.subarray(21, 25);
+        return {
+            width: 1 + (((b[1] & 0x3f) << 8) | b[0]),
+            height: 1 + (((b[3] & 0x0f) << 10) | (b[2] << 2) | ((b[1] & 0xc0) >> 6))
+        };
+    }
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+    return null;
+}
+
+function readDimensions(buffer, format) {
+    switch (format) {
+        case 'png':
+            return buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null;
+        case 'gif':
+            return buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : null;
+        case 'jpeg':
+            return jpegDimensions(buffer);
+        case 'webp':
+            return webpDimensions(buffer);
+        default:
+            return null;
+    }
+}
+
+// Returns RGBA pixels for the formats we can decode locally, otherwise null.
+// Callers check the size against MAX_DECODE_PIXELS first.
+function decodePixels(buffer, format) {
+    if (format === 'jpeg') {
+        return jpeg.decode(buffer, { useTArray: true, maxResolutionInMP: MAX_DECODE_PIXELS / 1e6, maxMemoryUsageInMB: 128 });
+    }
+    if (format === 'png') {
+        return PNG.sync.read(buffer);
+    }
+    return null;
+}
+
+// Box-filtered grayscale copy, composited on white, at most `maxSide` long.
+function toGrayscale({ width, height, data }, maxSide = ANALYSIS_SIZE) {
+    const scale = Math.min(1, maxSide / Math.max(width, height));
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+    const gray = new Uint8Array(w * h);
+
+    for (let ty = 0; ty < h; ty++) {
+        const y0 = Math.floor(ty / scale);
+        const y1 = Math.max(y0 + 1, Math.min(height, Math.floor((ty + 1) / scale)));
+        for (let tx = 0; tx < w; tx++) {
+            const x0 = Math.floor(tx / scale);
+            const x1 = Math.max(x0 + 1, Math.min(width, Math.floor((tx + 1) / scale)));
+            let sum = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    const alpha = data[i + 3] / 255;
+                    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                    sum += alpha * luma + (1 - alpha) * 255;
+                }
+            }
+            gray[ty * w + tx] = Math.round(sum / ((y1 - y0) * (x1 - x0)));
+        }
+    }
+
+    return { gray, width: w, height: h, scale };
+}
+
+function isTextCell(gray, width, height, cx, cy) {
+    let edges = 0;
+    let strokes = 0;
+    let flat = 0;
+    let min = 255;
+    let max = 0;
+
+    for (let y = cy * CELL; y < (cy + 1) * CELL; y++) {
+        let inStroke = false;
+        for (let x = cx * CELL; x < (cx + 1) * CELL; x++) {
+            const i = y * width + x;
+            const value = gray[i];
+            if (value < min) min = value;
+            if (value > max) max = value;
+
+            const gx = x > 0 && x < width - 1 ? Math.abs(gray[i + 1] - gray[i - 1]) : 0;
+            const gy = y > 0 && y < height - 1 ? Math.abs(gray[i + width] - gray[i - width]) : 0;
+            if (Math.max(gx, gy) > EDGE_THRESHOLD) edges++;
+
+            if (x < (cx + 1) * CELL - 1 && Math.abs(gray[i + 1] - value) <= FLAT_STEP) flat++;
+
+            const vertical = gx > EDGE_THRESHOLD;
+            if (vertical && !inStroke) strokes++;
+            inStroke = vertical;
+        }
+    }
+
+    const density = edges / (CELL * CELL);
+    return max - min >= MIN_CONTRAST &&
+        density >= MIN_EDGE_DENSITY &&
+        density <= MAX_EDGE_DENSITY &&
+        strokes / CELL >= MIN_STROKES_PER_ROW &&
+        flat / (CELL * (CELL - 1)) >= MIN_FLAT_SHARE;
+}
+
+// Groups text-like cells into regions and returns their bounding boxes in
+// cell units. Single-cell gaps inside a line of text are bridged first.
+function findTextRegions(cells, cols, rows) {
+    for (let cy = 0; cy < rows; cy++) {
+        for (let cx = 1; cx < cols - 1; cx++) {
+            const i = cy * cols + cx;
+            if (!cells[i] && cells[i - 1] === 1 && cells[i + 1] === 1) cells[i] = 2;
+        }
+    }
+
+    const seen = new Uint8Array(cols * rows);
+    const regions = [];
+
+    for (let start = 0; start < cells.length; start++) {
+        if (!cells[start] || seen[start]) continue;
+
+        const stack = [start];
+        const box = { left: cols, top: rows, right: -1, bottom: -1, cells: 0 };
+        seen[start] = 1;
+
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const cx = i % cols;
+            const cy = Math.floor(i / cols);
+            box.cells++;
+            box.left = Math.min(box.left, cx);
+            box.right = Math.max(box.right, cx);
+            box.top = Math.min(box.top, cy);
+            box.bottom = Math.max(box.bottom, cy);
+
+            [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]].forEach(([nx, ny]) => {
+                if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) return;
+                const n = ny * cols + nx;
+                if (cells[n] && !seen[n]) {
+                    seen[n] = 1;
+                    stack.push(n);
+                }
+            });
+        }
+
+        // Text lines are wider than they are tall
+        const boxWidth = box.right - box.left + 1;
+        const boxHeight = box.bottom - box.top + 1;
+        if (box.cells >= MIN_REGION_CELLS && boxWidth >= 2 && boxWidth >= boxHeight / 2) {
+            regions.push(box);
+        }
+    }
+
+    return regions;
+}
+
+function detectText(pixels) {
+    const { gray, width, height, scale } = toGrayscale(pixels);
+    const cols = Math.floor(width / CELL);
+    const rows = Math.floor(height / CELL);
+    if (cols === 0 || rows === 0) return { textCoverage: 0, textBoxes: [] };
+
+    const cells = new Uint8Array(cols * rows);
+    for (let cy = 0; cy < rows; cy++) {
+        for (let cx = 0; cx < cols; cx++) {
+            if (isTextCell(gray, width, height, cx, cy)) cells[cy * cols + cx] = 1;
+        }
+    }
+
+    const regions = findTextRegions(cells, cols, rows);
+
+    // Coverage is the union of region boxes, like Meta's former grid tool
+    const covered = new Uint8Array(cols * rows);
+    regions.forEach(r => {
+        for (let cy = r.top; cy <= r.bottom; cy++) {
+            covered.fill(1, cy * cols + r.left, cy * cols + r.right + 1);
+        }
+    });
+    const coveredCells = covered.reduce((sum, c) => sum + c, 0);
+
+    const toPixels = value => Math.round(value * CELL / scale);
+    const textBoxes = regions
+        .sort((a, b) => b.cells - a.cells)
+        .slice(0, MAX_REPORTED_BOXES)
+        .map(r => ({
+            x: toPixels(r.left),
+            y: toPixels(r.top),
+            width: toPixels(r.right - r.left + 1),
+            height: toPixels(r.bottom - r.top + 1)
+        }));
+
+    return {
+        textCoverage: Math.round(coveredCells / (cols * rows) * 1000) / 10,
+        textBoxes
+    };
+}
+
+// Full analysis of an uploaded image. `claimedType` is the MIME type the
+// browser reported, kept only to flag mismatches. With `measureText: false`
+// only the header is read and text detection is left 'unsupported'.
+function analyzeImageBuffer(buffer, claimedType, { measureText = true } = {}) {
+    const format = sniffFormat(buffer);
+    const dimensions = format ? readDimensions(buffer, format) : null;
+
+    const analysis = {
+        bytes: buffer.length,
+        format,
+        mimeType: format ? MIME_TYPES[format] : null,
+        claimedType: claimedType || null,
+        mimeMatches: !claimedType || !format ||
+            MIME_TYPES[format] === claimedType.toLowerCase().replace('image/jpg', 'image/jpeg'),
+        width: dimensions ? dimensions.width : null,
+        height: dimensions ? dimensions.height : null,
+        aspectRatio: dimensions && dimensions.height ? Math.round(dimensions.width / dimensions.height * 100) / 100 : null,
+        textDetection: 'unsupported',
+        textCoverage: null,
+        textBoxes: []
+    };
+
+    if (!measureText) return analysis;
+
+    // Only decode what the header says is a manageable size
+    const decodable = format === 'jpeg' || format === 'png';
+    if (decodable && !(dimensions && dimensions.width * dimensions.height <= MAX_DECODE_PIXELS)) {
+        analysis.textDetection = dimensions ? 'too-large' : 'failed';
+        return analysis;
+    }
+
+    try {
+        const pixels = format ? decodePixels(buffer, format) : null;
+        if (pixels) {
+            Object.assign(analysis, detectText(pixels), { textDetection: 'measured' });
+        }
+    } catch (error) {
+        console.error('Error decoding image:', error.message);
+        analysis.textDetection = 'failed';
+    }
+
+    return analysis;
+}
+
+function releaseWorker() {
+    running--;
+    if (waiting.length > 0) waiting.shift()();
+}
+
+function acquireWorker() {
+    if (running < IMAGE_WORKERS) {
+        running++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(() => {
+        running++;
+        resolve();
+    }));
+}
+
+// analyzeImageBuffer in a worker thread; rejects when the worker fails or
+// takes longer than ANALYSIS_TIMEOUT_MS
+async function analyzeInWorker(buffer, claimedType) {
+    await acquireWorker();
+    try {
+        return await new Promise((resolve, reject) => {
+            const worker = new Worker(WORKER_FILE, {
+                workerData: { buffer, claimedType: claimedType || null },
+                resourceLimits: { maxOldGenerationSizeMb: 256 }
+            });
+            const timer = setTimeout(() => {
+                worker.terminate();
+                reject(new Error(`Image analysis took longer than ${ANALYSIS_TIMEOUT_MS} ms`));
+            }, ANALYSIS_TIMEOUT_MS);
+
+            worker.once('message', analysis => {
+                clearTimeout(timer);
+                resolve(analysis);
+            });
+            worker.once('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            worker.once('exit', code => {
+                clearTimeout(timer);
+                reject(new Error(`Image analysis worker exited with code ${code}`));
+            });
+        });
+    } finally {
+        releaseWorker();
+    }
+}
+
+// Analysis of a request's `imageInfo` (its `data` as base64 or a data URL),
+// off the request thread. Resolves with null when there are no bytes; when
+// the worker fails, with the header-only analysis marked 'failed'.
+function measureImage(imageInfo) {
+    const buffer = imageInfo ? decodeImageData(imageInfo.data) : null;
+    if (!buffer) return Promise.resolve(null);
+
+    const key = crypto.createHash('sha256').update(buffer).update(`\u0000${imageInfo.type || ''}`).digest('hex');
+    if (!analyses.has(key)) {
+        analyses.set(key, analyzeInWorker(buffer, imageInfo.type).catch(error => {
+            console.error('Error analysing image:', error.message);
+            return Object.assign(analyzeImageBuffer(buffer, imageInfo.type, { measureText: false }), { textDetection: 'failed' });
+        }));
+        if (analyses.size > CACHED_ANALYSES) analyses.delete(analyses.keys().next().value);
+    }
+
+    // Each caller gets its own copy of a shared analysis
+    return analyses.get(key).then(analysis => JSON.parse(JSON.stringify(analysis)));
+}
+
+// Closest placement by aspect ratio (within tolerance), or null.
+function matchPlacement(width, height, placements) {
+    if (!width || !height) return null;
+    const ratio = width / height;
+
+    const candidates = placements
+        .map(p => Object.assign({}, p, { deviation: Math.abs(ratio - p.ratio) / p.ratio }))
+        .filter(p => p.deviation <= ASPECT_TOLERANCE)
+        .sort((a, b) => a.deviation - b.deviation);
+
+    if (candidates.length === 0) return null;
+
+    const best = candidates[0];
+    return {
+        name: best.name,
+        recommended: best.recommended,
+        minWidth: best.minWidth,
+        minHeight: best.minHeight,
+        meetsMinimum: width >= best.minWidth && height >= best.minHeight
+    };
+}
+
+module.exports = {
+    MIME_TYPES,
+    decodeImageData,
+    sniffFormat,
+    readDimensions,
+    detectText,
+    analyzeImageBuffer,
+    measureImage,
+    matchPlacement
+};
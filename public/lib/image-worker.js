@@ -0,0 +1,8 @@
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeImageBuffer } = require('./image-analysis');
+
+// Runs one image analysis for measureImage() in lib/image-analysis.js, off
+// the server's main thread
+
+const { buffer, claimedType } = workerData;
+parentPort.postMessage(analyzeImageBuffer(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), claimedType));
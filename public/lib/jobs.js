@@ -0,0 +1,151 @@
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+const { deliverWebhook } = require('./webhooks');
+
+// Asynchronous check jobs
+//
+// A job is stored as soon as it is submitted and worked through by an
+// in-process queue, JOB_CONCURRENCY at a time (default 2). Its status goes
+// queued -> running -> completed | failed; jobs that were queued or running
+// when the server stopped are picked up again by startJobs(). When a job has
+// a callbackUrl, its outcome is delivered there as a signed webhook
+// (lib/webhooks.js) and the delivery recorded on the job.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2);
+
+let store = null;
+let runner = null;
+const queue = [];
+let active = 0;
+
+function getStore() {
+    if (!store) {
+        store = new Datastore({ filename: path.join(DATA_DIR, 'jobs.db'), autoload: true });
+        store.ensureIndex({ fieldName: 'client' });
+    }
+    return store;
+}
+
+async function updateJob(id, fields) {
+    await getStore().updateAsync({ _id: id }, { $set: fields });
+}
+
+async function getJob(id) {
+    return getStore().findOneAsync({ _id: id });
+}
+
+// Stores a job and queues it. `input` is the check request, `client` the API
+// client that submitted it, `reference` an optional id of the client's own.
+async function submitJob({ input, client, callbackUrl, reference }) {
+    const job = await getStore().insertAsync({
+        status: 'queued',
+        client,
+        reference: reference || null,
+        callbackUrl: callbackUrl || null,
+        input,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null,
+        checkId: null,
+        result: null,
+        error: null,
+        webhook: null
+    });
+    enqueue(job._id);
+    return job;
+}
+
+function enqueue(id) {
+    queue.push(id);
+    drain();
+}
+
+// A job holds one of the CONCURRENCY slots while it runs; its webhook is
+// delivered after the slot is freed, so slow receivers don't hold up the queue
+function drain() {
+    while (runner && active < CONCURRENCY && queue.length > 0) {
+        active++;
+        const id = queue.shift();
+        processJob(id)
+            .catch(error => {
+                console.error(`Job ${id} could not be processed:`, error);
+                return null;
+            })
+            .then(finished => {
+                active--;
+                drain();
+                if (finished && finished.callbackUrl) {
+                    notifyClient(finished).catch(error => console.error(`Webhook for job ${id} could not be recorded:`, error));
+                }
+            });
+    }
+}
+
+// Runs a job and stores its outcome. Resolves with the finished job, or null
+// when there was nothing to run.
+async function processJob(id) {
+    const job = await getJob(id);
+    if (!job || (job.status !== 'queued' && job.status !== 'running')) return null;
+
+    await updateJob(id, { status: 'running', startedAt: new Date().toISOString() });
+
+    let outcome;
+    try {
+        const result = await runner(job.input, job);
+        outcome = { status: 'completed', result, checkId: result.checkId || null, error: null };
+    } catch (error) {
+        if (!error.code) console.error(`Job ${id} failed:`, error);
+        outcome = { status: 'failed', result: null, error: { message: error.message, code: error.code || 'INTERNAL_ERROR' } };
+    }
+    outcome.completedAt = new Date().toISOString();
+    await updateJob(id, outcome);
+
+    return getJob(id);
+}
+
+// Delivers a finished job's outcome to its callbackUrl and records the delivery
+async function notifyClient(job) {
+    const delivery = await deliverWebhook(job.callbackUrl, `check.${job.status}`, { job: describeJob(job) });
+    await updateJob(job._id, { webhook: Object.assign({ deliveredAt: delivery.delivered ? new Date().toISOString() : null }, delivery) });
+}
+
+// Starts working the queue with `run(input, job)`, which resolves with the
+// job's result or throws (an error `code` is passed on to the client).
+// Unfinished jobs from an earlier run are queued again, oldest first.
+async function startJobs(run) {
+    runner = run;
+    const unfinished = await getStore()
+        .findAsync({ status: { $in: ['queued', 'running'] } }, { _id: 1 })
+        .sort({ createdAt: 1 });
+    unfinished.forEach(job => {
+        if (!queue.includes(job._id)) queue.push(job._id);
+    });
+    drain();
+}
+
+// A job as shown to its client
+function describeJob(job) {
+    return {
+        id: job._id,
+        status: job.status,
+        reference: job.reference,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        checkId: job.checkId,
+        result: job.result,
+        error: job.error,
+        callbackUrl: job.callbackUrl,
+        webhook: job.webhook
+            ? { delivered: job.webhook.delivered, attempts: job.webhook.attempts, status: job.webhook.status, error: job.webhook.error, deliveredAt: job.webhook.deliveredAt }
+            : null
+    };
+}
+
+module.exports = {
+    submitJob,
+    getJob,
+    startJobs,
+    describeJob
+};
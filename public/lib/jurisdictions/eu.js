@@ -0,0 +1,33 @@
+// European Union
+//
+// The equal treatment directives cover access to housing offered to the
+// public; member state laws implementing them often go further.
+module.exports = {
+    id: 'eu',
+    name: 'European Union',
+    statutes: {
+        discrimination: 'Council Directive 2000/43/EC Art. 3(1)(h); Council Directive 2004/113/EC Art. 3',
+        lending: 'Mortgage Credit Directive 2014/17/EU Art. 11',
+        claims: 'Unfair Commercial Practices Directive 2005/29/EC Arts. 6 and 12'
+    },
+    // Advertising that quotes a rate or any cost figure needs the standard
+    // information, APRC included
+    lending: [
+        {
+            triggers: ['rate', 'financeCharge', 'paymentAmount', 'downPayment', 'paymentPeriod'],
+            requires: ['apr', 'repaymentTerms', 'creditAmount'],
+            citation: 'Mortgage Credit Directive 2014/17/EU Art. 11'
+        }
+    ],
+    discrimination: {
+        protectedClasses: ['racial or ethnic origin', 'sex'],
+        prohibitedTerms: [
+            'nationals only', 'natives only', 'locals only', 'eu citizens only',
+            'no foreigners', 'no immigrants', 'no refugees', 'no roma',
+            'white only', 'men only', 'women only'
+        ],
+        contextTerms: [
+            'native speakers', 'locals'
+        ]
+    }
+};
@@ -0,0 +1,57 @@
+// India, Real Estate (Regulation and Development) Act 2016
+//
+// Every advertisement for a registered project must carry its RERA
+// registration number and the authority's website, sell on carpet area, and
+// not pass off renders as photographs. There is no central statute against
+// discriminatory housing ads, so those findings cite the platform standard.
+module.exports = {
+    id: 'in',
+    name: 'India (RERA)',
+    statutes: {
+        registration: 'RERA 2016 § 11(2)',
+        veracity: 'RERA 2016 § 12',
+        carpetArea: 'RERA 2016 § 2(k)',
+        lending: 'RBI Fair Practices Code; RBI Key Facts Statement directions (2024)',
+        claims: 'RERA 2016 § 12; Consumer Protection Act 2019 § 2(28)',
+        discrimination: 'Meta Advertising Standards - Discriminatory Practices'
+    },
+    rera: {
+        // Wording that marks visuals as renders rather than photographs
+        disclaimerPhrases: [
+            "artist's impression", 'artist impression', 'artistic impression', 'artists impression',
+            'for representation purpose', 'for representational purpose', 'for illustration purpose',
+            'representative image', 'images are indicative', 'not actual', 'indicative image'
+        ],
+        // Area bases other than carpet area, which RERA does not allow a sale on
+        nonCarpetAreaTerms: [
+            'super built-up', 'super built up', 'super builtup', 'super area',
+            'saleable area', 'salable area', 'built-up area', 'built up area', 'sba'
+        ]
+    },
+    // EMI and interest offers must carry the loan terms, and bank loans are
+    // never guaranteed; builder payment plans and offers are "advertisements"
+    // under RERA and must state their conditions.
+    lending: [
+        {
+            triggers: ['paymentAmount', 'rate', 'financeCharge', 'paymentPeriod'],
+            requires: ['interestRate', 'repaymentTerms', 'loanApproval'],
+            citation: 'RBI Fair Practices Code; RBI Key Facts Statement directions (2024)'
+        },
+        {
+            triggers: ['downPayment', 'offer'],
+            requires: ['offerTerms', 'offerValidity'],
+            citation: 'RERA 2016 § 12'
+        }
+    ],
+    discrimination: {
+        protectedClasses: ['religion', 'caste', 'diet', 'marital status', 'region of origin'],
+        prohibitedTerms: [
+            'vegetarians only', 'veg only', 'pure veg society', 'no non-veg', 'no non-vegetarians',
+            'jains only', 'brahmins only', 'hindus only', 'muslims only', 'christians only', 'no muslims',
+            'no bachelors', 'bachelors not allowed', 'no north indians', 'no south indians'
+        ],
+        contextTerms: [
+            'vegetarian', 'jain'
+        ]
+    }
+};
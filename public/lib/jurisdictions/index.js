@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Jurisdiction policy packs
+//
+// Each file in this directory describes one jurisdiction: its id, a display
+// name, the statutes its findings cite and the data its rules read. A request
+// picks one or more packs next to `platform`; rules declare the packs they
+// belong to with `jurisdictions: [...]`. A pack may `extend` another (state
+// law on top of federal), in which case selecting it selects both.
+
+const DEFAULT_JURISDICTIONS = ['us'];
+
+const JURISDICTIONS = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .reduce((packs, file) => {
+        const pack = require(path.join(__dirname, file));
+        packs[pack.id] = pack;
+        return packs;
+    }, {});
+
+// Accepts an id, a comma-separated list or an array and returns the selected
+// ids plus everything they extend. Unknown ids throw.
+function resolveJurisdictions(value) {
+    const requested = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(id => String(id).trim().toLowerCase())
+        .filter(Boolean);
+    const resolved = [];
+
+    const add = id => {
+        const pack = JURISDICTIONS[id];
+        if (!pack) throw new Error(`Unknown jurisdiction "${id}"`);
+        if (resolved.includes(id)) return;
+        if (pack.extends) add(pack.extends);
+        resolved.push(id);
+    };
+
+    (requested.length > 0 ? requested : DEFAULT_JURISDICTIONS).forEach(add);
+    return resolved;
+}
+
+function listJurisdictions() {
+    return Object.keys(JURISDICTIONS).map(id => ({
+        id,
+        name: JURISDICTIONS[id].name,
+        extends: JURISDICTIONS[id].extends || null,
+        statutes: JURISDICTIONS[id].statutes
+    }));
+}
+
+module.exports = {
+    DEFAULT_JURISDICTIONS,
+    JURISDICTIONS,
+    resolveJurisdictions,
+    listJurisdictions
+};
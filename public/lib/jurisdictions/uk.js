@@ -0,0 +1,37 @@
+// United Kingdom
+//
+// Blanket refusals of tenants on benefits ("No DSS") were held to be indirect
+// sex and disability discrimination in 2020, so they are listed with the
+// direct exclusions.
+module.exports = {
+    id: 'uk',
+    name: 'United Kingdom',
+    statutes: {
+        discrimination: 'Equality Act 2010 ss. 13, 19 and 33',
+        lending: 'FCA Consumer Credit sourcebook (CONC) 3.5',
+        claims: 'CAP Code rules 3.7 and 3.31; Consumer Protection from Unfair Trading Regulations 2008'
+    },
+    // Any rate or cost-of-credit figure needs a representative example
+    lending: [
+        {
+            triggers: ['rate', 'financeCharge', 'paymentAmount', 'downPayment', 'paymentPeriod'],
+            requires: ['apr', 'repaymentTerms', 'creditAmount'],
+            citation: 'FCA CONC 3.5.5R'
+        }
+    ],
+    discrimination: {
+        protectedClasses: [
+            'age', 'disability', 'gender reassignment', 'marriage and civil partnership',
+            'pregnancy and maternity', 'race', 'religion or belief', 'sex', 'sexual orientation'
+        ],
+        prohibitedTerms: [
+            'no dss', 'dss not accepted', 'no housing benefit', 'no benefits', 'no universal credit',
+            'british only', 'english only', 'no foreigners', 'no immigrants', 'no asylum seekers',
+            'christians only', 'muslims only', 'men only', 'women only',
+            'no wheelchairs', 'no disabled', 'no children', 'no kids', 'no pregnant'
+        ],
+        contextTerms: [
+            'professionals only', 'working professionals', 'no students', 'retirement'
+        ]
+    }
+};
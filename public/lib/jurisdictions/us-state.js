@@ -0,0 +1,29 @@
+// United States, state and local fair housing laws
+//
+// Many states and cities protect more classes than the federal act. The
+// lists cover the common additions; a few lawful uses ("Section 8 welcome")
+// are not matched because only the exclusionary phrasing is listed.
+module.exports = {
+    id: 'us-state',
+    name: 'United States (state and local)',
+    extends: 'us',
+    statutes: {
+        discrimination: 'State and local fair housing laws (e.g. Cal. Gov. Code § 12955, N.Y. Exec. Law § 296(5), NYC Admin. Code § 8-107(5))'
+    },
+    discrimination: {
+        protectedClasses: [
+            'source of income', 'sexual orientation', 'gender identity', 'military status',
+            'marital status', 'age'
+        ],
+        prohibitedTerms: [
+            'no section 8', 'section 8 not accepted', 'no vouchers', 'no housing vouchers',
+            'vouchers not accepted', 'no government assistance', 'no public assistance', 'no welfare',
+            'employed only', 'must be employed',
+            'straight only', 'no gays', 'no lgbt', 'no transgender',
+            'no military', 'no active duty', 'no veterans'
+        ],
+        contextTerms: [
+            'income requirement', 'military', 'veterans only'
+        ]
+    }
+};
@@ -0,0 +1,31 @@
+// United States, federal
+//
+// The Fair Housing Act term lists stay in POLICIES.fairHousing, where the
+// fair-housing rules and the rewrite table read them. `lending` maps the
+// trigger terms found by lib/financial.js to the disclosures they require.
+module.exports = {
+    id: 'us',
+    name: 'United States (federal)',
+    statutes: {
+        discrimination: 'Fair Housing Act § 3604(c)',
+        lending: 'Truth in Lending Act (Regulation Z)',
+        claims: 'FTC Act § 5 (advertising substantiation)'
+    },
+    lending: [
+        {
+            triggers: ['downPayment', 'paymentAmount', 'paymentPeriod', 'financeCharge'],
+            requires: ['downPaymentTerms', 'repaymentTerms', 'apr'],
+            citation: 'Regulation Z § 1026.24(d)'
+        },
+        {
+            triggers: ['rate'],
+            requires: ['apr'],
+            citation: 'Regulation Z § 1026.24(c)'
+        },
+        {
+            triggers: ['offer'],
+            requires: ['offerTerms'],
+            citation: 'FTC Act § 5'
+        }
+    ]
+};
@@ -0,0 +1,238 @@
+const { LANGUAGES, termsFor } = require('./languages');
+
+// Language detection and multilingual term matching
+//
+// Detection counts letters per script; Latin-script words are credited to
+// English, Spanish or Hinglish by the common words each language file lists
+// (accented letters count for Spanish), and unrecognised Latin words follow
+// whichever of those was seen. The result gives the main language and the
+// share of each one, since Indian ads often mix scripts.
+//
+// Matching runs on a normalised copy of the text: compatibility forms folded
+// (NFKC), lower case, accents dropped from Latin letters, zero-width and soft
+// hyphen characters removed, plus the Hinglish spelling fold for languages
+// that ask for it. Matches are mapped back to offsets in the original text.
+
+const SNIPPET_RADIUS = 30;
+const DEFAULT_LANGUAGE = 'en';
+const MIN_SHARE = 0.1;
+
+const WORD_BEFORE = '(?<![\\p{L}\\p{M}\\p{N}_])';
+const WORD_AFTER = '(?![\\p{L}\\p{M}\\p{N}_])';
+const IGNORED = /[\u00AD\u200B-\u200D\u2060\uFEFF]/;
+const LATIN = /[A-Za-z\u00C0-\u024F\u1E00-\u1EFF\uFF21-\uFF3A\uFF41-\uFF5A]/;
+const SPANISH_LETTERS = /[\u00F1\u00E1\u00E9\u00ED\u00F3\u00FA\u00FC\u00BF\u00A1]/;
+const CLUSTER = /\P{M}\p{M}*|\p{M}+/gu;
+const WORD = /[\p{L}\p{M}]+/gu;
+
+const patternCache = new Map();
+const markerSets = new Map();
+
+function languageName(code) {
+    return LANGUAGES[code] ? LANGUAGES[code].name : code;
+}
+
+// Splits text into normalised characters, each remembering the span of the
+// original text it came from
+function normalizedChars(text) {
+    const chars = [];
+    let cluster;
+    CLUSTER.lastIndex = 0;
+
+    while ((cluster = CLUSTER.exec(text)) !== null) {
+        const from = cluster.index;
+        const to = from + cluster[0].length;
+        if (IGNORED.test(cluster[0])) continue;
+
+        let value = cluster[0].normalize('NFKC').toLowerCase();
+        if (LATIN.test(value.charAt(0))) {
+            value = value.normalize('NFKD').replace(/\p{M}/gu, '');
+        }
+        Array.from(value).forEach(ch => chars.push({ ch, from, to }));
+    }
+    return chars;
+}
+
+// Romanised Hindi spelling fold: "ee" -> "i", "oo" -> "u", "w" -> "v", then
+// runs of one letter collapse ("shaakahaari" -> "shakahari")
+function foldSpelling(chars) {
+    const folded = [];
+    for (let i = 0; i < chars.length; i++) {
+        const current = chars[i];
+        const next = chars[i + 1];
+        let entry = { ch: current.ch === 'w' ? 'v' : current.ch, from: current.from, to: current.to };
+        if (next && current.ch === next.ch && (current.ch === 'e' || current.ch === 'o')) {
+            entry = { ch: current.ch === 'e' ? 'i' : 'u', from: current.from, to: next.to };
+            i++;
+        }
+
+        const previous = folded[folded.length - 1];
+        if (previous && previous.ch === entry.ch && /[a-z]/.test(entry.ch)) {
+            previous.to = entry.to;
+        } else {
+            folded.push(entry);
+        }
+    }
+    return folded;
+}
+
+// Normalised text plus, for each of its characters, the original span
+function normalizeText(text, { fold = false } = {}) {
+    const chars = fold ? foldSpelling(normalizedChars(text || '')) : normalizedChars(text || '');
+    return {
+        text: chars.map(c => c.ch).join(''),
+        from: chars.map(c => c.from),
+        to: chars.map(c => c.to)
+    };
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word pattern for a term in one language, matched against text
+// normalised the same way. English keeps single-space separators; other
+// languages also accept a hyphen ("non-veg").
+function termPattern(term, code = DEFAULT_LANGUAGE) {
+    const key = `${code}\u0000${term}`;
+    if (!patternCache.has(key)) {
+        const language = LANGUAGES[code] || {};
+        const separator = code === DEFAULT_LANGUAGE ? '\\s+' : '[\\s\\-]+';
+        const normalized = normalizeText(term, { fold: language.fold }).text.trim();
+        const body = normalized.split(/[\s-]+/).map(escapeRegExp).join(separator);
+        patternCache.set(key, new RegExp(`${WORD_BEFORE}${body}${language.termSuffix || ''}${WORD_AFTER}`, 'gu'));
+    }
+    const pattern = patternCache.get(key);
+    pattern.lastIndex = 0;
+    return pattern;
+}
+
+function snippetAround(text, start, end) {
+    const from = Math.max(0, start - SNIPPET_RADIUS);
+    const to = Math.min(text.length, end + SNIPPET_RADIUS);
+    return (from > 0 ? '…' : '') +
+        text.slice(from, to).replace(/\s+/g, ' ').trim() +
+        (to < text.length ? '…' : '');
+}
+
+// Offsets in the original text for a match in the normalised text
+function originalSpan(normalized, start, end) {
+    return { start: normalized.from[start], end: normalized.to[end - 1] };
+}
+
+// Every occurrence of the terms in the text, as
+// { term, match, start, end, snippet, language }. `accept(term, normalized,
+// end)` may veto a match by looking at what follows it.
+function findPhrases(text, terms, code = DEFAULT_LANGUAGE, accept = null) {
+    const language = LANGUAGES[code] || {};
+    const normalized = normalizeText(text, { fold: language.fold });
+    const matches = [];
+
+    terms.forEach(term => {
+        const pattern = termPattern(term, code);
+        let found;
+        while ((found = pattern.exec(normalized.text)) !== null) {
+            if (found[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            const normalizedEnd = found.index + found[0].length;
+            if (accept && !accept(term, normalized.text, normalizedEnd)) continue;
+
+            const { start, end } = originalSpan(normalized, found.index, normalizedEnd);
+            matches.push({
+                term,
+                match: text.slice(start, end),
+                start,
+                end,
+                snippet: snippetAround(text, start, end),
+                language: code
+            });
+        }
+    });
+
+    return matches;
+}
+
+// findPhrases over the list at `listPath` in every language that has one
+function findTranslatedTerms(text, listPath) {
+    return termsFor(listPath).reduce((found, entry) => found.concat(findPhrases(text, entry.terms, entry.language)), []);
+}
+
+function markersOf(code) {
+    if (!markerSets.has(code)) {
+        const language = LANGUAGES[code];
+        markerSets.set(code, new Set((language.markers || []).map(word => normalizeText(word, { fold: language.fold }).text)));
+    }
+    return markerSets.get(code);
+}
+
+// The languages a text is written in: { code, name, languages: [{ code,
+// name, share }] } with shares of its letters, largest first. Empty text is
+// reported as English.
+function detectLanguage(text) {
+    const letters = {};
+    const add = (code, count) => { letters[code] = (letters[code] || 0) + count; };
+    const latinCodes = Object.keys(LANGUAGES).filter(code => LANGUAGES[code].script === 'Latin');
+    const scriptCodes = Object.keys(LANGUAGES).filter(code => LANGUAGES[code].scriptPattern);
+    let unassigned = 0;
+
+    const words = (text || '').match(WORD) || [];
+    words.forEach(word => {
+        const scriptCode = scriptCodes.find(code => LANGUAGES[code].scriptPattern.test(word));
+        if (scriptCode) return add(scriptCode, word.length);
+        if (!LATIN.test(word)) return;
+
+        const spanish = SPANISH_LETTERS.test(word.toLowerCase());
+        const matching = spanish ? ['es'] : latinCodes.filter(code => {
+            const normalized = normalizeText(word, { fold: LANGUAGES[code].fold }).text;
+            return markersOf(code).has(normalized);
+        });
+        if (matching.length === 0) {
+            unassigned += word.length;
+            return;
+        }
+        matching.forEach(code => add(code, word.length / matching.length));
+    });
+
+    // Unrecognised Latin words go to the Latin languages seen, in proportion
+    const latinSeen = latinCodes.filter(code => letters[code]);
+    const latinTotal = latinSeen.reduce((sum, code) => sum + letters[code], 0);
+    if (unassigned > 0) {
+        if (latinTotal === 0) add(DEFAULT_LANGUAGE, unassigned);
+        else latinSeen.forEach(code => add(code, unassigned * letters[code] / latinTotal));
+    }
+
+    const total = Object.values(letters).reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+        return { code: DEFAULT_LANGUAGE, name: languageName(DEFAULT_LANGUAGE), languages: [] };
+    }
+
+    const languages = Object.keys(letters)
+        .map(code => ({ code, name: languageName(code), share: Math.round(letters[code] / total * 100) / 100 }))
+        .filter(entry => entry.share >= MIN_SHARE)
+        .sort((a, b) => b.share - a.share);
+
+    return { code: languages[0].code, name: languages[0].name, languages };
+}
+
+// The language most of a finding's matches were found in, or null
+function languageOf(matches) {
+    const counts = {};
+    (matches || []).forEach(m => {
+        if (m.language) counts[m.language] = (counts[m.language] || 0) + 1;
+    });
+    const codes = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    return codes.length > 0 ? codes[0] : null;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    languageName,
+    normalizeText,
+    termPattern,
+    findPhrases,
+    findTranslatedTerms,
+    detectLanguage,
+    languageOf
+};
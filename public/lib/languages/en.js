@@ -0,0 +1,16 @@
+// English
+//
+// The English term lists live with the rules and policy data they belong to
+// (lib/policies.js, the jurisdiction packs, lib/claims.js, lib/financial.js);
+// this file only lets the detector recognise English copy.
+module.exports = {
+    code: 'en',
+    name: 'English',
+    script: 'Latin',
+    termSuffix: '(?:e?s)?',
+    markers: [
+        'the', 'and', 'for', 'with', 'your', 'you', 'our', 'to', 'of', 'is', 'are', 'now', 'this', 'from',
+        'at', 'on', 'get', 'new', 'home', 'homes', 'call', 'today', 'only', 'all', 'by', 'more', 'we', 'it',
+        'an', 'book', 'visit', 'price', 'apartment', 'apartments', 'bedroom', 'luxury', 'near', 'ready', 'move'
+    ]
+};
@@ -0,0 +1,77 @@
+// Spanish, for US Hispanic campaigns
+//
+// Fair Housing Act terms as they are written in Spanish-language listings,
+// and the Truth in Lending triggers and disclosures in the wording US
+// lenders use in Spanish.
+module.exports = {
+    code: 'es',
+    name: 'Spanish',
+    script: 'Latin',
+    termSuffix: '(?:e?s)?',
+    markers: [
+        'el', 'la', 'los', 'las', 'del', 'y', 'con', 'para', 'por', 'que', 'una', 'su', 'sus', 'es',
+        'casa', 'casas', 'venta', 'hoy', 'llame', 'llama', 'solo', 'más', 'mes', 'años', 'al', 'tu',
+        'nuestro', 'nuestra', 'desde', 'hasta', 'sin', 'precio', 'departamento', 'recámaras', 'habitaciones',
+        'baños', 'hogar', 'nueva', 'nuevo', 'ahora', 'aquí', 'información', 'vivienda', 'familia'
+    ],
+    fairHousing: {
+        prohibitedTerms: [
+            'solo adultos', 'no niños', 'sin niños', 'no se aceptan niños', 'solo parejas', 'solo matrimonios',
+            'solo casados', 'solo solteros', 'no estudiantes', 'no se aceptan estudiantes', 'ideal para jubilados',
+            'jóvenes profesionales', 'recién casados', 'solo hombres', 'solo mujeres', 'solo cristianos',
+            'solo católicos', 'solo hispanos', 'solo latinos', 'solo blancos', 'solo ciudadanos',
+            'solo personas que hablen inglés', 'solo se habla inglés', 'no discapacitados', 'no sillas de ruedas',
+            'personas físicamente aptas', 'clientela selecta'
+        ],
+        contextTerms: [
+            'tercera edad', 'personas mayores', 'jóvenes', 'religioso', 'exclusivo', 'comunidad privada'
+        ]
+    },
+    callToAction: [
+        'llame', 'llámenos', 'llama', 'llámanos', 'contáctenos', 'contáctanos', 'visite', 'visítenos', 'visita',
+        'reserve', 'reserva', 'agende', 'agenda su cita', 'regístrese', 'regístrate', 'solicite', 'solicita',
+        'más información', 'escríbanos', 'escríbenos', 'cotice', 'cotiza'
+    ],
+    governmentAffiliation: [
+        'gobierno', 'oficial', 'aprobado por el gobierno', 'certificado por el gobierno'
+    ],
+    claims: {
+        guarantee: [
+            'rendimiento garantizado', 'rendimientos garantizados', 'ganancias garantizadas', 'retorno garantizado',
+            'plusvalía garantizada', 'renta garantizada', 'duplica tu dinero'
+        ],
+        superlative: [
+            'el mejor', 'la mejor', 'los mejores', 'las mejores', 'el más', 'la más', 'número uno', 'número 1',
+            'inmejorable', 'insuperable', 'sin igual', 'el más barato', 'la más barata'
+        ],
+        comparative: [
+            'mejor que', 'más barato que', 'más barata que', 'más grande que', 'a diferencia de otros', 'supera a todos'
+        ],
+        scarcity: [
+            'últimas unidades', 'quedan pocas', 'solo quedan', 'tiempo limitado', 'por tiempo limitado',
+            'oferta limitada', 'apúrate', 'apúrese', 'date prisa', 'no te lo pierdas', 'última oportunidad',
+            'los precios suben'
+        ]
+    },
+    claimEvidence: {
+        source: ['fuente', 'según', 'de acuerdo con', 'estudio', 'encuesta', 'informe', 'otorgado por']
+    },
+    financial: {
+        downPayment: ['enganche', 'pago inicial', 'depósito inicial', 'cuota inicial'],
+        paymentAmount: ['pagos mensuales', 'mensualidades', 'cuota mensual', 'pago mensual'],
+        paymentPeriod: ['años para pagar', 'plazo de pago', 'meses para pagar'],
+        financeCharge: ['sin intereses', '0% de interés', 'cero interés', 'sin cargos financieros'],
+        rate: ['tasa de interés', 'tasa fija', 'tasa anual'],
+        offer: ['descuento', 'rebaja', 'bonificación']
+    },
+    disclosures: {
+        apr: ['tasa de porcentaje anual'],
+        interestRate: ['tasa de interés anual', 'tasa de porcentaje anual'],
+        downPaymentTerms: ['enganche', 'pago inicial'],
+        repaymentTerms: ['plazo de', 'número de pagos', 'términos de pago'],
+        creditAmount: ['monto del préstamo', 'monto total a pagar'],
+        loanApproval: ['sujeto a aprobación', 'sujeto a aprobación de crédito'],
+        offerTerms: ['aplican restricciones', 'términos y condiciones', 'aplican condiciones'],
+        offerValidity: ['válido hasta', 'válida hasta', 'vigencia', 'vence el']
+    }
+};
@@ -0,0 +1,63 @@
+// Hinglish (Hindi written in Latin script, mixed with English)
+//
+// Spelling varies from writer to writer ("shakahari", "shaakahaari"), so
+// terms and text are both folded before matching: doubled letters are
+// collapsed, "ee" reads as "i", "oo" as "u" and "w" as "v".
+module.exports = {
+    code: 'hi-Latn',
+    name: 'Hinglish',
+    script: 'Latin',
+    fold: true,
+    termSuffix: '(?:on|o|e|i)?',
+    markers: [
+        'hai', 'hain', 'ka', 'ki', 'ke', 'ko', 'mein', 'aur', 'se', 'ghar', 'apna', 'apne', 'sirf', 'abhi',
+        'karo', 'karein', 'karen', 'kijiye', 'milega', 'milenge', 'wala', 'wale', 'wali', 'bhi', 'nahi',
+        'nahin', 'yeh', 'hum', 'aap', 'liye', 'sabse', 'paisa', 'kisht', 'byaj', 'parivar', 'sapno', 'sapnon',
+        'jaldi', 'sasta', 'accha', 'achha', 'shakahari', 'bache', 'mauka', 'pakka'
+    ],
+    discrimination: {
+        in: {
+            prohibitedTerms: [
+                'sirf vegetarian', 'sirf shakahari', 'shakahari hi', 'sirf veg', 'veg log hi', 'only veg log',
+                'non veg allowed nahi', 'non veg mana hai', 'sirf jain', 'jain parivar hi', 'sirf hindu',
+                'muslim allowed nahi', 'muslims nahi', 'bachelors allowed nahi', 'bachelor nahi', 'sirf brahmin',
+                'north indian nahi', 'south indian nahi'
+            ],
+            contextTerms: [
+                'shakahari', 'jain parivar'
+            ]
+        }
+    },
+    callToAction: [
+        'call karein', 'call karen', 'call kare', 'call karo', 'sampark karein', 'sampark karen', 'book karein',
+        'book karen', 'book karo', 'visit karein', 'visit karen', 'register karein', 'abhi book', 'abhi call'
+    ],
+    governmentAffiliation: [
+        'sarkari', 'sarkar dwara', 'sarkar se approved'
+    ],
+    claims: {
+        guarantee: ['pakka return', 'assured munafa', 'paisa double', 'nishchit return', 'guaranteed munafa'],
+        superlative: ['sabse sasta', 'sabse accha', 'sabse achha', 'sabse behtar', 'sabse bada', 'number 1'],
+        comparative: ['se behtar', 'se sasta'],
+        scarcity: [
+            'jaldi karein', 'jaldi karen', 'jaldi karo', 'seemit samay', 'sirf kuch flat bache',
+            'kuch hi unit bache', 'aakhri mauka', 'daam badhne wale'
+        ]
+    },
+    claimEvidence: {
+        source: ['ke anusar', 'srot']
+    },
+    financial: {
+        downPayment: ['booking rashi'],
+        paymentAmount: ['mahine ki kisht', 'masik kisht', 'kisht'],
+        financeCharge: ['bina byaj', 'byaj mukt', 'zero byaj'],
+        rate: ['byaj dar'],
+        offer: ['chhoot', 'chhut']
+    },
+    disclosures: {
+        interestRate: ['salana byaj', 'prati varsh'],
+        loanApproval: ['bank approval ke adheen', 'bank ki manzoori par'],
+        offerTerms: ['sharten lagu', 'niyam aur sharten'],
+        offerValidity: ['tak valid', 'tak manya']
+    }
+};
@@ -0,0 +1,54 @@
+// Hindi (Devanagari)
+//
+// Postpositions attach as separate words, but plural and oblique endings
+// change the vowel signs at the end of a word, so those may follow a term.
+module.exports = {
+    code: 'hi',
+    name: 'Hindi',
+    script: 'Devanagari',
+    scriptPattern: /[\u0900-\u097F]/,
+    termSuffix: '[\\u0900-\\u0903\\u093A-\\u094F]*',
+    discrimination: {
+        in: {
+            prohibitedTerms: [
+                'केवल शाकाहारी', 'सिर्फ शाकाहारी', 'शुद्ध शाकाहारी सोसाइटी', 'मांसाहारी वर्जित', 'नॉन-वेज वर्जित',
+                'केवल जैन', 'सिर्फ जैन', 'केवल हिंदू', 'सिर्फ हिंदू', 'केवल मुस्लिम', 'मुस्लिम वर्जित',
+                'केवल ब्राह्मण', 'बैचलर्स वर्जित', 'बैचलर्स के लिए नहीं', 'कुंवारों के लिए नहीं'
+            ],
+            contextTerms: [
+                'शाकाहारी', 'जैन'
+            ]
+        }
+    },
+    callToAction: [
+        'कॉल करें', 'संपर्क करें', 'बुक करें', 'विज़िट करें', 'देखने आएं', 'रजिस्टर करें', 'पंजीकरण करें',
+        'पूछताछ करें', 'अधिक जानकारी'
+    ],
+    governmentAffiliation: [
+        'सरकारी', 'सरकार द्वारा', 'सरकारी मान्यता', 'आधिकारिक'
+    ],
+    claims: {
+        guarantee: ['गारंटीड रिटर्न', 'गारंटीशुदा रिटर्न', 'निश्चित रिटर्न', 'पक्का रिटर्न', 'सुनिश्चित आय', 'पैसा डबल'],
+        superlative: ['सबसे अच्छा', 'सबसे बेहतरीन', 'सबसे सस्ता', 'सबसे बड़ा', 'नंबर 1', 'नंबर वन', 'सर्वश्रेष्ठ', 'बेजोड़'],
+        comparative: ['से बेहतर', 'से सस्ता', 'से बड़ा'],
+        scarcity: ['सीमित समय', 'सीमित ऑफर', 'कुछ ही यूनिट', 'आखिरी मौका', 'जल्दी करें', 'ऑफर जल्द खत्म', 'कीमतें बढ़ने वाली']
+    },
+    claimEvidence: {
+        source: ['स्रोत', 'के अनुसार', 'सर्वेक्षण', 'रिपोर्ट']
+    },
+    financial: {
+        downPayment: ['डाउन पेमेंट', 'बुकिंग राशि', 'अग्रिम भुगतान'],
+        paymentAmount: ['ईएमआई', 'मासिक किस्त', 'किस्त'],
+        paymentPeriod: ['लोन अवधि', 'ऋण अवधि'],
+        financeCharge: ['बिना ब्याज', 'ब्याज मुक्त', '0% ब्याज', 'शून्य ब्याज'],
+        rate: ['ब्याज दर'],
+        offer: ['छूट', 'कैशबैक']
+    },
+    disclosures: {
+        interestRate: ['वार्षिक ब्याज', 'प्रति वर्ष'],
+        repaymentTerms: ['पुनर्भुगतान', 'लोन अवधि', 'ऋण अवधि'],
+        loanApproval: ['बैंक की मंजूरी के अधीन', 'ऋण स्वीकृति के अधीन'],
+        offerTerms: ['नियम और शर्तें', 'शर्तें लागू'],
+        offerValidity: ['तक मान्य', 'ऑफर समाप्त']
+    }
+};
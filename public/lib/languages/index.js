@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// Ad copy languages
+//
+// Each file in this directory describes one language the checks understand:
+// its code and display name, how to recognise it (a Unicode script, or common
+// words for languages written in Latin script) and its term lists for the
+// text rules. English term lists stay with the rules and policy data they
+// belong to; the other languages add theirs here under the same names:
+//
+//   fairHousing, discrimination.<pack id>   prohibitedTerms / contextTerms
+//   callToAction, governmentAffiliation     phrases
+//   claims.<claim type>, claimEvidence      phrases (see lib/claims.js)
+//   financial.<trigger type>                phrases (see lib/financial.js)
+//   disclosures.<disclosure>                phrases
+//
+// Terms are written as they appear in ads; lib/language.js normalises both
+// the terms and the text before matching.
+
+const LANGUAGES = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .reduce((languages, file) => {
+        const language = require(path.join(__dirname, file));
+        languages[language.code] = language;
+        return languages;
+    }, {});
+
+function lookup(language, listPath) {
+    return listPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), language);
+}
+
+// The term list at `listPath` (e.g. 'discrimination.in.prohibitedTerms') in
+// every language that has one, as [{ language, terms }]
+function termsFor(listPath) {
+    return Object.values(LANGUAGES)
+        .map(language => ({ language: language.code, terms: lookup(language, listPath) }))
+        .filter(entry => Array.isArray(entry.terms) && entry.terms.length > 0);
+}
+
+function listLanguages() {
+    return Object.values(LANGUAGES).map(language => ({
+        code: language.code,
+        name: language.name,
+        script: language.script
+    }));
+}
+
+module.exports = {
+    LANGUAGES,
+    termsFor,
+    listLanguages
+};
@@ -0,0 +1,51 @@
+// Tamil
+//
+// Case endings are written onto the word, so a term may be followed by any
+// further letters of the same word.
+module.exports = {
+    code: 'ta',
+    name: 'Tamil',
+    script: 'Tamil',
+    scriptPattern: /[\u0B80-\u0BFF]/,
+    termSuffix: '[\\p{L}\\p{M}]*',
+    discrimination: {
+        in: {
+            prohibitedTerms: [
+                'சைவம் மட்டும்', 'சைவர்களுக்கு மட்டும்', 'சைவ குடும்பங்களுக்கு மட்டும்', 'பிராமணர்களுக்கு மட்டும்', 'இந்துக்களுக்கு மட்டும்',
+                'ஜைனர்களுக்கு மட்டும்', 'பேச்சிலர்களுக்கு அனுமதி இல்லை', 'முஸ்லிம்களுக்கு அனுமதி இல்லை',
+                'அசைவம் அனுமதி இல்லை'
+            ],
+            contextTerms: [
+                'சைவ'
+            ]
+        }
+    },
+    callToAction: [
+        'அழைக்கவும்', 'தொடர்பு கொள்ளவும்', 'முன்பதிவு செய்யவும்', 'பதிவு செய்யவும்', 'பார்வையிடவும்'
+    ],
+    governmentAffiliation: [
+        'அரசு அங்கீகார', 'அரசு அங்கீகரித்த', 'அதிகாரப்பூர்வ'
+    ],
+    claims: {
+        guarantee: ['உத்தரவாத வருமானம்', 'உறுதியான வருமானம்'],
+        superlative: ['மிகச் சிறந்த', 'நம்பர் 1', 'மிகக் குறைந்த விலை'],
+        comparative: ['விட சிறந்த', 'விட குறைந்த விலை'],
+        scarcity: ['குறுகிய காலம்', 'விரைந்திடுங்கள்', 'கடைசி வாய்ப்பு', 'சில யூனிட்கள் மட்டுமே']
+    },
+    claimEvidence: {
+        source: ['ஆதாரம்', 'படி', 'கணக்கெடுப்பு']
+    },
+    financial: {
+        downPayment: ['முன்பணம்'],
+        paymentAmount: ['இஎம்ஐ', 'மாதத் தவணை'],
+        financeCharge: ['வட்டியில்லா', 'பூஜ்ஜிய வட்டி'],
+        rate: ['வட்டி விகிதம்'],
+        offer: ['தள்ளுபடி']
+    },
+    disclosures: {
+        interestRate: ['ஆண்டு வட்டி'],
+        loanApproval: ['வங்கி ஒப்புதலுக்கு உட்பட்டது'],
+        offerTerms: ['நிபந்தனைகள் பொருந்தும்'],
+        offerValidity: ['வரை செல்லுபடியாகும்']
+    }
+};
@@ -0,0 +1,50 @@
+// Telugu
+//
+// Case endings are written onto the word, so a term may be followed by any
+// further letters of the same word.
+module.exports = {
+    code: 'te',
+    name: 'Telugu',
+    script: 'Telugu',
+    scriptPattern: /[\u0C00-\u0C7F]/,
+    termSuffix: '[\\p{L}\\p{M}]*',
+    discrimination: {
+        in: {
+            prohibitedTerms: [
+                'శాకాహారులకు మాత్రమే', 'శాఖాహారులకు మాత్రమే', 'బ్రాహ్మణులకు మాత్రమే', 'హిందువులకు మాత్రమే',
+                'జైనులకు మాత్రమే', 'బ్యాచిలర్స్కు అనుమతి లేదు', 'ముస్లింలకు అనుమతి లేదు', 'మాంసాహారులకు అనుమతి లేదు'
+            ],
+            contextTerms: [
+                'శాకాహార', 'శాఖాహార'
+            ]
+        }
+    },
+    callToAction: [
+        'కాల్ చేయండి', 'సంప్రదించండి', 'బుక్ చేయండి', 'బుక్ చేసుకోండి', 'సందర్శించండి', 'రిజిస్టర్ చేయండి'
+    ],
+    governmentAffiliation: [
+        'ప్రభుత్వ ఆమోద', 'ప్రభుత్వం ఆమోదించిన', 'అధికారిక'
+    ],
+    claims: {
+        guarantee: ['గ్యారెంటీ రిటర్న్', 'హామీ రాబడి', 'ఖచ్చితమైన రాబడి'],
+        superlative: ['అత్యుత్తమ', 'నంబర్ 1', 'అతి తక్కువ ధర'],
+        comparative: ['కంటే మెరుగైన', 'కంటే తక్కువ ధర'],
+        scarcity: ['పరిమిత కాలం', 'త్వరపడండి', 'చివరి అవకాశం', 'కొన్ని యూనిట్లు మాత్రమే']
+    },
+    claimEvidence: {
+        source: ['ఆధారం', 'ప్రకారం', 'సర్వే']
+    },
+    financial: {
+        downPayment: ['డౌన్ పేమెంట్', 'బుకింగ్ మొత్తం'],
+        paymentAmount: ['ఈఎంఐ', 'నెలవారీ వాయిదా'],
+        financeCharge: ['వడ్డీ లేని', 'సున్నా వడ్డీ'],
+        rate: ['వడ్డీ రేటు'],
+        offer: ['తగ్గింపు', 'డిస్కౌంట్']
+    },
+    disclosures: {
+        interestRate: ['వార్షిక వడ్డీ'],
+        loanApproval: ['బ్యాంక్ ఆమోదానికి లోబడి'],
+        offerTerms: ['నిబంధనలు వర్తిస్తాయి', 'షరతులు వర్తిస్తాయి'],
+        offerValidity: ['వరకు చెల్లుతుంది']
+    }
+};
@@ -0,0 +1,322 @@
+const { findRegistrationNumbers } = require('./rera');
+
+// Ad-to-landing-page message match
+//
+// Pulls the checkable facts out of a piece of copy: sale prices, unit
+// configurations, locations, offers, the project name and RERA or licence
+// numbers. The same extraction runs on the ad and on the landing page, and
+// each ad fact is then either confirmed by the page, contradicted by it (the
+// page quotes a different figure of the same kind) or missing from it.
+
+const SNIPPET_RADIUS = 30;
+const PRICE_TOLERANCE = 0.005;
+
+const MULTIPLIERS = {
+    k: 1e3, thousand: 1e3,
+    l: 1e5, lac: 1e5, lacs: 1e5, lakh: 1e5, lakhs: 1e5,
+    m: 1e6, mn: 1e6, million: 1e6,
+    cr: 1e7, crore: 1e7, crores: 1e7
+};
+const CURRENCIES = {
+    '\u20B9': 'INR', rs: 'INR', 'rs.': 'INR', inr: 'INR',
+    $: 'USD', usd: 'USD',
+    '\u00A3': 'GBP', gbp: 'GBP',
+    '\u20AC': 'EUR', eur: 'EUR',
+    aed: 'AED'
+};
+
+const UNIT = '(?<unit>lakhs?|lacs?|l|crores?|cr|k|thousand|m|mn|million)';
+const PRICE = new RegExp(`(?:(?<cur>\\u20B9|\\$|\\u00A3|\\u20AC|\\brs\\.?|\\b(?:inr|usd|gbp|eur|aed)\\b)\\s*(?<num>\\d[\\d,]*(?:\\.\\d+)?)(?:\\s*${UNIT})?|(?<bare>\\d+(?:\\.\\d+)?)\\s*(?<bareUnit>lakhs?|lacs?|crores?|cr))\\b`, 'gi');
+
+// Amounts that are not the sale price: instalments, deposits and rates
+const NOT_PRICE_BEFORE = /\b(?:emi|emis|booking|token|down\s*payment|deposit|pay(?:ing)?|rent|rental|maintenance|fees?|charges?)\b[^.;!?\n]{0,15}$/i;
+const NOT_PRICE_AFTER = /^\s*(?:\/|per\s+|a\s+)(?:month|mo|year|yr|sq|sft|sqft|night|day)\b|^\s*(?:p\.?m\.?|psf|pa)\b/i;
+const AMOUNT_OFF_AFTER = /^\s*(?:flat\s+)?(?:off|discount|cash\s*back)\b/i;
+
+const PERCENT_OFF = [
+    /(?<pct>\d+(?:\.\d+)?)\s*%\s*(?:flat\s+)?(?:off|discount|cash\s*back|savings?)\b/gi,
+    /\b(?:discount|save|savings|cash\s*back)\s+(?:of\s+)?(?:up\s*to\s+)?(?<pct>\d+(?:\.\d+)?)\s*%/gi
+];
+const FREEBIE = /\b(?:free|complimentary|zero|no)\s+(?<item>(?:[a-z]+\s+){0,2}(?:parking|car\s+park|kitchen|club\s*house\s+membership|club\s+membership|gst|registration|stamp\s+duty|furniture|furnishing|wardrobes?|appliances|air\s+conditioners?|maintenance|gold\s+coin|car))\b/gi;
+
+const CONFIGURATION = /\b(?<nums>\d(?:\.5)?(?:\s*(?:,|\/|&|and|or|-|to)\s*\d(?:\.5)?)*)\s*-?\s*(?<kind>bhk|rk|bed(?:room)?s?|br)\b/gi;
+const STUDIO = /\bstudio(?:\s+apartments?)?\b/gi;
+
+const PLACE_WORD = '(?:[A-Z][a-z]+|Sector\\s+\\d+[A-Z]?|Phase\\s+\\d+)';
+const LOCATION = new RegExp(`\\b(?:[Ii]n|[Aa]t|[Nn]ear|[Oo]ff|[Oo]pp(?:osite|\\.)?|[Nn]ext\\s+to|[Ll]ocation\\s*:)\\s+(?<place>${PLACE_WORD}(?:,?\\s${PLACE_WORD}){0,2})`, 'g');
+const NOT_PLACE = new Set([
+    'the', 'our', 'your', 'just', 'only', 'this', 'that', 'every', 'all', 'rs', 'inr', 'prime', 'best',
+    'today', 'now', 'once', 'first', 'last', 'home', 'homes', 'heart', 'city', 'centre', 'center',
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+    'november', 'december', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
+]);
+
+const PROJECT_SUFFIX = '(?:Heights|Towers?|Residency|Residences|Gardens?|Greens|Enclave|Estates?|Park|Meadows|Woods|Springs|Vista|Villas|Homes|Habitat|Avenue|Court|Square|Palms|Hills|Valley|Apartments|Terraces|Grove|Bay|Township|Retreat|Nagar)';
+const PROJECT = new RegExp(`\\b(?<name>(?:[A-Z][\\w'&]*\\s+){1,3}${PROJECT_SUFFIX})\\b`, 'g');
+const NOT_PROJECT_WORD = new Set([
+    'our', 'the', 'buy', 'book', 'your', 'at', 'in', 'near', 'with', 'and', 'own', 'get', 'bhk', 'rk'
+]);
+// Marketing adjectives put in front of a name. Words that often start a name
+// themselves ("Green Valley", "Sea View", "New Horizon") are not listed.
+const GENERIC_PROJECT_WORD = new Set([
+    'luxury', 'premium', 'affordable', 'spacious', 'modern', 'ready', 'gated', 'independent', 'budget',
+    'best', 'exclusive', 'lavish', 'beautiful', 'smart', 'family'
+]);
+const SENTENCE_START = /(?:^|[.!?:;|()\n\u2022\u2013\u2014-])[\s"'\u201C\u2018]*$/;
+
+const LICENCE = /\b(?:licen[cs]e|lic\.?|dre|nmls|permit|orn|brn)\b(?:\s*(?:no\.?|number|id|#))?\s*[:#.\-]?\s*(?<id>[A-Z]*\d[\w-]{3,})/gi;
+
+function snippetAround(text, start, end) {
+    const from = Math.max(0, start - SNIPPET_RADIUS);
+    const to = Math.min(text.length, end + SNIPPET_RADIUS);
+    return (from > 0 ? '…' : '') +
+        text.slice(from, to).replace(/\s+/g, ' ').trim() +
+        (to < text.length ? '…' : '');
+}
+
+function normalize(value) {
+    return value.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function eachMatch(pattern, text, fn) {
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) fn(match);
+}
+
+function fact(kind, key, display, match, text) {
+    return {
+        kind,
+        key,
+        display,
+        match: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        snippet: snippetAround(text, match.index, match.index + match[0].length)
+    };
+}
+
+function parseAmount(number, unit) {
+    const value = parseFloat(String(number).replace(/,/g, ''));
+    return unit ? value * (MULTIPLIERS[unit.toLowerCase()] || 1) : value;
+}
+
+// Sale prices, plus flat amounts off (returned as offers)
+function findPrices(text) {
+    const prices = [];
+    const offers = [];
+
+    eachMatch(PRICE, text, match => {
+        const groups = match.groups;
+        const before = text.slice(Math.max(0, match.index - 40), match.index);
+        const after = text.slice(match.index + match[0].length, match.index + match[0].length + 20);
+        const currency = groups.cur ? CURRENCIES[groups.cur.toLowerCase()] : 'INR';
+        const value = groups.bare
+            ? parseAmount(groups.bare, groups.bareUnit)
+            : parseAmount(groups.num, groups.unit);
+        if (!value) return;
+
+        if (AMOUNT_OFF_AFTER.test(after)) {
+            offers.push(fact('offer', `${currency} ${value} off`, `${match[0].trim()} off`, match, text));
+            return;
+        }
+        if (NOT_PRICE_BEFORE.test(before) || NOT_PRICE_AFTER.test(after)) return;
+
+        prices.push(Object.assign(fact('price', `${currency} ${value}`, match[0].trim(), match, text), { currency, value }));
+    });
+
+    return { prices, offers };
+}
+
+function findOffers(text) {
+    const offers = [];
+    PERCENT_OFF.forEach(pattern => eachMatch(pattern, text, match => {
+        const pct = parseFloat(match.groups.pct);
+        offers.push(Object.assign(fact('offer', `${pct}% off`, `${pct}% off`, match, text), { percent: pct }));
+    }));
+    eachMatch(FREEBIE, text, match => {
+        offers.push(fact('offer', `free ${normalize(match.groups.item)}`, match[0].trim(), match, text));
+    });
+    return offers;
+}
+
+// "2 & 3 BHK", "2-4 BHK" and "3 bedroom" become one fact per bedroom count
+function findConfigurations(text) {
+    const configurations = [];
+    eachMatch(CONFIGURATION, text, match => {
+        const kind = match.groups.kind.toLowerCase();
+        const numbers = match.groups.nums.match(/\d(?:\.5)?/g).map(Number);
+        const range = /\d\s*(?:-|to)\s*\d/.test(match.groups.nums) && numbers.length === 2 && numbers.every(Number.isInteger);
+        const counts = range
+            ? Array.from({ length: Math.max(0, numbers[1] - numbers[0]) + 1 }, (_, i) => numbers[0] + i)
+            : numbers;
+
+        counts.forEach(count => {
+            const key = kind === 'rk' ? `${count}rk` : `${count}bhk`;
+            configurations.push(fact('configuration', key, kind === 'rk' ? `${count} RK` : `${count} BHK`, match, text));
+        });
+    });
+    eachMatch(STUDIO, text, match => configurations.push(fact('configuration', 'studio', 'Studio', match, text)));
+    return configurations;
+}
+
+// Words like "Our" or "Book" are never part of a name. A generic adjective is
+// only dropped where the run starts a sentence, so is capitalised by position
+// ("Luxury Sunrise Heights from 45 lac"); mid-sentence the capitalised run is
+// the name ("3BHK at Green Valley Heights").
+function findProjectNames(text) {
+    const names = [];
+    eachMatch(PROJECT, text, match => {
+        const words = match.groups.name.split(/\s+/);
+        const startsSentence = SENTENCE_START.test(text.slice(0, match.index));
+        const generic = word => NOT_PROJECT_WORD.has(word.toLowerCase()) ||
+            (startsSentence && GENERIC_PROJECT_WORD.has(word.toLowerCase()));
+        while (words.length > 1 && generic(words[0])) words.shift();
+        if (words.length < 2) return;
+
+        const name = words.join(' ');
+        const offset = match[0].length - name.length;
+        names.push(fact('project', normalize(name), name, {
+            0: name,
+            index: match.index + offset
+        }, text));
+    });
+    return names;
+}
+
+function findLocations(text, projects) {
+    const locations = [];
+    eachMatch(LOCATION, text, match => {
+        const place = match.groups.place.replace(/,\s*$/, '');
+        if (NOT_PLACE.has(place.split(/[\s,]+/)[0].toLowerCase())) return;
+
+        const start = match.index + match[0].length - match.groups.place.length;
+        if (projects.some(p => start < p.end && p.start < start + place.length)) return;
+
+        place.split(/,\s*/).forEach(part => {
+            const offset = text.indexOf(part, start);
+            locations.push(fact('location', normalize(part), part, { 0: part, index: offset }, text));
+        });
+    });
+    return locations;
+}
+
+function findRegistrations(text) {
+    const registrations = findRegistrationNumbers(text).map(number => {
+        const index = text.toUpperCase().indexOf(number);
+        return Object.assign(fact('registration', number, number, { 0: number, index: Math.max(0, index) }, text), { scheme: 'rera' });
+    });
+    eachMatch(LICENCE, text, match => {
+        const id = match.groups.id.toUpperCase();
+        if (registrations.some(r => r.key === id)) return;
+        registrations.push(Object.assign(fact('registration', id, id, match, text), { scheme: 'licence' }));
+    });
+    return registrations;
+}
+
+function unique(facts) {
+    const seen = new Set();
+    return facts.filter(f => {
+        const id = `${f.kind}:${f.key}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+}
+
+// Every checkable fact in a piece of copy, grouped by kind
+function extractFacts(text) {
+    text = text || '';
+    const { prices, offers: amountsOff } = findPrices(text);
+    const projects = unique(findProjectNames(text));
+
+    return {
+        prices: unique(prices),
+        configurations: unique(findConfigurations(text)),
+        locations: unique(findLocations(text, projects)),
+        offers: unique(findOffers(text).concat(amountsOff)),
+        projects,
+        registrations: unique(findRegistrations(text))
+    };
+}
+
+// The text of a fetched page the ad is compared against
+function pageText(pageContent) {
+    if (!pageContent || !pageContent.success) return '';
+    return [pageContent.title, pageContent.metaDescription, pageContent.bodyText].filter(Boolean).join('\n');
+}
+
+function mentions(text, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\w])${escaped}(?![\\w])`, 'i').test(text);
+}
+
+function listed(facts) {
+    return facts.map(f => f.display).join(', ');
+}
+
+function comparePrices(adPrices, pagePrices) {
+    return adPrices.map(price => {
+        const sameCurrency = pagePrices.filter(p => p.currency === price.currency);
+        if (sameCurrency.some(p => Math.abs(p.value - price.value) <= price.value * PRICE_TOLERANCE)) {
+            return { fact: price, status: 'matched' };
+        }
+        if (sameCurrency.length === 0) return { fact: price, status: 'missing' };
+
+        // A "from" price below anything the page offers is the contradiction
+        // that matters; a higher figure may be one unit among many
+        const lowest = sameCurrency.reduce((min, p) => (p.value < min.value ? p : min));
+        return price.value < lowest.value
+            ? { fact: price, status: 'contradicted', page: [lowest], message: `the ad's price ${price.display} is below the lowest price on the landing page (${lowest.display})` }
+            : { fact: price, status: 'missing' };
+    });
+}
+
+// Facts with a closed set of values: a different value on the page is a
+// contradiction, no value at all is missing
+function compareValues(adFacts, pageFacts, describe, sameKind = () => true) {
+    return adFacts.map(item => {
+        if (pageFacts.some(p => p.key === item.key)) return { fact: item, status: 'matched' };
+        const others = pageFacts.filter(p => sameKind(item, p));
+        return others.length > 0
+            ? { fact: item, status: 'contradicted', page: others, message: describe(item, others) }
+            : { fact: item, status: 'missing' };
+    });
+}
+
+// Names and places are only looked for in the page text
+function compareMentions(adFacts, text) {
+    return adFacts.map(item => ({ fact: item, status: mentions(text, item.display) ? 'matched' : 'missing' }));
+}
+
+// Compares the ad's facts with the landing page. Returns every comparison as
+// { fact, status: 'matched' | 'contradicted' | 'missing', page?, message? }
+// plus both fact sets. `skip` lists fact kinds or registration schemes to
+// leave out (e.g. 'rera' when another rule already compares them).
+function compareFacts(adText, pageContent, { skip = [] } = {}) {
+    const text = pageText(pageContent);
+    const ad = extractFacts(adText);
+    const page = extractFacts(text);
+    const isPercent = (a, b) => (a.percent !== undefined) === (b.percent !== undefined) && /off$/.test(a.key) && /off$/.test(b.key);
+
+    const comparisons = [].concat(
+        comparePrices(ad.prices, page.prices),
+        compareValues(ad.configurations, page.configurations,
+            (item, others) => `the ad offers ${item.display} but the landing page lists ${listed(others)}`),
+        compareMentions(ad.locations, text),
+        compareValues(ad.offers, page.offers,
+            (item, others) => `the ad offers ${item.display} but the landing page shows ${listed(others)}`,
+            isPercent),
+        compareMentions(ad.projects, text),
+        compareValues(ad.registrations.filter(r => !skip.includes(r.scheme)), page.registrations,
+            (item, others) => `the ad quotes ${item.scheme === 'rera' ? 'registration' : 'licence'} ${item.display} but the landing page shows ${listed(others)}`,
+            (a, b) => a.scheme === b.scheme)
+    ).filter(c => !skip.includes(c.fact.kind));
+
+    return { ad, page, comparisons };
+}
+
+module.exports = {
+    extractFacts,
+    compareFacts
+};
@@ -0,0 +1,275 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { crawlSite } = require('./crawler');
+const { renderPage } = require('./renderer');
+const { measurePerformance } = require('./page-speed');
+const { assertPublicUrl, httpAgent, httpsAgent } = require('./url-guard');
+
+// Landing page fetcher
+
+const MAX_REDIRECTS = 5;
+const FETCH_MODES = ['auto', 'static', 'rendered'];
+
+// Below this many words the static HTML is probably an unrendered app shell
+const MIN_STATIC_WORDS = 100;
+
+// Largest body read from any page, and the content types worth reading
+const MAX_RESPONSE_BYTES = parseInt(process.env.MAX_RESPONSE_BYTES, 10) || 5 * 1024 * 1024;
+const ALLOWED_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain'];
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+function extractPageContent(html, url) {
+    const $ = cheerio.load(html);
+
+    // Extract page information
+    const pageContent = {
+        success: true,
+        title: $('title').text().trim(),
+        metaDescription: $('meta[name="description"]').attr('content') || '',
+        headings: [],
+        bodyText: '',
+        hasContactForm: $('form').length > 0,
+        hasPhoneNumber: false,
+        hasEmail: false,
+        hasPrivacyPolicy: false,
+        hasTerms: false,
+        images: $('img').length,
+        forms: $('form').length,
+        links: $('a').length,
+        protocol: new URL(url).protocol
+    };
+
+    // Extract headings
+    $('h1, h2, h3').each((i, elem) => {
+        const text = $(elem).text().trim();
+        if (text) pageContent.headings.push(text);
+    });
+
+    // Extract body text
+    pageContent.bodyText = $('body').text().replace(/\s+/g, ' ').trim();
+
+    // Check for contact information
+    pageContent.hasPhoneNumber = /\+?[\d\s\-\(\)]{10,}/.test(pageContent.bodyText);
+    pageContent.hasEmail = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/.test(pageContent.bodyText);
+
+    // Check for privacy policy
+    pageContent.hasPrivacyPolicy = /privacy\s*policy/i.test(pageContent.bodyText) ||
+                                    $('a[href*="privacy"]').length > 0;
+
+    // Check for terms
+    pageContent.hasTerms = /terms\s*(and|&)?\s*conditions|terms\s*of\s*(use|service)/i.test(pageContent.bodyText) ||
+                           $('a[href*="terms"]').length > 0;
+
+    return pageContent;
+}
+
+function tooLarge(maxBytes) {
+    const error = new Error(`Response is larger than ${Math.round(maxBytes / 1024)} KB`);
+    error.code = 'ERR_RESPONSE_TOO_LARGE';
+    return error;
+}
+
+async function readBody(stream, maxBytes = MAX_RESPONSE_BYTES) {
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of stream) {
+        length += chunk.length;
+        if (length > maxBytes) {
+            stream.destroy();
+            throw tooLarge(maxBytes);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Refuses bodies that are declared too large or are not a page. Error
+// responses are let through so their status can still be reported.
+function checkResponse(response, maxBytes) {
+    const length = parseInt(response.headers['content-length'], 10);
+    if (length > maxBytes) throw tooLarge(maxBytes);
+
+    const type = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type && response.status < 400 && !ALLOWED_CONTENT_TYPES.includes(type)) {
+        const error = new Error(`Unsupported content type ${type}`);
+        error.code = 'ERR_CONTENT_TYPE';
+        throw error;
+    }
+}
+
+// GETs a URL following redirects by hand so every hop is recorded and
+// checked against lib/url-guard.js. Resolves with the final response (body
+// decoded as text) whatever its status, plus the time to first byte and
+// download time measured from the first request; rejects on network errors,
+// unsafe URLs and bodies over `maxBytes` or of a type that is not a page.
+async function fetchWithRedirects(url, { timeout = 10000, maxRedirects = MAX_REDIRECTS, maxBytes = MAX_RESPONSE_BYTES } = {}) {
+    const redirectChain = [];
+    const started = Date.now();
+    let currentUrl = url;
+
+    for (;;) {
+        await assertPublicUrl(currentUrl);
+
+        const response = await axios.get(currentUrl, {
+            timeout,
+            headers: {
+                'User-Agent': USER_AGENT
+            },
+            maxRedirects: 0,
+            responseType: 'stream',
+            httpAgent,
+            httpsAgent,
+            proxy: false,
+            validateStatus: () => true
+        });
+
+        const location = response.headers.location;
+        if (response.status < 300 || response.status >= 400 || !location) {
+            const ttfb = Date.now() - started;
+            try {
+                checkResponse(response, maxBytes);
+            } catch (error) {
+                response.data.destroy();
+                throw error;
+            }
+            const body = await readBody(response.data, maxBytes);
+            response.data = body.toString('utf8');
+            return {
+                response,
+                finalUrl: currentUrl,
+                redirectChain,
+                bytes: body.length,
+                timing: { ttfb, downloadTime: Date.now() - started - ttfb }
+            };
+        }
+
+        response.data.destroy();
+
+        if (redirectChain.length >= maxRedirects) {
+            const error = new Error(`Too many redirects (more than ${maxRedirects})`);
+            error.code = 'ERR_TOO_MANY_REDIRECTS';
+            throw error;
+        }
+
+        redirectChain.push({ url: currentUrl, status: response.status });
+        currentUrl = new URL(location, currentUrl).href;
+    }
+}
+
+async function fetchStatic(url) {
+    const { response, finalUrl, redirectChain, bytes, timing } = await fetchWithRedirects(url);
+    return { html: response.data, statusCode: response.status, finalUrl, redirectChain, bytes, timing };
+}
+
+function wordCount(text) {
+    return text.split(/\s+/).filter(w => w.length > 0).length;
+}
+
+// Content is described by the URL it ended up at, so an https page that
+// redirects to http is reported as http
+function toPageContent(page, url, fetchMode) {
+    return Object.assign(extractPageContent(page.html, page.finalUrl || url), {
+        fetchMode,
+        statusCode: page.statusCode,
+        finalUrl: page.finalUrl,
+        redirectChain: page.redirectChain
+    }, page.timing ? { timing: page.timing } : {}, page.screenshot ? { screenshot: page.screenshot } : {});
+}
+
+function serverError(page) {
+    return {
+        success: false,
+        error: true,
+        statusCode: page.statusCode,
+        finalUrl: page.finalUrl,
+        redirectChain: page.redirectChain,
+        message: `Server returned ${page.statusCode} error`
+    };
+}
+
+// Fetches a landing page and returns its extracted content. Never throws:
+// failures come back as { success: false, ... } so they can be scored.
+//
+// `mode` is 'static' (plain HTTP fetch), 'rendered' (headless Chromium, see
+// lib/renderer.js) or 'auto', which fetches statically and re-renders when
+// the static page has almost no text. Pass `crawl` (true or
+// { maxDepth, maxPages }) to also follow the page's privacy, terms, contact
+// and pricing links.
+async function fetchLandingPage(url, { crawl, mode = 'auto' } = {}) {
+    if (!FETCH_MODES.includes(mode)) mode = 'auto';
+
+    try {
+        const rendered = mode === 'rendered';
+        let page = rendered
+            ? await renderPage(url, { userAgent: USER_AGENT })
+            : await fetchStatic(url);
+
+        if (page.statusCode >= 500) return serverError(page);
+
+        let pageContent = toPageContent(page, url, rendered ? 'rendered' : 'static');
+
+        if (mode === 'auto' && wordCount(pageContent.bodyText) < MIN_STATIC_WORDS) {
+            const words = wordCount(pageContent.bodyText);
+            try {
+                const renderedPage = await renderPage(url, { userAgent: USER_AGENT });
+                if (renderedPage.statusCode < 500) {
+                    page = renderedPage;
+                    pageContent = toPageContent(page, url, 'rendered');
+                    pageContent.renderFallback = `Static HTML had only ${words} words`;
+                }
+            } catch (error) {
+                // Keep the static result; the page may simply be short
+                console.error('Error rendering page:', error.message);
+                pageContent.renderError = error.message;
+            }
+        }
+
+        pageContent.performance = await measurePerformance(page.html, page.finalUrl, {
+            timing: page.timing,
+            htmlBytes: page.bytes || Buffer.byteLength(page.html),
+            userAgent: USER_AGENT
+        });
+
+        if (crawl) {
+            pageContent.crawl = await crawlSite(page.finalUrl, page.html, Object.assign(
+                {},
+                typeof crawl === 'object' ? crawl : {},
+                { fetch: fetchWithRedirects }
+            ));
+        }
+
+        return pageContent;
+
+    } catch (error) {
+        console.error('Error fetching page:', error.message);
+
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.name === 'TimeoutError') {
+            return {
+                success: false,
+                timeout: true,
+                message: error.name === 'TimeoutError'
+                    ? 'Page did not finish rendering within 20 seconds'
+                    : 'Page took too long to load (>10 seconds)'
+            };
+        }
+
+        if (error.code === 'ERR_UNSAFE_URL') {
+            return { success: false, error: true, blocked: true, message: error.message };
+        }
+
+        return {
+            success: false,
+            error: true,
+            message: error.message || 'Failed to fetch landing page'
+        };
+    }
+}
+
+module.exports = {
+    USER_AGENT,
+    FETCH_MODES,
+    MAX_RESPONSE_BYTES,
+    extractPageContent,
+    fetchWithRedirects,
+    fetchLandingPage
+};
@@ -0,0 +1,277 @@
+const axios = require('axios');
+const { assertPublicUrl, guardRedirect, httpAgent, httpsAgent } = require('./url-guard');
+const cheerio = require('cheerio');
+const { POLICIES } = require('./policies');
+const { resolvePlatforms } = require('./engine');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Landing page speed and page experience
+//
+// Measures what a developer can act on: server response and download time,
+// the size of the HTML, how many images, scripts and stylesheets the page
+// pulls in and how heavy they are, whether there is a mobile viewport and
+// which resources block the first render. Grading against the per-platform
+// bands in POLICIES.<platform>.pageExperience happens in gradePageExperience.
+
+// Resources are weighed without keeping them: a body is counted as it
+// streams in and dropped, up to MAX_RESOURCE_BYTES (a larger one is reported
+// as that size) within RESOURCE_TIMEOUT.
+const RESOURCE_TIMEOUT = 5000;
+const RESOURCE_CONCURRENCY = 6;
+const MAX_RESOURCES = 30;
+const MAX_RESOURCE_BYTES = 5 * 1024 * 1024;
+
+const METRICS = [
+    { key: 'ttfb', label: 'Time to first byte', unit: 'ms' },
+    { key: 'downloadTime', label: 'HTML download time', unit: 'ms' },
+    { key: 'loadTime', label: 'Full page load', unit: 'ms' },
+    { key: 'htmlBytes', label: 'HTML size', unit: 'bytes' },
+    { key: 'pageWeight', label: 'Total page weight', unit: 'bytes' },
+    { key: 'renderBlocking', label: 'Render-blocking resources', unit: 'count' }
+];
+
+const GRADES = ['good', 'needs-improvement', 'poor'];
+
+function resolveUrl(src, baseUrl) {
+    try {
+        const resolved = new URL(src, baseUrl);
+        return ['http:', 'https:', 'data:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Image, script and stylesheet URLs referenced by the page
+function collectResources($, baseUrl) {
+    const resources = { images: new Set(), scripts: new Set(), styles: new Set() };
+    const add = (type, src) => {
+        const url = src && resolveUrl(src.trim(), baseUrl);
+        if (url) resources[type].add(url);
+    };
+
+    $('img[src]').each((i, elem) => add('images', $(elem).attr('src')));
+    $('script[src]').each((i, elem) => add('scripts', $(elem).attr('src')));
+    $('link[rel~="stylesheet"][href]').each((i, elem) => add('styles', $(elem).attr('href')));
+
+    return Object.keys(resources).reduce((lists, type) => {
+        lists[type] = Array.from(resources[type]);
+        return lists;
+    }, {});
+}
+
+// Scripts and stylesheets in <head> that the browser must fetch before it
+// can paint anything.
+function findRenderBlocking($, baseUrl) {
+    const blocking = [];
+
+    $('head script[src]').each((i, elem) => {
+        const script = $(elem);
+        const type = (script.attr('type') || '').toLowerCase();
+        if (script.attr('async') !== undefined || script.attr('defer') !== undefined || type === 'module') return;
+        blocking.push({ type: 'script', url: resolveUrl(script.attr('src'), baseUrl) || script.attr('src') });
+    });
+
+    $('head link[rel~="stylesheet"][href]').each((i, elem) => {
+        const media = ($(elem).attr('media') || 'all').toLowerCase();
+        if (media === 'print') return;
+        blocking.push({ type: 'style', url: resolveUrl($(elem).attr('href'), baseUrl) || $(elem).attr('href') });
+    });
+
+    return blocking;
+}
+
+function viewportInfo($) {
+    const content = $('meta[name="viewport"]').attr('content') || '';
+    return {
+        hasViewport: /width\s*=\s*device-width/i.test(content),
+        viewport: content || null
+    };
+}
+
+// Counts a streamed body's bytes and discards them, stopping at
+// MAX_RESOURCE_BYTES or RESOURCE_TIMEOUT (whatever was counted by then)
+function countStreamBytes(stream) {
+    return new Promise(resolve => {
+        let bytes = 0;
+        const finish = () => {
+            clearTimeout(timer);
+            stream.destroy();
+            resolve(Math.min(bytes, MAX_RESOURCE_BYTES));
+        };
+        const timer = setTimeout(finish, RESOURCE_TIMEOUT);
+        stream.on('data', chunk => {
+            bytes += chunk.length;
+            if (bytes >= MAX_RESOURCE_BYTES) finish();
+        });
+        stream.on('end', finish);
+        stream.on('error', finish);
+    });
+}
+
+// Size of one resource: data: URIs are measured inline, everything else by
+// Content-Length from a HEAD request, falling back to streaming it (see
+// countStreamBytes). Resources on private addresses are not weighed.
+async function resourceBytes(url, userAgent) {
+    if (url.startsWith('data:')) {
+        return url.length - url.indexOf(',') - 1;
+    }
+
+    const options = {
+        timeout: RESOURCE_TIMEOUT,
+        headers: { 'User-Agent': userAgent },
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        beforeRedirect: guardRedirect,
+        validateStatus: () => true
+    };
+    try {
+        await assertPublicUrl(url);
+        const head = await axios.head(url, options);
+        const length = parseInt(head.headers['content-length'], 10);
+        if (head.status < 400 && Number.isFinite(length)) return length;
+
+        const response = await axios.get(url, Object.assign({ responseType: 'stream' }, options));
+        if (response.status >= 400) {
+            response.data.destroy();
+            return null;
+        }
+        return countStreamBytes(response.data);
+    } catch (error) {
+        return null;
+    }
+}
+
+async function weighResources(resources, userAgent) {
+    const entries = [];
+    Object.keys(resources).forEach(type => {
+        resources[type].forEach(url => entries.push({ type, url }));
+    });
+
+    const measured = entries.slice(0, MAX_RESOURCES);
+    await mapWithConcurrency(measured, RESOURCE_CONCURRENCY, async entry => {
+        entry.bytes = await resourceBytes(entry.url, userAgent);
+    });
+
+    return { measured: measured.filter(e => e.bytes !== null), skipped: entries.length - measured.length };
+}
+
+// Builds pageContent.performance. `timing` carries what the fetcher saw
+// ({ ttfb, downloadTime, loadTime? }); `htmlBytes` is the document size.
+async function measurePerformance(html, baseUrl, { timing = {}, htmlBytes, userAgent } = {}) {
+    const $ = cheerio.load(html);
+    const resources = collectResources($, baseUrl);
+    const { measured, skipped } = await weighResources(resources, userAgent);
+
+    const breakdown = {};
+    Object.keys(resources).forEach(type => {
+        const weighed = measured.filter(e => e.type === type);
+        breakdown[type] = {
+            count: resources[type].length,
+            bytes: weighed.reduce((sum, e) => sum + e.bytes, 0),
+            measured: weighed.length
+        };
+    });
+
+    const renderBlocking = findRenderBlocking($, baseUrl);
+
+    return Object.assign({
+        ttfb: timing.ttfb !== undefined ? timing.ttfb : null,
+        downloadTime: timing.downloadTime !== undefined ? timing.downloadTime : null,
+        loadTime: timing.loadTime !== undefined ? timing.loadTime : null,
+        htmlBytes,
+        pageWeight: htmlBytes + measured.reduce((sum, e) => sum + e.bytes, 0),
+        resources: breakdown,
+        resourcesNotMeasured: skipped,
+        largestResources: measured
+            .slice()
+            .sort((a, b) => b.bytes - a.bytes)
+            .slice(0, 5),
+        renderBlocking: renderBlocking.length,
+        renderBlockingResources: renderBlocking
+    }, viewportInfo($));
+}
+
+// Strictest band across the platforms being checked
+function thresholdsFor(platform) {
+    const thresholds = {};
+    resolvePlatforms(platform).forEach(name => {
+        const bands = POLICIES[name].pageExperience;
+        Object.keys(bands).forEach(key => {
+            const current = thresholds[key];
+            thresholds[key] = current
+                ? { good: Math.min(current.good, bands[key].good), poor: Math.min(current.poor, bands[key].poor) }
+                : Object.assign({}, bands[key]);
+        });
+    });
+    return thresholds;
+}
+
+function grade(value, band) {
+    if (value <= band.good) return 'good';
+    if (value <= band.poor) return 'needs-improvement';
+    return 'poor';
+}
+
+// One graded entry per measured metric, for the rules and the UI breakdown
+function gradePageExperience(performance, platform) {
+    const thresholds = thresholdsFor(platform);
+
+    return METRICS
+        .filter(metric => typeof performance[metric.key] === 'number' && thresholds[metric.key])
+        .map(metric => Object.assign({}, metric, {
+            value: performance[metric.key],
+            good: thresholds[metric.key].good,
+            poor: thresholds[metric.key].poor,
+            grade: grade(performance[metric.key], thresholds[metric.key])
+        }));
+}
+
+// The worst-graded of the given metrics, or null when none were measured
+function worstMetric(pageExperience, keys) {
+    return (pageExperience || [])
+        .filter(metric => keys.includes(metric.key))
+        .sort((a, b) => GRADES.indexOf(b.grade) - GRADES.indexOf(a.grade))[0] || null;
+}
+
+function formatMetric(value, unit) {
+    if (unit === 'ms') return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${value} ms`;
+    if (unit === 'bytes') {
+        if (value >= 1024 * 1024) return `${(value / 1024 / 1024).toFixed(1)} MB`;
+        return `${Math.round(value / 1024)} KB`;
+    }
+    return String(value);
+}
+
+// Rule outcome for a graded metric: pass when good, otherwise a warning that
+// is high severity once the metric is poor.
+function gradedOutcome(metric, { passTitle, failTitle, advice }) {
+    const value = formatMetric(metric.value, metric.unit);
+    const target = formatMetric(metric.good, metric.unit);
+    const details = { metric: metric.key, value: metric.value, good: metric.good, poor: metric.poor, grade: metric.grade };
+
+    if (metric.grade === 'good') {
+        return Object.assign({
+            status: 'pass',
+            title: `✅ ${passTitle}`,
+            description: `${metric.label}: ${value} (target ${target} or less).`
+        }, details);
+    }
+
+    return Object.assign({
+        status: 'warn',
+        severity: metric.grade === 'poor' ? 'high' : 'medium',
+        title: failTitle,
+        description: `${metric.label}: ${value}; aim for ${target} or less. ${advice}`
+    }, details);
+}
+
+module.exports = {
+    METRICS,
+    measurePerformance,
+    thresholdsFor,
+    gradePageExperience,
+    worstMetric,
+    formatMetric,
+    gradedOutcome
+};
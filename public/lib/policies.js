@@ -0,0 +1,112 @@
+// Policy database
+const POLICIES = {
+    fairHousing: {
+        protectedClasses: ['race', 'color', 'religion', 'national origin', 'sex', 'disability', 'familial status'],
+        // Always a violation when they appear as whole words or phrases
+        prohibitedTerms: [
+            'no kids', 'no children', 'adults only', 'mature individuals', 'singles only',
+            'couples only', 'perfect for newlyweds', 'family only', 'no students',
+            'ideal for retirees', 'young professionals', 'empty nesters',
+            'married couples', 'single persons', 'divorced', 'widowed',
+            'older persons',
+            'men only', 'women only', 'male', 'female tenants',
+            'christian', 'muslim', 'jewish', 'hindu', 'no atheists',
+            'caucasian', 'african american', 'asian', 'hispanic', 'latino', 'white', 'black',
+            'english speakers only', 'speaks english', 'american citizens',
+            'no wheelchairs', 'able-bodied', 'physically fit', 'no disabled',
+            'select clientele'
+        ],
+        // Lawful in some contexts (55+ housing, deed restrictions, listing
+        // agreements) so they are flagged for a reviewer instead
+        contextTerms: [
+            'senior', 'elderly', 'young', 'religious',
+            'exclusive', 'restricted', 'private community'
+        ],
+        // A term immediately followed by one of these words describes the
+        // property or the business, not the buyer
+        safeCollocations: [
+            {
+                terms: ['white', 'black'],
+                followedBy: [
+                    'marble', 'granite', 'quartz', 'stone', 'tile', 'tiles', 'countertop', 'countertops',
+                    'cabinet', 'cabinets', 'cabinetry', 'appliances', 'finish', 'finishes', 'fixtures',
+                    'hardware', 'kitchen', 'wall', 'walls', 'door', 'doors', 'floor', 'floors',
+                    'flooring', 'trim', 'paint', 'oak', 'walnut', 'fence', 'gate', 'facade',
+                    'friday'
+                ]
+            },
+            {
+                terms: ['exclusive'],
+                followedBy: ['listing', 'listings', 'agent', 'agency', 'right to sell', 'marketing partner']
+            },
+            {
+                terms: ['senior'],
+                followedBy: [
+                    'living director', 'manager', 'project manager', 'director', 'executive',
+                    'engineer', 'architect', 'consultant', 'partner', 'vice president', 'sales'
+                ]
+            }
+        ]
+    },
+    meta: {
+        imageTextLimit: 20,
+        maxConsecutiveCaps: 3,
+        // Feed, Stories and right-column placements
+        imagePlacements: [
+            { name: 'Square (1:1)', ratio: 1, minWidth: 600, minHeight: 600, recommended: '1080 x 1080' },
+            { name: 'Vertical (4:5)', ratio: 4 / 5, minWidth: 600, minHeight: 750, recommended: '1080 x 1350' },
+            { name: 'Landscape (1.91:1)', ratio: 1.91, minWidth: 600, minHeight: 314, recommended: '1200 x 628' },
+            { name: 'Stories (9:16)', ratio: 9 / 16, minWidth: 600, minHeight: 1067, recommended: '1080 x 1920' }
+        ],
+        // Feed ad fields; text past these lengths is truncated behind "See more"
+        fields: {
+            primaryTextLength: 125,
+            headlineLength: 40,
+            descriptionLength: 30,
+            callToActions: [
+                'APPLY_NOW', 'BOOK_NOW', 'CALL_NOW', 'CONTACT_US', 'DOWNLOAD', 'GET_DIRECTIONS',
+                'GET_OFFER', 'GET_QUOTE', 'LEARN_MORE', 'NO_BUTTON', 'REQUEST_TIME', 'SEE_MORE',
+                'SEND_MESSAGE', 'SIGN_UP', 'SUBSCRIBE', 'WHATSAPP_MESSAGE'
+            ]
+        },
+        // Landing page speed, graded good / needs improvement / poor. Most Meta
+        // traffic opens in the mobile in-app browser, so weight limits are tighter.
+        pageExperience: {
+            ttfb: { good: 600, poor: 1500 },
+            downloadTime: { good: 1000, poor: 3000 },
+            loadTime: { good: 2500, poor: 4000 },
+            htmlBytes: { good: 100 * 1024, poor: 500 * 1024 },
+            pageWeight: { good: 1024 * 1024, poor: 3 * 1024 * 1024 },
+            renderBlocking: { good: 2, poor: 6 }
+        }
+    },
+    google: {
+        // Responsive search ad asset limits
+        rsa: {
+            minHeadlines: 3,
+            maxHeadlines: 15,
+            headlineLength: 30,
+            minDescriptions: 2,
+            maxDescriptions: 4,
+            descriptionLength: 90,
+            pathLength: 15
+        },
+        // Responsive display ad image assets
+        imagePlacements: [
+            { name: 'Landscape (1.91:1)', ratio: 1.91, minWidth: 600, minHeight: 314, recommended: '1200 x 628' },
+            { name: 'Square (1:1)', ratio: 1, minWidth: 300, minHeight: 300, recommended: '1200 x 1200' },
+            { name: 'Portrait (4:5)', ratio: 4 / 5, minWidth: 480, minHeight: 600, recommended: '960 x 1200' }
+        ],
+        // Landing page speed, following the PageSpeed Insights bands
+        pageExperience: {
+            ttfb: { good: 800, poor: 1800 },
+            downloadTime: { good: 1000, poor: 3000 },
+            loadTime: { good: 2500, poor: 4000 },
+            htmlBytes: { good: 100 * 1024, poor: 500 * 1024 },
+            pageWeight: { good: 1600 * 1024, poor: 4 * 1024 * 1024 },
+            renderBlocking: { good: 3, poor: 8 }
+        }
+    }
+};
+
+module.exports = { POLICIES };
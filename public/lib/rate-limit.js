@@ -0,0 +1,56 @@
+// Per-client rate limiting
+//
+// A fixed window counter per client IP, kept in memory (one server process).
+// Over the limit a request gets 429 with a Retry-After header and
+// { error, code: 'RATE_LIMITED', retryAfter } in seconds. Behind a proxy set
+// TRUST_PROXY so req.ip is the client's address rather than the proxy's.
+
+function rateLimit({ windowMs = 60000, max = 60, name = 'requests' } = {}) {
+    const clients = new Map();
+
+    // Drop finished windows now and then so the map does not grow without bound
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        clients.forEach((entry, ip) => {
+            if (entry.resetAt <= now) clients.delete(ip);
+        });
+    }, windowMs);
+    sweep.unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const ip = req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+        let entry = clients.get(ip);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            clients.set(ip, entry);
+        }
+        entry.count++;
+
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+        res.set('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)));
+
+        if (entry.count > max) {
+            const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: `Too many ${name}; try again in ${retryAfter} seconds`,
+                code: 'RATE_LIMITED',
+                retryAfter
+            });
+        }
+        next();
+    };
+}
+
+// Limit from an environment variable, or the default when unset or invalid
+function limitFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+module.exports = {
+    rateLimit,
+    limitFromEnv
+};
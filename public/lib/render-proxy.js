@@ -0,0 +1,105 @@
+const http = require('http');
+const net = require('net');
+const { parseFetchableUrl, guardedLookup } = require('./url-guard');
+
+// Outbound proxy for the renderer
+//
+// Chromium resolves host names itself, so checking a URL before letting the
+// browser load it is not enough: a host can answer the check with a public
+// address and the browser's own lookup with a private one. Rendered pages are
+// loaded through this proxy instead, which resolves every host with the
+// guarded lookup (lib/url-guard.js) and connects to the address it checked.
+// Plain http requests are forwarded; https is tunnelled with CONNECT.
+//
+// The proxy listens on the loopback interface only, for the browser the
+// renderer launches.
+
+function refuseTunnel(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+}
+
+// A request for an http URL (absolute form, as browsers send to a proxy),
+// sent to the checked address with the original Host header
+function forward(req, res) {
+    let target;
+    try {
+        target = parseFetchableUrl(req.url);
+        if (target.protocol !== 'http:') throw new Error(`Only http URLs are forwarded (got ${target.protocol})`);
+    } catch (error) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        return res.end(error.message);
+    }
+
+    const headers = Object.assign({}, req.headers);
+    delete headers['proxy-connection'];
+    delete headers['proxy-authorization'];
+
+    guardedLookup(target.hostname.replace(/^\[|\]$/g, ''), {}, (error, address) => {
+        if (error) {
+            res.writeHead(403, { 'Content-Type': 'text/plain' });
+            return res.end(error.message);
+        }
+
+        const upstream = http.request({
+            host: address,
+            port: target.port || 80,
+            path: target.pathname + target.search,
+            method: req.method,
+            headers,
+            agent: false
+        }, response => {
+            res.writeHead(response.statusCode, response.headers);
+            response.pipe(res);
+        });
+        upstream.on('error', upstreamError => {
+            if (!res.headersSent) res.writeHead(502, { 'Content-Type': 'text/plain' });
+            res.end(upstreamError.message);
+        });
+        req.pipe(upstream);
+    });
+}
+
+// CONNECT host:port: the host is resolved once, checked, and the tunnel
+// opened to that address
+function tunnel(req, socket, head) {
+    let host;
+    let port;
+    try {
+        const target = new URL(`http://${req.url}`);
+        host = target.hostname.replace(/^\[|\]$/g, '');
+        port = parseInt(target.port, 10) || 443;
+    } catch (error) {
+        return refuseTunnel(socket, 400, 'Bad Request');
+    }
+
+    socket.on('error', () => socket.destroy());
+    guardedLookup(host, {}, (error, address) => {
+        if (error) return refuseTunnel(socket, 403, 'Forbidden');
+
+        const upstream = net.connect(port, address, () => {
+            socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            if (head && head.length > 0) upstream.write(head);
+            upstream.pipe(socket);
+            socket.pipe(upstream);
+        });
+        upstream.on('error', () => socket.destroy());
+        socket.on('close', () => upstream.destroy());
+    });
+}
+
+// Starts a proxy on a free loopback port. Resolves with the server; its
+// address().port goes into Chromium's --proxy-server.
+function startRenderProxy() {
+    const server = http.createServer(forward);
+    server.on('connect', tunnel);
+    server.on('clientError', (error, socket) => socket.destroy());
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+module.exports = {
+    startRenderProxy
+};
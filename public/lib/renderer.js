@@ -0,0 +1,165 @@
+// Headless Chromium page renderer
+//
+// Loads a page in a local Chromium so client-rendered sites (React, Next and
+// similar single page apps) are seen the way a visitor sees them. Needs the
+// optional puppeteer-core package and a Chromium binary at CHROMIUM_PATH.
+// One browser is shared by concurrent renders and closed when the last one
+// finishes.
+//
+// Chromium runs sandboxed and never resolves a host name itself: everything
+// it loads goes through lib/render-proxy.js, which checks the address it
+// connects to, and its own resolver maps every name to nothing. Requests are
+// also checked up front (lib/url-guard.js) so refused ones fail fast, and
+// WebSockets are blocked outright.
+
+const { assertPublicUrl } = require('./url-guard');
+const { startRenderProxy } = require('./render-proxy');
+
+const RENDER_TIMEOUT = 20000;
+const BLOCKED_URLS = ['ws://*', 'wss://*'];
+
+let browserPromise = null;
+let activeRenders = 0;
+
+function executablePath() {
+    return process.env.CHROMIUM_PATH || process.env.PUPPETEER_EXECUTABLE_PATH || null;
+}
+
+async function launchBrowser() {
+    let puppeteer;
+    try {
+        puppeteer = require('puppeteer-core');
+    } catch (e) {
+        throw new Error('Rendered mode needs the puppeteer-core package');
+    }
+
+    if (!executablePath()) {
+        throw new Error('Rendered mode needs a Chromium binary; set CHROMIUM_PATH');
+    }
+
+    // Each browser has its own proxy, closed when the browser goes away
+    const proxy = await startRenderProxy();
+    try {
+        const browser = await puppeteer.launch({
+            executablePath: executablePath(),
+            headless: true,
+            args: [
+                `--proxy-server=http://127.0.0.1:${proxy.address().port}`,
+                '--proxy-bypass-list=<-loopback>',
+                '--host-resolver-rules=MAP * ~NOTFOUND , EXCLUDE 127.0.0.1',
+                '--force-webrtc-ip-handling-policy=disable_non_proxied_udp',
+                '--disable-dev-shm-usage'
+            ]
+        });
+        browser.once('disconnected', () => proxy.close());
+        return browser;
+    } catch (error) {
+        proxy.close();
+        throw error;
+    }
+}
+
+async function acquireBrowser() {
+    activeRenders++;
+    try {
+        if (!browserPromise) {
+            browserPromise = Promise.resolve().then(launchBrowser);
+            browserPromise.catch(() => { browserPromise = null; });
+        }
+        return await browserPromise;
+    } catch (error) {
+        activeRenders--;
+        throw error;
+    }
+}
+
+async function releaseBrowser() {
+    activeRenders--;
+    if (activeRenders > 0 || !browserPromise) return;
+
+    const closing = browserPromise;
+    browserPromise = null;
+    try {
+        await (await closing).close();
+    } catch (error) {
+        console.error('Error closing browser:', error.message);
+    }
+}
+
+// Navigation timing from the page itself, in milliseconds from navigation start
+function readTiming(page) {
+    return page.evaluate(() => {
+        const nav = performance.getEntriesByType('navigation')[0];
+        if (!nav) return null;
+        return {
+            ttfb: Math.round(nav.responseStart - nav.startTime),
+            downloadTime: Math.round(nav.responseEnd - nav.responseStart),
+            domContentLoaded: Math.round(nav.domContentLoadedEventEnd - nav.startTime),
+            loadTime: Math.round(nav.loadEventEnd - nav.startTime)
+        };
+    });
+}
+
+// Lets data: and blob: requests through and aborts any other request whose
+// URL fails the guard
+async function guardRequest(request) {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    try {
+        if (!/^(data|blob):/i.test(url)) await assertPublicUrl(url);
+        await request.continue();
+    } catch (error) {
+        await request.abort('blockedbyclient').catch(() => {});
+    }
+}
+
+// Renders a page and waits for the network to go idle. Resolves with the
+// rendered HTML, where the navigation ended up and a JPEG screenshot of the
+// first screen (a data URL, kept for reports); rejects on navigation errors
+// (a puppeteer TimeoutError when the page never settles).
+async function renderPage(url, { timeout = RENDER_TIMEOUT, userAgent } = {}) {
+    await assertPublicUrl(url);
+
+    const browser = await acquireBrowser();
+    const page = await browser.newPage().catch(async error => {
+        await releaseBrowser();
+        throw error;
+    });
+
+    try {
+        if (userAgent) await page.setUserAgent(userAgent);
+        const session = await page.createCDPSession();
+        await session.send('Network.setBlockedURLs', { urls: BLOCKED_URLS });
+        await page.setRequestInterception(true);
+        page.on('request', guardRequest);
+
+        const started = Date.now();
+        const response = await page.goto(url, { waitUntil: 'networkidle0', timeout });
+        const networkIdle = Date.now() - started;
+
+        const redirectChain = response
+            ? response.request().redirectChain().map(request => ({
+                url: request.url(),
+                status: request.response() ? request.response().status() : null
+            }))
+            : [];
+
+        return {
+            html: await page.content(),
+            statusCode: response ? response.status() : null,
+            finalUrl: page.url(),
+            redirectChain,
+            timing: Object.assign({}, await readTiming(page), { networkIdle }),
+            screenshot: await page.screenshot({ type: 'jpeg', quality: 60, encoding: 'base64' })
+                .then(data => `data:image/jpeg;base64,${data}`)
+                .catch(() => null)
+        };
+    } finally {
+        await page.close().catch(() => {});
+        await releaseBrowser();
+    }
+}
+
+module.exports = {
+    renderPage
+};
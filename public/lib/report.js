@@ -0,0 +1,509 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { normalizeAdFields, googleAssets, metaFields } = require('./ad-fields');
+const { version: packageVersion } = require('../package.json');
+const { languageName } = require('./language');
+
+// Compliance reports
+//
+// Turns a check (inputs, landing page snapshot and results, as stored by
+// lib/history.js or posted back by a client) into a sign-off report: a
+// standalone HTML page, a PDF, a JSON document and a SARIF 2.1.0 log that
+// code-scanning style tools can ingest. buildReport() produces the one model
+// every format renders.
+
+const PRODUCT_NAME = 'Real Estate Ad Compliance Checker';
+const DEFAULT_BRAND = { name: PRODUCT_NAME, color: '#4f46e5' };
+const SNAPSHOT_CHARS = 3000;
+const REPORT_FORMATS = ['html', 'pdf', 'json', 'sarif'];
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// SARIF levels: failures are errors unless minor, warnings stay warnings
+const SARIF_LEVELS = {
+    fail: { critical: 'error', high: 'error', medium: 'warning', low: 'note' },
+    warn: { critical: 'warning', high: 'warning', medium: 'warning', low: 'note' }
+};
+
+function brandFrom(brand) {
+    const name = brand && typeof brand.name === 'string' && brand.name.trim() ? brand.name.trim().slice(0, 80) : DEFAULT_BRAND.name;
+    const color = brand && /^#[0-9a-f]{6}$/i.test(brand.color || '') ? brand.color : DEFAULT_BRAND.color;
+    return { name, color };
+}
+
+function inputFields(input) {
+    const fields = normalizeAdFields(input.adFields);
+    if (!fields) return [];
+    return (fields.google ? googleAssets(fields.google) : [])
+        .concat(fields.meta ? metaFields(fields.meta) : [])
+        .map(f => ({ label: f.label, value: f.value }));
+}
+
+function snapshotOf(input, snapshot) {
+    if (!input.landingPage) return null;
+    const page = snapshot || {};
+    return {
+        url: input.landingPage,
+        fetched: Boolean(page.success),
+        message: page.success ? null : page.message || 'Landing page was not fetched',
+        finalUrl: page.finalUrl || null,
+        statusCode: page.statusCode || null,
+        fetchMode: page.fetchMode || null,
+        title: page.title || null,
+        text: page.bodyText ? page.bodyText.slice(0, SNAPSHOT_CHARS) : null,
+        truncated: Boolean(page.bodyText && page.bodyText.length > SNAPSHOT_CHARS),
+        screenshot: page.screenshot || null
+    };
+}
+
+function toFinding(type, finding) {
+    return {
+        type,
+        ruleId: finding.ruleId,
+        severity: finding.severity,
+        title: finding.title,
+        description: finding.description,
+        policy: finding.policy || null,
+        language: finding.language || null,
+        scoreImpact: typeof finding.scoreImpact === 'number' ? finding.scoreImpact : null,
+        matches: (finding.matches || []).map(m => ({ match: m.match, start: m.start, end: m.end, snippet: m.snippet }))
+    };
+}
+
+// `check` is { input, results, landingPageSnapshot, createdAt?, _id?,
+// submissionId?, version? }; `brand` is { name, color } for the header.
+function buildReport(check, { brand } = {}) {
+    const input = check.input || {};
+    const results = check.results;
+
+    const findings = results.violations.map(f => toFinding('violation', f))
+        .concat(results.warnings.map(f => toFinding('warning', f)))
+        .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+    return {
+        brand: brandFrom(brand),
+        generatedAt: new Date().toISOString(),
+        checkedAt: check.createdAt || results.checkedAt || null,
+        checkId: check._id || results.checkId || null,
+        submissionId: check.submissionId || results.submissionId || null,
+        version: check.version || results.version || null,
+        ruleSetVersion: results.ruleSetVersion || null,
+        scoringModel: results.scoring ? results.scoring.model : null,
+        input: {
+            platform: input.platform || results.platform || null,
+            advertiser: input.advertiser || null,
+            project: input.project || null,
+            jurisdictions: results.jurisdictions || [],
+            languages: {
+                adText: results.languages && results.languages.adText ? results.languages.adText.code : null,
+                landingPage: results.languages && results.languages.landingPage ? results.languages.landingPage.code : null
+            },
+            adText: input.adText || results.analyzedAdText || '',
+            fields: inputFields(input),
+            landingPage: input.landingPage || null,
+            displayUrl: input.displayUrl || null,
+            image: input.imageInfo ? { name: input.imageInfo.name || null, type: input.imageInfo.type || null, size: input.imageInfo.size || null } : null
+        },
+        score: results.score,
+        subScores: results.subScores || {},
+        approved: results.approved,
+        threshold: results.scoring ? results.scoring.threshold : null,
+        summary: {
+            totalChecks: results.totalChecks,
+            passedChecks: results.passedChecks,
+            criticalViolations: results.criticalViolations,
+            violations: results.violations.length,
+            warnings: results.warnings.length
+        },
+        findings,
+        waived: (results.waived || []).map(f => Object.assign(toFinding(f.type, f), {
+            waiver: { id: f.waiver.id, reason: f.waiver.reason, waivedBy: f.waiver.waivedBy, expiresAt: f.waiver.expiresAt }
+        })),
+        notices: (results.notices || []).map(n => ({ ruleId: n.ruleId, title: n.title, description: n.description, policy: n.policy || null })),
+        passed: results.passed.map(p => ({ ruleId: p.ruleId, title: p.title, description: p.description })),
+        landingPage: snapshotOf(input, check.landingPageSnapshot)
+    };
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderFindingHtml(f) {
+    return `
+        <div class="finding ${f.type} ${escapeHtml(f.severity)}">
+            <h3>${escapeHtml(f.title)}</h3>
+            <p class="meta">${escapeHtml(f.severity)} ${f.type} · rule ${escapeHtml(f.ruleId)}${f.policy ? ` · ${escapeHtml(f.policy)}` : ''}${f.language ? ` · ${escapeHtml(languageName(f.language))}` : ''}${f.scoreImpact !== null ? ` · ${f.scoreImpact} points` : ''}</p>
+            <p>${escapeHtml(f.description)}</p>
+            ${f.matches.length > 0 ? `<ul>${f.matches.map(m => `<li>"${escapeHtml(m.snippet)}" (chars ${m.start}-${m.end})</li>`).join('')}</ul>` : ''}
+        </div>`;
+}
+
+function renderHtmlReport(report) {
+    const { brand, input, landingPage } = report;
+    const rows = [
+        ['Advertiser', input.advertiser],
+        ['Project', input.project],
+        ['Platform', input.platform],
+        ['Jurisdictions', input.jurisdictions.join(', ')],
+        ['Ad language', input.languages.adText && languageName(input.languages.adText)],
+        ['Landing page', input.landingPage],
+        ['Page language', input.languages.landingPage && languageName(input.languages.landingPage)],
+        ['Display URL', input.displayUrl],
+        ['Image', input.image && `${input.image.name || 'image'} (${input.image.type || 'unknown type'})`]
+    ].filter(([, value]) => value);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Compliance report${report.submissionId ? ` - ${escapeHtml(report.submissionId)}` : ''}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; max-width: 900px; margin: 0 auto; padding: 30px; }
+    header { border-bottom: 4px solid ${brand.color}; padding-bottom: 15px; margin-bottom: 25px; }
+    header h1 { color: ${brand.color}; margin: 0; font-size: 26px; }
+    header p { color: #64748b; margin: 5px 0 0; font-size: 13px; }
+    h2 { font-size: 18px; margin-top: 30px; border-bottom: 1px solid #e2e8f0; padding-bottom: 6px; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    td, th { text-align: left; padding: 6px 8px; border-bottom: 1px solid #f1f5f9; vertical-align: top; }
+    .score { font-size: 40px; font-weight: 700; color: ${brand.color}; }
+    .verdict { display: inline-block; padding: 4px 12px; border-radius: 4px; font-weight: 600; margin-left: 12px; }
+    .verdict.approved { background: #dcfce7; color: #166534; }
+    .verdict.rejected { background: #fee2e2; color: #991b1b; }
+    .finding { border-left: 4px solid #f59e0b; background: #fffbeb; padding: 10px 15px; margin-bottom: 12px; border-radius: 6px; }
+    .finding.violation { border-left-color: #dc2626; background: #fef2f2; }
+    .finding h3 { margin: 0 0 4px; font-size: 15px; }
+    .finding p { margin: 4px 0; font-size: 14px; }
+    .finding .meta { color: #64748b; font-size: 12px; }
+    pre { white-space: pre-wrap; background: #f8fafc; padding: 12px; border-radius: 6px; font-size: 13px; }
+    .snapshot img { max-width: 100%; border: 1px solid #e2e8f0; }
+    footer { margin-top: 40px; color: #94a3b8; font-size: 12px; }
+</style>
+</head>
+<body>
+<header>
+    <h1>${escapeHtml(brand.name)}</h1>
+    <p>Ad compliance report · checked ${escapeHtml(report.checkedAt || report.generatedAt)}${report.submissionId ? ` · submission ${escapeHtml(report.submissionId)} v${escapeHtml(report.version)}` : ''}</p>
+</header>
+
+<section>
+    <span class="score">${escapeHtml(report.score)} / 100</span>
+    <span class="verdict ${report.approved ? 'approved' : 'rejected'}">${report.approved ? 'Approved' : 'Not approved'}</span>
+    <table>
+        <tr><th>Checks passed</th><td>${report.summary.passedChecks} of ${report.summary.totalChecks}</td></tr>
+        <tr><th>Violations</th><td>${report.summary.violations} (${report.summary.criticalViolations} critical)</td></tr>
+        <tr><th>Warnings</th><td>${report.summary.warnings}</td></tr>
+        ${Object.keys(report.subScores).map(id => `<tr><th>${escapeHtml(report.subScores[id].label)}</th><td>${report.subScores[id].score} / 100</td></tr>`).join('')}
+        ${report.threshold !== null ? `<tr><th>Approval threshold</th><td>${report.threshold}</td></tr>` : ''}
+    </table>
+</section>
+
+<h2>Inputs</h2>
+<table>
+    ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+    ${input.fields.map(f => `<tr><th>${escapeHtml(f.label)}</th><td>${escapeHtml(f.value)}</td></tr>`).join('')}
+</table>
+${input.adText ? `<pre>${escapeHtml(input.adText)}</pre>` : ''}
+
+<h2>Findings</h2>
+${report.findings.length > 0 ? report.findings.map(renderFindingHtml).join('') : '<p>No violations or warnings.</p>'}
+
+${report.waived.length > 0 ? `<h2>Waived findings</h2>${report.waived.map(f => `
+<p><strong>${escapeHtml(f.title)}</strong> (rule ${escapeHtml(f.ruleId)}): waived by ${escapeHtml(f.waiver.waivedBy)} until ${escapeHtml(f.waiver.expiresAt)}. ${escapeHtml(f.waiver.reason)}</p>`).join('')}` : ''}
+
+${report.notices.length > 0 ? `<h2>Notices</h2>${report.notices.map(n => `<p><strong>${escapeHtml(n.title)}</strong>${n.policy ? ` (${escapeHtml(n.policy)})` : ''}: ${escapeHtml(n.description)}</p>`).join('')}` : ''}
+
+${report.passed.length > 0 ? `<h2>Passed checks</h2><ul>${report.passed.map(p => `<li>${escapeHtml(p.title)}: ${escapeHtml(p.description)}</li>`).join('')}</ul>` : ''}
+
+${landingPage ? `
+<h2>Landing page snapshot</h2>
+<div class="snapshot">
+    <p>${escapeHtml(landingPage.url)}${landingPage.finalUrl && landingPage.finalUrl !== landingPage.url ? ` → ${escapeHtml(landingPage.finalUrl)}` : ''}${landingPage.statusCode ? ` (HTTP ${landingPage.statusCode}${landingPage.fetchMode ? `, ${escapeHtml(landingPage.fetchMode)}` : ''})` : ''}</p>
+    ${landingPage.fetched ? '' : `<p>${escapeHtml(landingPage.message)}</p>`}
+    ${landingPage.screenshot ? `<img src="${escapeHtml(landingPage.screenshot)}" alt="Landing page screenshot">` : ''}
+    ${landingPage.title ? `<p><strong>${escapeHtml(landingPage.title)}</strong></p>` : ''}
+    ${landingPage.text ? `<pre>${escapeHtml(landingPage.text)}${landingPage.truncated ? '…' : ''}</pre>` : ''}
+</div>` : ''}
+
+<footer>
+    Rule set ${escapeHtml(report.ruleSetVersion)}${report.scoringModel ? ` · scoring model ${escapeHtml(report.scoringModel)}` : ''} · generated ${escapeHtml(report.generatedAt)} by ${PRODUCT_NAME}${report.checkId ? ` · check ${escapeHtml(report.checkId)}` : ''}
+</footer>
+</body>
+</html>
+`;
+}
+
+// The standard PDF fonts only cover Latin-1 and a little more. Text in the
+// Indian scripts the checker reads is set in embedded Noto fonts. Emoji and
+// other symbols are dropped; letters and digits of other scripts are dropped
+// too but counted, and the report says so.
+const PDF_LATIN = /[\x09\x0A\x0D\x20-\x7E\xA0-\xFF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/;
+const PDF_JOINERS = /[\u200C\u200D]/;
+const PDF_SCRIPT_FONTS = [
+    { name: 'NotoSansDevanagari', pattern: /[\u0900-\u097F]/, files: fontFiles('noto-sans-devanagari', 'devanagari') },
+    { name: 'NotoSansTamil', pattern: /[\u0B80-\u0BFF]/, files: fontFiles('noto-sans-tamil', 'tamil') },
+    { name: 'NotoSansTelugu', pattern: /[\u0C00-\u0C7F]/, files: fontFiles('noto-sans-telugu', 'telugu') }
+];
+
+function fontFiles(family, subset) {
+    const dir = path.join(path.dirname(require.resolve(`@fontsource/${family}/package.json`)), 'files');
+    return {
+        regular: path.join(dir, `${family}-${subset}-400-normal.woff`),
+        bold: path.join(dir, `${family}-${subset}-700-normal.woff`)
+    };
+}
+
+function registerPdfFonts(doc) {
+    PDF_SCRIPT_FONTS.forEach(font => {
+        doc.registerFont(font.name, font.files.regular);
+        doc.registerFont(`${font.name}-Bold`, font.files.bold);
+    });
+}
+
+// Splits text into runs of one font each; `base` is Helvetica or
+// Helvetica-Bold. Joiners stay with the script run they belong to.
+function pdfRuns(value, base) {
+    const text = String(value === null || value === undefined ? '' : value)
+        .replace(/\u20B9\s*/g, 'Rs. ')
+        .trim();
+    const bold = base.endsWith('-Bold');
+    const runs = [];
+    let omitted = 0;
+    Array.from(text).forEach(char => {
+        const previous = runs[runs.length - 1];
+        const script = PDF_SCRIPT_FONTS.find(font => font.pattern.test(char));
+        let font = null;
+        if (script) font = bold ? `${script.name}-Bold` : script.name;
+        else if (PDF_JOINERS.test(char) && previous && previous.font !== base) font = previous.font;
+        else if (PDF_LATIN.test(char)) font = base;
+        if (!font) {
+            if (/[\p{L}\p{N}]/u.test(char)) omitted++;
+            return;
+        }
+        if (previous && previous.font === font) previous.text += char;
+        else runs.push({ font, text: char });
+    });
+    return { runs, omitted };
+}
+
+// Writes text in the fonts it needs and returns the document for chaining.
+// `state.omitted` counts the letters and digits no font could show.
+function writePdfText(doc, state, value, base = 'Helvetica') {
+    const { runs, omitted } = pdfRuns(value, base);
+    state.omitted += omitted;
+    if (runs.length === 0) return doc.font(base).text('');
+    runs.forEach((run, i) => doc.font(run.font).text(run.text, { continued: i < runs.length - 1 }));
+    return doc;
+}
+
+function renderPdfReport(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Ad compliance report', Author: report.brand.name } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        registerPdfFonts(doc);
+
+        const { brand, input, landingPage } = report;
+        const state = { omitted: 0 };
+        const write = (value, base) => writePdfText(doc, state, value, base);
+        const heading = text => doc.moveDown().font('Helvetica-Bold').fontSize(14).fillColor(brand.color).text(text).moveDown(0.3);
+        const line = (label, value) => {
+            doc.font('Helvetica-Bold').fontSize(10).fillColor('#1e293b').text(`${label}: `, { continued: true });
+            return write(value);
+        };
+
+        doc.fontSize(22).fillColor(brand.color);
+        write(brand.name, 'Helvetica-Bold');
+        doc.font('Helvetica').fontSize(10).fillColor('#64748b')
+            .text(`Ad compliance report - checked ${report.checkedAt || report.generatedAt}${report.submissionId ? ` - submission ${report.submissionId} v${report.version}` : ''}`);
+        doc.moveTo(50, doc.y + 6).lineTo(545, doc.y + 6).lineWidth(3).strokeColor(brand.color).stroke();
+
+        doc.moveDown(1.5).font('Helvetica-Bold').fontSize(28).fillColor(brand.color)
+            .text(`${report.score} / 100  `, { continued: true })
+            .fontSize(14).fillColor(report.approved ? '#166534' : '#991b1b')
+            .text(report.approved ? 'Approved' : 'Not approved');
+        line('Checks passed', `${report.summary.passedChecks} of ${report.summary.totalChecks}`);
+        line('Violations', `${report.summary.violations} (${report.summary.criticalViolations} critical)`);
+        line('Warnings', report.summary.warnings);
+        Object.keys(report.subScores).forEach(id => line(report.subScores[id].label, `${report.subScores[id].score} / 100`));
+        if (report.threshold !== null) line('Approval threshold', report.threshold);
+
+        heading('Inputs');
+        if (input.advertiser) line('Advertiser', input.advertiser);
+        if (input.project) line('Project', input.project);
+        if (input.platform) line('Platform', input.platform);
+        line('Jurisdictions', input.jurisdictions.join(', '));
+        if (input.languages.adText) line('Ad language', languageName(input.languages.adText));
+        if (input.landingPage) line('Landing page', input.landingPage);
+        if (input.languages.landingPage) line('Page language', languageName(input.languages.landingPage));
+        if (input.displayUrl) line('Display URL', input.displayUrl);
+        if (input.image) line('Image', `${input.image.name || 'image'} (${input.image.type || 'unknown type'})`);
+        input.fields.forEach(f => line(f.label, f.value));
+        if (input.adText) {
+            doc.moveDown(0.5).fontSize(10).fillColor('#334155');
+            write(input.adText);
+        }
+
+        heading('Findings');
+        if (report.findings.length === 0) doc.font('Helvetica').fontSize(10).fillColor('#1e293b').text('No violations or warnings.');
+        report.findings.forEach(f => {
+            doc.fontSize(11).fillColor(f.type === 'violation' ? '#b91c1c' : '#b45309');
+            write(f.title, 'Helvetica-Bold');
+            doc.fontSize(8).fillColor('#64748b');
+            write(`${f.severity} ${f.type} - rule ${f.ruleId}${f.policy ? ` - ${f.policy}` : ''}${f.language ? ` - ${languageName(f.language)}` : ''}${f.scoreImpact !== null ? ` - ${f.scoreImpact} points` : ''}`);
+            doc.fontSize(10).fillColor('#1e293b');
+            write(f.description).moveDown(0.6);
+        });
+
+        if (report.waived.length > 0) {
+            heading('Waived findings');
+            report.waived.forEach(f => {
+                doc.fontSize(10).fillColor('#1e293b');
+                write(`${f.title} (rule ${f.ruleId}): waived by ${f.waiver.waivedBy} until ${f.waiver.expiresAt}. ${f.waiver.reason}`).moveDown(0.3);
+            });
+        }
+
+        if (report.notices.length > 0) {
+            heading('Notices');
+            report.notices.forEach(n => {
+                doc.fontSize(10).fillColor('#1e293b');
+                write(`${n.title}: ${n.description}`).moveDown(0.3);
+            });
+        }
+
+        if (report.passed.length > 0) {
+            heading('Passed checks');
+            report.passed.forEach(p => {
+                doc.fontSize(9).fillColor('#166534');
+                write(`${p.title}: ${p.description}`);
+            });
+        }
+
+        if (landingPage) {
+            heading('Landing page snapshot');
+            line('URL', landingPage.finalUrl && landingPage.finalUrl !== landingPage.url ? `${landingPage.url} -> ${landingPage.finalUrl}` : landingPage.url);
+            if (landingPage.statusCode) line('Status', `HTTP ${landingPage.statusCode}${landingPage.fetchMode ? ` (${landingPage.fetchMode})` : ''}`);
+            if (!landingPage.fetched) line('Fetch', landingPage.message);
+            const screenshot = /^data:image\/(?:jpeg|png);base64,/.test(landingPage.screenshot || '')
+                ? Buffer.from(landingPage.screenshot.split(',')[1], 'base64')
+                : null;
+            if (screenshot) {
+                doc.moveDown(0.5).image(screenshot, { fit: [495, 320] }).moveDown(0.5);
+            }
+            if (landingPage.text) {
+                doc.moveDown(0.5).fontSize(8).fillColor('#475569');
+                write(`${landingPage.text}${landingPage.truncated ? '...' : ''}`);
+            }
+        }
+
+        if (state.omitted > 0) {
+            doc.moveDown().font('Helvetica-Oblique').fontSize(9).fillColor('#b45309')
+                .text(`${state.omitted} character${state.omitted === 1 ? ' was' : 's were'} left out of this PDF: it has no font for their script. The HTML and JSON reports contain the full text.`);
+        }
+
+        doc.moveDown(2).font('Helvetica').fontSize(8).fillColor('#94a3b8')
+            .text(`Rule set ${report.ruleSetVersion}${report.scoringModel ? ` - scoring model ${report.scoringModel}` : ''} - generated ${report.generatedAt} by ${PRODUCT_NAME}${report.checkId ? ` - check ${report.checkId}` : ''}`);
+
+        doc.end();
+    });
+}
+
+function toJsonReport(report) {
+    return Object.assign({ format: 'ad-compliance-report', formatVersion: 1 }, report);
+}
+
+// Ad text findings point at character offsets in the ad; landing page
+// findings at the page URL.
+function sarifLocations(finding, report) {
+    if (finding.matches.length > 0) {
+        return finding.matches.map(m => ({
+            physicalLocation: {
+                artifactLocation: { uri: 'ad-text', uriBaseId: 'AD' },
+                region: { charOffset: m.start, charLength: m.end - m.start, snippet: { text: m.match } }
+            }
+        }));
+    }
+    if (finding.ruleId.startsWith('landing') && report.input.landingPage) {
+        return [{ physicalLocation: { artifactLocation: { uri: report.input.landingPage } } }];
+    }
+    return [];
+}
+
+// Waived findings are kept as results with an external suppression
+function toSarif(report) {
+    const findings = report.findings.concat(report.waived);
+    const rules = Array.from(new Map(findings.map(f => [f.ruleId, {
+        id: f.ruleId,
+        shortDescription: { text: f.title },
+        properties: { severity: f.severity, policy: f.policy }
+    }])).values());
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: PRODUCT_NAME,
+                    version: packageVersion,
+                    semanticVersion: packageVersion,
+                    properties: { ruleSetVersion: report.ruleSetVersion, scoringModel: report.scoringModel },
+                    rules
+                }
+            },
+            invocations: [{
+                executionSuccessful: true,
+                endTimeUtc: report.checkedAt || report.generatedAt
+            }],
+            artifacts: report.input.adText ? [{ location: { uri: 'ad-text', uriBaseId: 'AD' }, contents: { text: report.input.adText } }] : [],
+            results: findings.map(f => Object.assign({
+                ruleId: f.ruleId,
+                ruleIndex: rules.findIndex(r => r.id === f.ruleId),
+                level: SARIF_LEVELS[f.type === 'violation' ? 'fail' : 'warn'][f.severity] || 'warning',
+                kind: 'fail',
+                message: { text: `${f.title}: ${f.description}` },
+                locations: sarifLocations(f, report),
+                properties: { severity: f.severity, policy: f.policy, type: f.type, language: f.language, scoreImpact: f.scoreImpact }
+            }, f.waiver ? {
+                suppressions: [{ kind: 'external', status: 'accepted', justification: `${f.waiver.reason} (waived by ${f.waiver.waivedBy} until ${f.waiver.expiresAt})` }]
+            } : {})),
+            properties: {
+                checkId: report.checkId,
+                submissionId: report.submissionId,
+                version: report.version,
+                platform: report.input.platform,
+                jurisdictions: report.input.jurisdictions,
+                languages: report.input.languages,
+                score: report.score,
+                subScores: report.subScores,
+                approved: report.approved
+            }
+        }]
+    };
+}
+
+// Renders a report in one of REPORT_FORMATS as { contentType, extension, body }
+async function renderReport(report, format) {
+    if (format === 'pdf') return { contentType: 'application/pdf', extension: 'pdf', body: await renderPdfReport(report) };
+    if (format === 'json') return { contentType: 'application/json', extension: 'json', body: JSON.stringify(toJsonReport(report), null, 2) };
+    if (format === 'sarif') return { contentType: 'application/sarif+json', extension: 'sarif', body: JSON.stringify(toSarif(report), null, 2) };
+    return { contentType: 'text/html; charset=utf-8', extension: 'html', body: renderHtmlReport(report) };
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    buildReport,
+    renderHtmlReport,
+    renderPdfReport,
+    toJsonReport,
+    toSarif,
+    renderReport
+};
@@ -0,0 +1,88 @@
+const { JURISDICTIONS } = require('./jurisdictions');
+
+// RERA (India) advertisement checks
+//
+// Registration numbers differ by state authority, so the known formats are
+// matched directly and anything else is accepted when it follows the word
+// "RERA" ("RERA No.: ...", "MahaRERA Reg. ...").
+
+const REGISTRATION_FORMATS = [
+    /\bP5\d{10}\b/g,                             // Maharashtra
+    /\bP0\d{10}\b/g,                             // Telangana
+    /\bPRM\/KA\/RERA\/[\w/]+/gi,                 // Karnataka
+    /\bUPRERA(?:PRJ|AGT)\d+\b/gi,                // Uttar Pradesh
+    /\bHRERA-[A-Z]{3}-[\w-]+/gi,                 // Haryana
+    /\bTN\/\d+\/Building\/\d+\/\d{4}\b/gi        // Tamil Nadu
+];
+const KEYWORD_LED = /\b(?:maha|k|guj|up|h|t|tn|ap|wb)?-?rera\b(?:\s*(?:reg(?:istration|n|d)?\.?|registered|project))?(?:\s*(?:no\.?|number|id|#))?\s*[:.\-\u2013]?\s*([A-Z0-9][A-Z0-9/\-]{5,})/gi;
+const AREA = /(\d[\d,.]*)\s*(?:sq\.?\s*(?:ft|feet|m|mt|mtr|yds?)\b|sqft\b|sft\b|square\s*(?:feet|foot|metres?|meters?|yards?)\b)/gi;
+const AREA_CONTEXT = 40;
+const CLAUSE_BREAK = /[.;|!?\n](?:\s|$)|\n/;
+const AUTHORITY_WEBSITE = /\b[\w-]*rera[\w-]*(?:\.[\w-]+)*\.(?:gov\.in|in|org)\b/i;
+
+function reraPack() {
+    return JURISDICTIONS.in.rera;
+}
+
+function allMatches(pattern, text, group = 0) {
+    const found = [];
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) found.push(match[group]);
+    return found;
+}
+
+// Distinct registration numbers quoted in a piece of text
+function findRegistrationNumbers(text) {
+    const numbers = REGISTRATION_FORMATS
+        .reduce((found, pattern) => found.concat(allMatches(pattern, text)), [])
+        .concat(allMatches(KEYWORD_LED, text, 1).filter(value => /\d/.test(value)))
+        .map(value => value.replace(/[/\-.]+$/, '').toUpperCase());
+
+    return Array.from(new Set(numbers));
+}
+
+function mentionsAuthorityWebsite(text) {
+    return AUTHORITY_WEBSITE.test(text);
+}
+
+function hasVisualDisclaimer(text) {
+    const lower = text.toLowerCase().replace(/[\u2018\u2019]/g, "'");
+    return reraPack().disclaimerPhrases.some(phrase => lower.includes(phrase));
+}
+
+// Every area figure in the text with the basis it is quoted on: 'carpet',
+// another basis such as super built-up (`term` says which), or null when
+// none is stated nearby.
+function findAreaStatements(text) {
+    const statements = [];
+    let match;
+    AREA.lastIndex = 0;
+
+    while ((match = AREA.exec(text)) !== null) {
+        const start = match.index;
+        const end = start + match[0].length;
+        // Only look within the same sentence or list item
+        const before = text.slice(Math.max(0, start - AREA_CONTEXT), start).split(CLAUSE_BREAK).pop();
+        const after = text.slice(end, end + AREA_CONTEXT).split(CLAUSE_BREAK)[0];
+        const around = `${before} ${after}`.toLowerCase();
+        const other = reraPack().nonCarpetAreaTerms.find(term => new RegExp(`\\b${term}\\b`).test(around));
+
+        statements.push({
+            match: match[0],
+            start,
+            end,
+            basis: /\bcarpet\b/.test(around) ? 'carpet' : other ? 'other' : null,
+            term: other || null
+        });
+    }
+
+    return statements;
+}
+
+module.exports = {
+    findRegistrationNumbers,
+    mentionsAuthorityWebsite,
+    hasVisualDisclaimer,
+    findAreaStatements
+};
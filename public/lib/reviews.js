@@ -0,0 +1,137 @@
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+
+// Review workflow
+//
+// Each submission (one ad, across its checked versions) has a review state:
+//
+//   draft --submit--> in_review --approve--> approved
+//                         |    \--reject---> rejected
+//   approved / rejected --reopen--> draft;  rejected --submit--> in_review
+//
+// The automated result never approves an ad on its own: a reviewer does,
+// and approving a version whose latest check is not approved needs an
+// explicit override with a comment. A new version of an approved or rejected
+// ad goes back to draft, since the decision was about an earlier version.
+// Every change is kept in the submission's history with who made it.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+const STATES = ['draft', 'in_review', 'approved', 'rejected'];
+const ACTIONS = {
+    submit: { from: ['draft', 'rejected'], to: 'in_review' },
+    approve: { from: ['in_review'], to: 'approved' },
+    reject: { from: ['in_review'], to: 'rejected', needsComment: true },
+    reopen: { from: ['approved', 'rejected'], to: 'draft' }
+};
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = new Datastore({ filename: path.join(DATA_DIR, 'reviews.db'), autoload: true });
+        store.ensureIndex({ fieldName: 'submissionId', unique: true });
+    }
+    return store;
+}
+
+class ReviewError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function describeReview(review) {
+    return {
+        submissionId: review.submissionId,
+        state: review.state,
+        advertiser: review.advertiser,
+        project: review.project,
+        checkId: review.checkId,
+        version: review.version,
+        updatedAt: review.updatedAt,
+        history: review.history
+    };
+}
+
+async function getReview(submissionId) {
+    const review = await getStore().findOneAsync({ submissionId });
+    return review ? describeReview(review) : null;
+}
+
+// Records a newly stored check version: starts the submission's review as a
+// draft, or moves a decided one back to draft. The advertiser and project are
+// those of the first version; later versions do not change them.
+async function noteCheck(check) {
+    const now = new Date().toISOString();
+    const review = await getStore().findOneAsync({ submissionId: check.submissionId });
+
+    if (!review) {
+        const scope = { advertiser: check.input.advertiser || null, project: check.input.project || null };
+        await getStore().insertAsync(Object.assign({
+            submissionId: check.submissionId,
+            state: 'draft',
+            checkId: check._id,
+            version: check.version,
+            createdAt: now,
+            updatedAt: now,
+            history: []
+        }, scope));
+        return 'draft';
+    }
+
+    const update = { checkId: check._id, version: check.version, updatedAt: now };
+    const changes = { $set: update };
+    if (review.state === 'approved' || review.state === 'rejected') {
+        update.state = 'draft';
+        changes.$push = {
+            history: { action: 'new-version', from: review.state, to: 'draft', reviewer: null, comment: `Version ${check.version} checked`, checkId: check._id, at: now }
+        };
+    }
+    await getStore().updateAsync({ submissionId: check.submissionId }, changes);
+    return update.state || review.state;
+}
+
+// Applies a reviewer action. `latestCheck` is the submission's latest stored
+// check (its automated result decides whether approval needs an override).
+async function transition(submissionId, { action, reviewer, comment, override = false }, latestCheck) {
+    const review = await getStore().findOneAsync({ submissionId });
+    if (!review) throw new ReviewError('Submission not found', 'NOT_FOUND');
+
+    const rule = ACTIONS[action];
+    if (!rule) throw new ReviewError(`Unknown action "${action}"; use ${Object.keys(ACTIONS).join(', ')}`, 'INVALID_REQUEST');
+    if (!rule.from.includes(review.state)) {
+        throw new ReviewError(`Cannot ${action} a submission that is ${review.state.replace('_', ' ')}`, 'INVALID_TRANSITION');
+    }
+    if (rule.needsComment && !comment) throw new ReviewError(`A comment is required to ${action}`, 'COMMENT_REQUIRED');
+
+    const automatedApproval = latestCheck ? latestCheck.approved : false;
+    if (action === 'approve' && !automatedApproval && !(override && comment)) {
+        throw new ReviewError('The latest check is not approved; approving it needs override with a comment', 'OVERRIDE_REQUIRED');
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+        action,
+        from: review.state,
+        to: rule.to,
+        reviewer,
+        comment: comment || null,
+        checkId: latestCheck ? latestCheck._id : review.checkId,
+        at: now
+    };
+    if (action === 'approve' && !automatedApproval) entry.override = true;
+
+    await getStore().updateAsync({ submissionId }, { $set: { state: rule.to, updatedAt: now }, $push: { history: entry } });
+    return getReview(submissionId);
+}
+
+module.exports = {
+    STATES,
+    ACTIONS,
+    ReviewError,
+    getReview,
+    noteCheck,
+    transition
+};
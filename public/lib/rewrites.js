@@ -0,0 +1,76 @@
+const { SUBSTITUTIONS, IN_PLACE } = require('./substitutions');
+
+// Compliant rewrites for flagged phrases
+
+// A clause starts after the start of the text or a separator and ends at one
+const CLAUSE_START = /(?:^|[.!?,;:|()\n\u2022\u2013\u2014-])\s*$/;
+const CLAUSE_END = /^\s*(?:$|[.!?,;:|()\n\u2022\u2013\u2014-])/;
+
+function matchCase(replacement, original) {
+    if (original === original.toUpperCase() && /[A-Z]/.test(original)) {
+        return replacement.toUpperCase();
+    }
+    if (/^[A-Z]/.test(original)) {
+        return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+}
+
+function suggestionsFor(term, original = term, table = SUBSTITUTIONS) {
+    return (table[term.toLowerCase()] || []).map(s => matchCase(s, original));
+}
+
+// Attaches `suggestions` to each match reported by a rule.
+function withSuggestions(matches, table = SUBSTITUTIONS) {
+    return matches.map(m => Object.assign({}, m, {
+        suggestions: suggestionsFor(m.term, m.match, table)
+    }));
+}
+
+// Whether a match's first suggestion reads correctly in its place (see
+// IN_PLACE in lib/substitutions.js)
+function readsInPlace(text, match) {
+    const kind = IN_PLACE[match.term.toLowerCase()];
+    if (kind === 'phrase') return true;
+    return kind === 'clause' &&
+        CLAUSE_START.test(text.slice(0, match.start)) &&
+        CLAUSE_END.test(text.slice(match.end));
+}
+
+// Applies the first suggestion of every match that reads correctly in place,
+// right to left so earlier offsets stay valid. Overlapping matches and the
+// rest are left as written; their suggestions are still offered one by one.
+function rewriteText(text, matches) {
+    let rewritten = text;
+    let limit = Infinity;
+
+    matches
+        .filter(m => m.suggestions && m.suggestions.length > 0 && readsInPlace(text, m))
+        .sort((a, b) => b.start - a.start)
+        .forEach(m => {
+            if (m.end > limit) return;
+            rewritten = rewritten.slice(0, m.start) + m.suggestions[0] + rewritten.slice(m.end);
+            limit = m.start;
+        });
+
+    return rewritten;
+}
+
+// Collects the matches from every ad text finding and produces the fully
+// rewritten ad, or null when nothing needs changing.
+function rewriteAdText(text, results) {
+    const adTextRules = new Set(results.rules.filter(r => r.target === 'adText').map(r => r.id));
+    const matches = results.violations.concat(results.warnings)
+        .filter(f => adTextRules.has(f.ruleId) && f.matches)
+        .reduce((all, f) => all.concat(f.matches), []);
+
+    const rewritten = rewriteText(text, matches);
+    return rewritten === text ? null : rewritten;
+}
+
+module.exports = {
+    suggestionsFor,
+    withSuggestions,
+    rewriteText,
+    rewriteAdText
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Compliance scoring
+//
+// The model lives in config/scoring.json (or the file named by
+// SCORING_CONFIG, merged over it): a weight per severity, the share of that
+// weight a warning or a failure loses, per-rule weight multipliers, the
+// categories that get their own sub-score and how much each counts towards
+// the overall score, and the approval threshold.
+//
+// Each scored check is worth its weight; the category sub-score is the share
+// of that weight kept, and the overall score the weighted mean of the
+// categories that ran. Every check is counted once, and 'info' notices not at
+// all. Each finding is told how many points it cost (`scoreImpact`).
+
+const DEFAULT_CONFIG = path.join(__dirname, '..', 'config', 'scoring.json');
+
+let model = null;
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function validateModel(config) {
+    ['severityWeights', 'statusPenalty', 'categories', 'approval'].forEach(key => {
+        if (!config[key] || typeof config[key] !== 'object') {
+            throw new Error(`Scoring config is missing "${key}"`);
+        }
+    });
+    Object.keys(config.categories).forEach(id => {
+        const category = config.categories[id];
+        if (!Array.isArray(category.targets) || typeof category.weight !== 'number') {
+            throw new Error(`Scoring category "${id}" needs targets and a weight`);
+        }
+    });
+    return config;
+}
+
+// Top-level sections of an override replace the defaults key by key
+function loadModel(file = process.env.SCORING_CONFIG) {
+    const config = readJson(DEFAULT_CONFIG);
+    if (file) {
+        const override = readJson(path.resolve(file));
+        Object.keys(override).forEach(key => {
+            config[key] = override[key] && typeof override[key] === 'object' && !Array.isArray(override[key])
+                ? Object.assign({}, config[key], override[key])
+                : override[key];
+        });
+    }
+    return validateModel(config);
+}
+
+function getModel() {
+    if (!model) model = loadModel();
+    return model;
+}
+
+// Short digest of the model, stored with each result like the rule set version
+function getModelVersion(config = getModel()) {
+    return crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex').slice(0, 10);
+}
+
+function categoryOf(target, config) {
+    return Object.keys(config.categories).find(id => config.categories[id].targets.includes(target)) || null;
+}
+
+function checkWeight(check, config) {
+    const base = config.severityWeights[check.severity] || 0;
+    const multiplier = config.ruleWeights && typeof config.ruleWeights[check.id] === 'number' ? config.ruleWeights[check.id] : 1;
+    return base * multiplier;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Scores a results object from runRules. Returns the overall score, the
+// category sub-scores and an explanation of every check that moved it;
+// `threshold` overrides the configured approval minimum.
+function scoreResults(results, { threshold, config = getModel() } = {}) {
+    const minScore = typeof threshold === 'number' ? threshold : config.approval.minScore;
+    const checks = results.rules
+        .filter(check => check.severity !== 'info' && check.status !== 'error')
+        .map(check => {
+            const weight = checkWeight(check, config);
+            return Object.assign({}, check, {
+                category: categoryOf(check.target, config),
+                weight,
+                lost: weight * (config.statusPenalty[check.status] || 0)
+            });
+        })
+        .filter(check => check.category && check.weight > 0);
+
+    const subScores = {};
+    Object.keys(config.categories).forEach(id => {
+        const inCategory = checks.filter(check => check.category === id);
+        const total = inCategory.reduce((sum, check) => sum + check.weight, 0);
+        if (total === 0) return;
+        const lost = inCategory.reduce((sum, check) => sum + check.lost, 0);
+        subScores[id] = {
+            label: config.categories[id].label || id,
+            score: Math.round(100 * (1 - lost / total)),
+            weight: config.categories[id].weight,
+            checks: inCategory.length,
+            points: total
+        };
+    });
+
+    const weightSum = Object.keys(subScores).reduce((sum, id) => sum + subScores[id].weight, 0);
+    const shareOf = id => (weightSum > 0 ? subScores[id].weight / weightSum : 0);
+
+    // Points each check took off the overall score
+    const explanation = checks
+        .filter(check => check.lost > 0)
+        .map(check => ({
+            ruleId: check.id,
+            category: check.category,
+            status: check.status,
+            severity: check.severity,
+            weight: check.weight,
+            impact: -round(100 * check.lost / subScores[check.category].points * shareOf(check.category))
+        }))
+        .sort((a, b) => a.impact - b.impact);
+
+    const score = weightSum > 0
+        ? Math.round(Object.keys(subScores).reduce((sum, id) => sum + subScores[id].score * shareOf(id), 0))
+        : 0;
+
+    const blocking = (results.violations || [])
+        .filter(finding => config.approval.blockingSeverities.includes(finding.severity))
+        .map(finding => finding.ruleId);
+
+    return {
+        score,
+        subScores,
+        approved: weightSum > 0 && score >= minScore && blocking.length === 0,
+        scoring: {
+            model: getModelVersion(config),
+            threshold: minScore,
+            blockingSeverities: config.approval.blockingSeverities,
+            blockedBy: blocking,
+            explanation
+        }
+    };
+}
+
+// Approval threshold from a request: undefined when not given, otherwise a
+// number from 0 to 100 (anything else throws)
+function parseThreshold(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const threshold = Number(value);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        throw new Error(`Approval threshold must be a number from 0 to 100, got "${value}"`);
+    }
+    return threshold;
+}
+
+// Copies each check's score impact onto its finding
+function annotateFindings(results, explanation) {
+    results.violations.concat(results.warnings).forEach(finding => {
+        const entry = explanation.find(e => e.ruleId === finding.ruleId);
+        if (entry) finding.scoreImpact = entry.impact;
+    });
+}
+
+module.exports = {
+    loadModel,
+    getModel,
+    getModelVersion,
+    scoreResults,
+    parseThreshold,
+    annotateFindings
+};
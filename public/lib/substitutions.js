@@ -0,0 +1,155 @@
+// Substitution table for flagged phrases
+//
+// Keys are the terms listed in POLICIES (or a rule's own vocabulary); values are
+// compliant phrasings, best first. Suggestions describe the property, never the
+// buyer. Every entry is offered as a suggestion; only those listed in IN_PLACE
+// are also applied (their first phrasing) when the whole ad is rewritten.
+const SUBSTITUTIONS = {
+    // Familial status
+    'no kids': ['quiet residential setting', 'peaceful, low-traffic home'],
+    'no children': ['quiet residential setting', 'peaceful, low-traffic home'],
+    'adults only': ['quiet community', 'peaceful residential setting'],
+    'mature individuals': ['quiet, well-kept community'],
+    'family only': ['spacious 3BHK', 'roomy family-sized layout'],
+    'perfect for newlyweds': ['ideal starter home', 'cozy 1BHK'],
+    'empty nesters': ['low-maintenance home', 'right-sized home'],
+    'no students': ['quiet residential building'],
+
+    // Marital status / household make-up
+    'singles only': ['compact studio', 'efficient 1BHK layout'],
+    'couples only': ['cozy 1BHK', 'compact two-room layout'],
+    'married couples': ['cozy 2BHK'],
+    'single persons': ['compact studio'],
+    'divorced': ['all applicants welcome'],
+    'widowed': ['all applicants welcome'],
+
+    // Age
+    'ideal for retirees': ['low-maintenance home', 'single-level living'],
+    'young professionals': ['close to the business district', 'near offices and metro'],
+    'older persons': ['single-level living', 'step-free access'],
+    'senior': ['single-level living', 'low-maintenance home'],
+    'elderly': ['step-free access', 'single-level living'],
+    'young': ['vibrant neighbourhood', 'lively area'],
+
+    // Sex
+    'men only': ['all applicants welcome'],
+    'women only': ['all applicants welcome'],
+    'male': ['all applicants welcome'],
+    'female tenants': ['all applicants welcome'],
+
+    // Religion
+    'christian': ['near places of worship'],
+    'muslim': ['near places of worship'],
+    'jewish': ['near places of worship'],
+    'hindu': ['near places of worship'],
+    'no atheists': ['all applicants welcome'],
+    'religious': ['near places of worship'],
+
+    // Race, colour, national origin
+    'caucasian': ['welcoming neighbourhood'],
+    'african american': ['welcoming neighbourhood'],
+    'asian': ['welcoming neighbourhood'],
+    'hispanic': ['welcoming neighbourhood'],
+    'latino': ['welcoming neighbourhood'],
+    'white': ['welcoming neighbourhood'],
+    'black': ['welcoming neighbourhood'],
+    'english speakers only': ['all applicants welcome'],
+    'speaks english': ['all applicants welcome'],
+    'american citizens': ['all qualified applicants'],
+
+    // Disability
+    'no wheelchairs': ['step-free access', 'elevator access'],
+    'able-bodied': ['third-floor walk-up', 'stair access only'],
+    'physically fit': ['third-floor walk-up', 'stair access only'],
+    'no disabled': ['accessible entrance'],
+
+    // Exclusionary framing
+    'select clientele': ['limited-release units'],
+    'exclusive': ['premium', 'gated'],
+    'restricted': ['gated', 'secure-access'],
+    'private community': ['gated community'],
+
+    // Source of income and benefits (state and UK packs)
+    'no section 8': ['all lawful income sources considered'],
+    'section 8 not accepted': ['all lawful income sources considered'],
+    'no vouchers': ['housing vouchers accepted'],
+    'no housing vouchers': ['housing vouchers accepted'],
+    'no dss': ['all applicants considered'],
+    'dss not accepted': ['all applicants considered'],
+    'no housing benefit': ['all applicants considered'],
+    'no benefits': ['all applicants considered'],
+
+    // Nationality and community (UK, EU and India packs)
+    'british only': ['all applicants welcome'],
+    'nationals only': ['all applicants welcome'],
+    'locals only': ['all applicants welcome'],
+    'no foreigners': ['all applicants welcome'],
+    'vegetarians only': ['near vegetarian eateries'],
+    'veg only': ['near vegetarian eateries'],
+    'pure veg society': ['near vegetarian eateries'],
+    'no bachelors': ['all applicants welcome'],
+    'bachelors not allowed': ['all applicants welcome'],
+
+    // Unsubstantiated claims
+    'best': ['well-appointed', 'thoughtfully designed'],
+    'cheapest': ['competitively priced', 'value-priced'],
+    'lowest price': ['attractive pricing', 'value pricing'],
+    'guaranteed returns': ['investment details on request'],
+    'highest returns': ['investment details on request'],
+    'assured returns': ['investment details on request'],
+    'guaranteed appreciation': ['growth-corridor location'],
+    'assured rental': ['rental-ready unit'],
+    'guaranteed rental income': ['rental-ready unit'],
+    'award-winning': ['architect-designed', 'well-designed'],
+    'award winning': ['architect-designed', 'well-designed'],
+    '#1': ['established'],
+    'no. 1': ['established'],
+    'number one': ['established'],
+    'hurry': ['enquire today'],
+    'selling fast': ['now booking'],
+    'act now': ['enquire today'],
+    'last chance': ['now booking'],
+    'limited period': ['current'],
+    'limited time': ['current']
+};
+
+// Phrases whose first substitution reads correctly in their place. 'phrase'
+// entries swap anywhere (one description for another); 'clause' entries only
+// where the phrase stands as a clause of its own, as in "2BHK, no bachelors."
+// but not "no bachelors allowed". Single words depend too much on the words
+// around them ("near the Hindu temple") and are never applied automatically,
+// nor are claims whose only fix is to cite the evidence ("award-winning").
+const IN_PLACE = {
+    'private community': 'phrase',
+    'act now': 'phrase',
+    'selling fast': 'phrase',
+
+    'perfect for newlyweds': 'clause',
+    'no kids': 'clause',
+    'no children': 'clause',
+    'adults only': 'clause',
+    'no students': 'clause',
+    'men only': 'clause',
+    'women only': 'clause',
+    'no atheists': 'clause',
+    'english speakers only': 'clause',
+    'no section 8': 'clause',
+    'section 8 not accepted': 'clause',
+    'no vouchers': 'clause',
+    'no housing vouchers': 'clause',
+    'no dss': 'clause',
+    'dss not accepted': 'clause',
+    'no housing benefit': 'clause',
+    'no benefits': 'clause',
+    'british only': 'clause',
+    'nationals only': 'clause',
+    'locals only': 'clause',
+    'no foreigners': 'clause',
+    'no bachelors': 'clause',
+    'bachelors not allowed': 'clause',
+    'guaranteed returns': 'clause',
+    'highest returns': 'clause',
+    'assured returns': 'clause'
+};
+
+module.exports = { SUBSTITUTIONS, IN_PLACE };
@@ -0,0 +1,194 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Outbound request guard
+//
+// Landing page URLs come from whoever calls the API, so every fetch the
+// server makes (the page, each redirect hop, crawled links, robots.txt,
+// resources weighed for page speed and everything a rendered page loads) must
+// not reach the server's own network. Only http(s) is allowed, and host names
+// are checked after DNS resolution, at connect time, so a name that resolves
+// to a private address is refused even when it changes between lookups: by
+// the agents below for the server's own requests, and by lib/render-proxy.js
+// for what a rendered page loads.
+//
+// Set ALLOW_PRIVATE_NETWORK=true to fetch local addresses in development.
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Addresses that are never fetched: "this" network, private, carrier-grade
+// NAT, loopback, link-local (cloud metadata), protocol assignments,
+// benchmarking, multicast and reserved ranges
+const BLOCKED_IPV4 = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+const BLOCKED_IPV6 = [
+    ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+];
+
+// IPv6 prefixes whose addresses carry an IPv4 address in known bits: NAT64
+// (64:ff9b::/96) in the last 32, 6to4 (2002::/16) right after the prefix.
+// Teredo (2001::/32) obscures the one it carries, so it is blocked outright.
+const NAT64_PREFIX = 0x64ff9bn << 64n;
+const SIX_TO_FOUR_PREFIX = 0x2002n;
+
+class UnsafeUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsafeUrlError';
+        this.code = 'ERR_UNSAFE_URL';
+    }
+}
+
+function privateNetworkAllowed() {
+    return process.env.ALLOW_PRIVATE_NETWORK === 'true';
+}
+
+function ipv4ToBigInt(address) {
+    return address.split('.').reduce((value, part) => (value << 8n) + BigInt(parseInt(part, 10)), 0n);
+}
+
+function ipv6ToBigInt(address) {
+    let text = address.toLowerCase().split('%')[0];
+
+    // Embedded IPv4 tail (::ffff:1.2.3.4)
+    const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4) {
+        const value = ipv4ToBigInt(v4[1]);
+        text = text.slice(0, -v4[1].length) + `${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const parts = tail !== undefined
+        ? headParts.concat(Array(missing).fill('0'), tailParts)
+        : headParts;
+
+    return parts.reduce((value, part) => (value << 16n) + BigInt(parseInt(part || '0', 16)), 0n);
+}
+
+function inRange(value, base, prefix, bits) {
+    const shift = BigInt(bits - prefix);
+    return (value >> shift) === (base >> shift);
+}
+
+// The IPv4 address an IPv6 address carries (IPv4-mapped, IPv4-compatible,
+// NAT64 or 6to4), as a number, or null
+function embeddedIpv4(value) {
+    const high = value >> 32n;
+    if (high === 0xffffn || (high === 0n && value > 1n) || high === NAT64_PREFIX) return value & 0xffffffffn;
+    if ((value >> 112n) === SIX_TO_FOUR_PREFIX) return (value >> 80n) & 0xffffffffn;
+    return null;
+}
+
+// True for addresses in a blocked range. IPv6 addresses that carry an IPv4
+// address are judged by that address.
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) {
+        const value = ipv4ToBigInt(address);
+        return address === '255.255.255.255' || BLOCKED_IPV4.some(([base, prefix]) => inRange(value, ipv4ToBigInt(base), prefix, 32));
+    }
+    if (family === 6) {
+        const value = ipv6ToBigInt(address);
+        const ipv4 = embeddedIpv4(value);
+        if (ipv4 !== null) {
+            return isBlockedAddress([24n, 16n, 8n, 0n].map(shift => String((ipv4 >> shift) & 0xffn)).join('.'));
+        }
+        return BLOCKED_IPV6.some(([base, prefix]) => inRange(value, ipv6ToBigInt(base), prefix, 128));
+    }
+    return true;
+}
+
+// Parses and checks a URL's scheme; throws UnsafeUrlError
+function parseFetchableUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new UnsafeUrlError(`Invalid URL "${url}"`);
+    }
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+        throw new UnsafeUrlError(`Only http and https URLs can be fetched (got ${parsed.protocol})`);
+    }
+    if (parsed.username || parsed.password) {
+        throw new UnsafeUrlError('URLs with credentials cannot be fetched');
+    }
+    return parsed;
+}
+
+// Resolves a URL's host and throws UnsafeUrlError when any address it
+// resolves to is blocked. Used to reject a URL up front; the agents below
+// repeat the check on the address actually connected to.
+async function assertPublicUrl(url) {
+    const parsed = parseFetchableUrl(url);
+    if (privateNetworkAllowed()) return parsed;
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw new UnsafeUrlError(`Could not resolve ${host}`);
+    }
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+        throw new UnsafeUrlError(net.isIP(host)
+            ? `${host} is a private or reserved address`
+            : `${host} resolves to a private or reserved address (${blocked.address})`);
+    }
+    return parsed;
+}
+
+// dns.lookup replacement for the agents: resolves as usual, then refuses
+// blocked addresses
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        if (privateNetworkAllowed()) return callback(null, address, family);
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(new UnsafeUrlError(`${hostname} resolves to a private or reserved address (${blocked.address})`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// axios `beforeRedirect` hook for requests that let axios follow redirects:
+// the agents check resolved names, this catches other schemes and literal IPs
+function guardRedirect(options) {
+    if (!ALLOWED_PROTOCOLS.includes(options.protocol)) {
+        throw new UnsafeUrlError(`Redirect to a ${options.protocol} URL was refused`);
+    }
+    const host = String(options.hostname || '').replace(/^\[|\]$/g, '');
+    if (!privateNetworkAllowed() && net.isIP(host) && isBlockedAddress(host)) {
+        throw new UnsafeUrlError(`Redirect to a private or reserved address (${host}) was refused`);
+    }
+}
+
+// Agents for axios (`httpAgent` / `httpsAgent`). Literal IP hosts skip the
+// lookup, so the request helpers also call assertPublicUrl on every URL.
+const httpAgent = new http.Agent({ keepAlive: false, lookup: guardedLookup });
+const httpsAgent = new https.Agent({ keepAlive: false, lookup: guardedLookup });
+
+module.exports = {
+    UnsafeUrlError,
+    isBlockedAddress,
+    parseFetchableUrl,
+    assertPublicUrl,
+    guardedLookup,
+    guardRedirect,
+    httpAgent,
+    httpsAgent
+};
@@ -0,0 +1,269 @@
+const { FETCH_MODES } = require('./page-fetcher');
+const { ACTIONS } = require('./reviews');
+const { MAX_BATCH_ROWS } = require('./batch');
+
+// Request body validation
+//
+// Each API body is described by a small schema: the type of every field
+// (one type or a list), whether it is required, and limits on strings,
+// numbers and arrays. Nested objects have `fields`, arrays `items`. Fields
+// a schema does not list are left alone, so clients may send extra data.
+//
+// validateBody(schema) is Express middleware answering 400 with
+// { error, code: 'INVALID_REQUEST', details: [{ field, message }] }; `error`
+// is the first problem, for clients that only show a message.
+
+const MAX_URL_LENGTH = 2048;
+const MAX_TEXT_LENGTH = 20000;
+
+const URL_FIELD = { type: 'string', maxLength: MAX_URL_LENGTH };
+const TEXT_FIELD = { type: 'string', maxLength: MAX_TEXT_LENGTH };
+const STRINGS = { type: ['array', 'string'], maxLength: MAX_TEXT_LENGTH, maxItems: 50, items: TEXT_FIELD };
+
+const PLATFORM = { type: 'string', enum: ['google', 'meta', 'both'] };
+const JURISDICTION = { type: ['string', 'array'], maxLength: 200, maxItems: 20, items: { type: 'string', maxLength: 20 } };
+const THRESHOLD = { type: ['number', 'string'], min: 0, max: 100, maxLength: 10 };
+const SCOPE = { type: 'string', maxLength: 200 };
+
+const AD_FIELDS = {
+    type: 'object',
+    fields: {
+        google: {
+            type: 'object',
+            fields: {
+                headlines: STRINGS,
+                descriptions: STRINGS,
+                path1: TEXT_FIELD,
+                path2: TEXT_FIELD
+            }
+        },
+        meta: {
+            type: 'object',
+            fields: {
+                primaryText: TEXT_FIELD,
+                headline: TEXT_FIELD,
+                description: TEXT_FIELD,
+                callToAction: TEXT_FIELD
+            }
+        }
+    }
+};
+
+const IMAGE_INFO = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', maxLength: 500 },
+        size: { type: 'number', min: 0 },
+        type: { type: 'string', maxLength: 100 },
+        data: { type: 'string' }
+    }
+};
+
+// One ad of a batch upload (lib/batch.js, which also accepts other header
+// spellings and limits each row's combined text)
+const BATCH_IMAGE_LENGTH = 2 * 1024 * 1024;
+const BATCH_AD = {
+    type: 'object',
+    fields: {
+        id: { type: ['string', 'number'], maxLength: 200 },
+        adText: TEXT_FIELD,
+        headline: TEXT_FIELD,
+        description: TEXT_FIELD,
+        landingUrl: URL_FIELD,
+        displayUrl: URL_FIELD,
+        platform: { type: 'string', maxLength: 20 },
+        jurisdiction: JURISDICTION,
+        adFields: AD_FIELDS,
+        imageInfo: Object.assign({}, IMAGE_INFO, {
+            fields: Object.assign({}, IMAGE_INFO.fields, { data: { type: 'string', maxLength: BATCH_IMAGE_LENGTH } })
+        })
+    }
+};
+
+// The versioned API's check request: the check-compliance fields plus how
+// to fetch the landing page when its content is not supplied
+const V1_CHECK = {
+    adText: TEXT_FIELD,
+    adFields: AD_FIELDS,
+    landingPage: URL_FIELD,
+    displayUrl: URL_FIELD,
+    platform: PLATFORM,
+    jurisdiction: JURISDICTION,
+    imageInfo: IMAGE_INFO,
+    landingPageContent: { type: 'object' },
+    approvalThreshold: THRESHOLD,
+    submissionId: { type: 'string', maxLength: 100 },
+    advertiser: SCOPE,
+    project: SCOPE,
+    fetch: {
+        type: 'object',
+        fields: {
+            mode: { type: 'string', enum: FETCH_MODES },
+            crawl: { type: 'boolean' }
+        }
+    }
+};
+
+const SCHEMAS = {
+    analyzePage: {
+        url: Object.assign({ required: true }, URL_FIELD),
+        crawl: {
+            type: ['boolean', 'object'],
+            fields: {
+                maxDepth: { type: 'number', min: 0, max: 10 },
+                maxPages: { type: 'number', min: 1, max: 100 }
+            }
+        },
+        mode: { type: 'string', enum: FETCH_MODES }
+    },
+    checkCompliance: {
+        adText: TEXT_FIELD,
+        adFields: AD_FIELDS,
+        landingPage: URL_FIELD,
+        displayUrl: URL_FIELD,
+        platform: PLATFORM,
+        jurisdiction: JURISDICTION,
+        imageInfo: IMAGE_INFO,
+        landingPageContent: { type: 'object' },
+        approvalThreshold: THRESHOLD,
+        submissionId: { type: 'string', maxLength: 100 },
+        submissionToken: { type: 'string', maxLength: 100 },
+        advertiser: SCOPE,
+        project: SCOPE
+    },
+    v1Check: V1_CHECK,
+    v1Job: {
+        check: { type: 'object', required: true, fields: V1_CHECK },
+        callbackUrl: URL_FIELD,
+        reference: { type: 'string', maxLength: 200 }
+    },
+    report: {
+        input: { type: 'object' },
+        results: { type: 'object', required: true },
+        landingPageContent: { type: 'object' }
+    },
+    batch: {
+        ads: { type: 'array', maxItems: MAX_BATCH_ROWS, items: BATCH_AD },
+        csv: { type: 'string', maxLength: 5 * 1024 * 1024 },
+        platform: PLATFORM,
+        jurisdiction: JURISDICTION,
+        approvalThreshold: THRESHOLD,
+        advertiser: SCOPE,
+        project: SCOPE
+    },
+    recheck: {
+        refetch: { type: 'boolean' },
+        submissionToken: { type: 'string', maxLength: 100 }
+    },
+    waiver: {
+        ruleId: { type: 'string', required: true, maxLength: 200 },
+        advertiser: Object.assign({ required: true, minLength: 1 }, SCOPE),
+        project: SCOPE,
+        terms: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 200 } },
+        reason: { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+        expiresAt: { type: 'string', required: true, maxLength: 40 },
+        checkId: { type: 'string', maxLength: 100 }
+    },
+    review: {
+        action: { type: 'string', required: true, enum: Object.keys(ACTIONS) },
+        comment: { type: 'string', maxLength: 2000 },
+        override: { type: 'boolean' }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function validateValue(spec, value, field, details) {
+    const types = [].concat(spec.type);
+    const type = typeOf(value);
+    if (!types.includes(type)) {
+        details.push({ field, message: `must be ${types.map(t => (t === 'array' || t === 'object' ? `an ${t}` : `a ${t}`)).join(' or ')}` });
+        return;
+    }
+
+    if (type === 'string') {
+        if (spec.minLength && value.trim().length < spec.minLength) {
+            details.push({ field, message: spec.minLength === 1 ? 'must not be empty' : `must be at least ${spec.minLength} characters` });
+        }
+        if (spec.maxLength && value.length > spec.maxLength) {
+            details.push({ field, message: `must be at most ${spec.maxLength} characters` });
+        }
+        if (spec.enum && !spec.enum.includes(value)) {
+            details.push({ field, message: `must be one of ${spec.enum.join(', ')}` });
+        }
+    }
+
+    if (type === 'number') {
+        if (!Number.isFinite(value)) {
+            details.push({ field, message: 'must be a finite number' });
+        } else if (spec.min !== undefined && value < spec.min) {
+            details.push({ field, message: `must be at least ${spec.min}` });
+        } else if (spec.max !== undefined && value > spec.max) {
+            details.push({ field, message: `must be at most ${spec.max}` });
+        }
+    }
+
+    if (type === 'array') {
+        if (spec.maxItems && value.length > spec.maxItems) {
+            details.push({ field, message: `must have at most ${spec.maxItems} items` });
+        }
+        if (spec.items) {
+            value.slice(0, spec.maxItems || value.length)
+                .forEach((item, i) => validateValue(spec.items, item, `${field}[${i}]`, details));
+        }
+    }
+
+    if (type === 'object' && spec.fields) {
+        validateFields(spec.fields, value, `${field}.`, details);
+    }
+}
+
+function validateFields(fields, body, prefix, details) {
+    Object.keys(fields).forEach(name => {
+        const spec = fields[name];
+        const value = body[name];
+        if (value === undefined || value === null) {
+            if (spec.required) details.push({ field: prefix + name, message: 'is required' });
+            return;
+        }
+        validateValue(spec, value, prefix + name, details);
+    });
+}
+
+// Returns the problems with a request body, empty when it is valid
+function validate(schema, body) {
+    if (typeOf(body) !== 'object') {
+        return [{ field: '', message: 'Request body must be a JSON object' }];
+    }
+    const details = [];
+    validateFields(schema, body, '', details);
+    return details;
+}
+
+function invalidRequest(res, details) {
+    const first = details[0];
+    return res.status(400).json({
+        error: first.field ? `${first.field} ${first.message}` : first.message,
+        code: 'INVALID_REQUEST',
+        details
+    });
+}
+
+function validateBody(schema) {
+    return (req, res, next) => {
+        const details = validate(schema, req.body === undefined ? {} : req.body);
+        if (details.length > 0) return invalidRequest(res, details);
+        next();
+    };
+}
+
+module.exports = {
+    SCHEMAS,
+    validate,
+    validateBody,
+    invalidRequest
+};
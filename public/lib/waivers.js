@@ -0,0 +1,195 @@
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+
+// Reviewer waivers
+//
+// A waiver records a reviewer's judgement that a rule's finding is
+// acceptable for one advertiser, optionally narrowed to one of its projects,
+// until it expires or is revoked. Later checks with the same advertiser (and
+// project) drop the findings a waiver covers from their violations and
+// warnings into `results.waived`, before scoring, so they no longer count
+// against the score or approval.
+//
+// A waiver never covers a whole rule. It lists matched terms ("senior" but
+// not "adults only") and covers a finding when every term the finding
+// matched is one of them (as listed or as written in the ad), or it names
+// the stored check it was made from and covers that check's finding: its
+// terms, or for a finding without terms, the same finding (same
+// description). A critical finding without terms is not waivable, since the
+// waiver would cover the rule as a whole.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const MAX_DAYS = parseInt(process.env.WAIVER_MAX_DAYS, 10) || 365;
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = new Datastore({ filename: path.join(DATA_DIR, 'waivers.db'), autoload: true });
+        store.ensureIndex({ fieldName: 'advertiser' });
+    }
+    return store;
+}
+
+class WaiverError extends Error {
+    constructor(message, code = 'INVALID_WAIVER') {
+        super(message);
+        this.code = code;
+    }
+}
+
+function scopeKey(value) {
+    return value ? String(value).trim().toLowerCase() : null;
+}
+
+function normalizeTerm(value) {
+    return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function normalizeTerms(terms) {
+    if (!terms) return null;
+    const list = [].concat(terms).map(normalizeTerm).filter(Boolean);
+    return list.length > 0 ? Array.from(new Set(list)) : null;
+}
+
+function isActive(waiver, now = new Date()) {
+    return !waiver.revokedAt && new Date(waiver.expiresAt) > now;
+}
+
+function findingTerms(finding) {
+    if (finding.matches && finding.matches.length > 0) return normalizeTerms(finding.matches.map(m => m.term || m.match));
+    return normalizeTerms(finding.terms);
+}
+
+// What a waiver covers: the terms given, or the finding of `ruleId` in
+// `check` (the stored check named by checkId, null when there is none)
+function waiverScope({ ruleId, advertiser, terms, checkId }, check) {
+    const listed = normalizeTerms(terms);
+    if (!checkId) {
+        if (!listed) throw new WaiverError('A waiver needs the terms it covers or the checkId of the check whose finding it waives');
+        return { terms: listed, findingDescription: null };
+    }
+
+    if (!check) throw new WaiverError('checkId does not name a stored check');
+    if (scopeKey(check.input.advertiser) !== scopeKey(advertiser)) {
+        throw new WaiverError('The check was made for a different advertiser');
+    }
+    const finding = check.results.violations.concat(check.results.warnings).find(f => f.ruleId === ruleId);
+    if (!finding) throw new WaiverError(`The check has no finding for rule ${ruleId}`);
+
+    const scope = listed || findingTerms(finding);
+    if (scope) return { terms: scope, findingDescription: null };
+    if (finding.severity === 'critical') {
+        throw new WaiverError('A critical finding can only be waived for the terms it matched, and this one matched none');
+    }
+    return { terms: null, findingDescription: finding.description };
+}
+
+// Stores a waiver. `expiresAt` must be in the future and within
+// WAIVER_MAX_DAYS (default 365). `reviewer` is the signed-in reviewer's name
+// and `check` the stored check named by `checkId`, if any.
+async function createWaiver({ ruleId, advertiser, project, terms, reason, expiresAt, reviewer, checkId }, check = null) {
+    const expires = new Date(expiresAt);
+    const now = new Date();
+    if (Number.isNaN(expires.getTime())) throw new WaiverError('expiresAt must be a date');
+    if (expires <= now) throw new WaiverError('expiresAt must be in the future');
+    if (expires - now > MAX_DAYS * 86400000) throw new WaiverError(`Waivers can last at most ${MAX_DAYS} days`);
+    const scope = waiverScope({ ruleId, advertiser, terms, checkId }, check);
+
+    return getStore().insertAsync({
+        ruleId,
+        advertiser: scopeKey(advertiser),
+        project: scopeKey(project),
+        terms: scope.terms,
+        findingDescription: scope.findingDescription,
+        reason: reason.trim(),
+        expiresAt: expires.toISOString(),
+        createdBy: reviewer,
+        createdAt: now.toISOString(),
+        checkId: checkId || null,
+        revokedAt: null,
+        revokedBy: null
+    });
+}
+
+async function revokeWaiver(id, reviewer) {
+    const waiver = await getStore().findOneAsync({ _id: id });
+    if (!waiver) return null;
+    if (waiver.revokedAt) throw new WaiverError('Waiver is already revoked', 'ALREADY_REVOKED');
+
+    await getStore().updateAsync({ _id: id }, { $set: { revokedAt: new Date().toISOString(), revokedBy: reviewer } });
+    return getStore().findOneAsync({ _id: id });
+}
+
+// Waivers for an advertiser (all of them, or one project's and the
+// advertiser-wide ones), newest first. Expired and revoked waivers are left
+// out unless `includeInactive` is set.
+async function listWaivers({ advertiser, project, includeInactive = false } = {}) {
+    const query = {};
+    if (advertiser) query.advertiser = scopeKey(advertiser);
+    if (project) query.project = { $in: [scopeKey(project), null] };
+
+    const waivers = await getStore().findAsync(query).sort({ createdAt: -1 });
+    return includeInactive ? waivers : waivers.filter(w => isActive(w));
+}
+
+// The active waivers that apply to a check's advertiser and project
+async function activeWaivers({ advertiser, project }) {
+    if (!scopeKey(advertiser)) return [];
+    const waivers = await listWaivers({ advertiser });
+    return waivers.filter(w => !w.project || w.project === scopeKey(project));
+}
+
+// Whether every term a finding matched is among `terms`, by the listed term
+// ("senior") or the words in the ad ("Seniors")
+function termsCovered(finding, terms) {
+    const covered = value => value && terms.includes(normalizeTerm(value));
+    if (finding.matches && finding.matches.length > 0) {
+        return finding.matches.every(m => covered(m.term) || covered(m.match));
+    }
+    return Boolean(finding.terms && finding.terms.length > 0 && finding.terms.every(covered));
+}
+
+function covers(waiver, finding) {
+    if (waiver.ruleId !== finding.ruleId) return false;
+    if (waiver.terms) return termsCovered(finding, waiver.terms);
+    return Boolean(waiver.findingDescription) && finding.severity !== 'critical' &&
+        finding.description === waiver.findingDescription;
+}
+
+function waiverFor(finding, waivers) {
+    return waivers.find(waiver => covers(waiver, finding));
+}
+
+// Moves the findings the waivers cover into `results.waived` (each with its
+// waiver) and marks their rules 'waived'. Run before scoring.
+function applyWaivers(results, waivers) {
+    if (!waivers || waivers.length === 0) return results;
+
+    const waive = (finding, type) => {
+        const waiver = waiverFor(finding, waivers);
+        if (!waiver) return true;
+
+        results.waived.push(Object.assign({ type }, finding, {
+            waiver: { id: waiver._id, reason: waiver.reason, waivedBy: waiver.createdBy, expiresAt: waiver.expiresAt, terms: waiver.terms }
+        }));
+        results.rules
+            .filter(rule => rule.id === finding.ruleId)
+            .forEach(rule => { rule.status = 'waived'; });
+        if (type === 'violation' && finding.severity === 'critical') results.criticalViolations--;
+        return false;
+    };
+
+    results.violations = results.violations.filter(f => waive(f, 'violation'));
+    results.warnings = results.warnings.filter(f => waive(f, 'warning'));
+    return results;
+}
+
+module.exports = {
+    WaiverError,
+    createWaiver,
+    revokeWaiver,
+    listWaivers,
+    activeWaivers,
+    applyWaivers
+};
@@ -0,0 +1,115 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { version: packageVersion } = require('../package.json');
+const { assertPublicUrl, httpAgent, httpsAgent } = require('./url-guard');
+
+// Signed webhook callbacks
+//
+// Each delivery is a JSON POST of { id, event, createdAt, data }. The body is
+// signed with HMAC-SHA256 using WEBHOOK_SECRET over "<timestamp>.<body>" and
+// sent as
+//
+//   X-Adcheck-Signature: t=<unix seconds>,v1=<hex digest>
+//
+// Receivers recompute the digest from the raw body, compare it in constant
+// time and reject old timestamps (verifySignature does all three). Failed
+// deliveries (network errors, timeouts, non-2xx answers) are retried with
+// exponential backoff. Callback URLs pass the same private network guard as
+// page fetches, and redirects are not followed.
+
+const SIGNATURE_HEADER = 'X-Adcheck-Signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_ATTEMPTS, 10) || 4);
+const RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_MS, 10) || 2000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+function webhookSecret() {
+    return process.env.WEBHOOK_SECRET || null;
+}
+
+function computeSignature(body, secret, timestamp) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${computeSignature(body, secret, timestamp)}`;
+}
+
+// True when `header` is a valid signature of the raw `body` made within the
+// tolerance window
+function verifySignature(body, header, secret, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+    const parts = String(header || '').split(',').reduce((all, part) => {
+        const separator = part.indexOf('=');
+        if (separator > 0) all[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+        return all;
+    }, {});
+
+    const timestamp = parseInt(parts.t, 10);
+    if (!Number.isFinite(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(computeSignature(body, secret, timestamp), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function postOnce(url, body, headers) {
+    await assertPublicUrl(url);
+    const response = await axios.post(url, body, {
+        headers,
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        transformRequest: [data => data],
+        validateStatus: () => true
+    });
+    return response.status;
+}
+
+// Delivers one event, retrying failures. Resolves (never rejects) with
+// { id, delivered, attempts, status, error }.
+async function deliverWebhook(url, event, data, { secret = webhookSecret(), maxAttempts = MAX_ATTEMPTS } = {}) {
+    const id = crypto.randomBytes(12).toString('hex');
+    const body = JSON.stringify({ id, event, createdAt: new Date().toISOString(), data });
+    const outcome = { id, delivered: false, attempts: 0, status: null, error: null };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        outcome.attempts = attempt;
+        try {
+            outcome.status = await postOnce(url, body, {
+                'Content-Type': 'application/json',
+                'User-Agent': `adcheck-webhooks/${packageVersion}`,
+                'X-Adcheck-Event': event,
+                'X-Adcheck-Delivery': id,
+                [SIGNATURE_HEADER]: signPayload(body, secret)
+            });
+            outcome.error = outcome.status >= 200 && outcome.status < 300 ? null : `Receiver answered ${outcome.status}`;
+        } catch (error) {
+            outcome.status = null;
+            outcome.error = error.message;
+            // A refused URL will be refused again
+            if (error.code === 'ERR_UNSAFE_URL') break;
+        }
+
+        if (!outcome.error) {
+            outcome.delivered = true;
+            break;
+        }
+        if (attempt < maxAttempts) await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+
+    return outcome;
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    webhookSecret,
+    signPayload,
+    verifySignature,
+    deliverWebhook
+};
@@ -0,0 +1,54 @@
+const { POLICIES } = require('../../lib/policies');
+
+// Google RSA: number of headlines and descriptions
+module.exports = {
+    id: 'google-rsa-asset-count',
+    target: 'adFields',
+    platforms: ['google'],
+    severity: 'high',
+    policy: 'Google Ads - Responsive Search Ad Requirements',
+    evaluate({ fields }) {
+        if (!fields.google) return null;
+
+        const limits = POLICIES.google.rsa;
+        const { headlines, descriptions } = fields.google;
+        const problems = [];
+
+        if (headlines.length < limits.minHeadlines || headlines.length > limits.maxHeadlines) {
+            problems.push({
+                field: 'google.headlines',
+                label: 'Headlines',
+                problem: `${headlines.length} provided; ${limits.minHeadlines}-${limits.maxHeadlines} required`
+            });
+        }
+        if (descriptions.length < limits.minDescriptions || descriptions.length > limits.maxDescriptions) {
+            problems.push({
+                field: 'google.descriptions',
+                label: 'Descriptions',
+                problem: `${descriptions.length} provided; ${limits.minDescriptions}-${limits.maxDescriptions} required`
+            });
+        }
+        if (fields.google.path2 && !fields.google.path1) {
+            problems.push({
+                field: 'google.path2',
+                label: 'Display path 2',
+                problem: 'path 2 cannot be used without path 1'
+            });
+        }
+
+        if (problems.length > 0) {
+            return {
+                status: 'fail',
+                title: 'Responsive Search Ad Asset Count (Google)',
+                description: problems.map(p => `${p.label}: ${p.problem}`).join('. ') + '.',
+                fields: problems
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ RSA Asset Count Valid',
+            description: `${headlines.length} headlines and ${descriptions.length} descriptions.`
+        };
+    }
+};
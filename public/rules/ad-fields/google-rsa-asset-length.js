@@ -0,0 +1,41 @@
+const { POLICIES } = require('../../lib/policies');
+const { googleAssets, googleLength } = require('../../lib/ad-fields');
+
+// Google RSA: per-asset character limits
+module.exports = {
+    id: 'google-rsa-asset-length',
+    target: 'adFields',
+    platforms: ['google'],
+    severity: 'high',
+    policy: 'Google Ads - Responsive Search Ad Requirements',
+    evaluate({ fields }) {
+        if (!fields.google) return null;
+
+        const limits = POLICIES.google.rsa;
+        const limitFor = {
+            headline: limits.headlineLength,
+            description: limits.descriptionLength,
+            path: limits.pathLength
+        };
+
+        const tooLong = googleAssets(fields.google)
+            .map(asset => Object.assign(asset, { length: googleLength(asset.value), limit: limitFor[asset.kind] }))
+            .filter(asset => asset.length > asset.limit)
+            .map(asset => Object.assign(asset, { problem: `${asset.length}/${asset.limit} characters` }));
+
+        if (tooLong.length > 0) {
+            return {
+                status: 'fail',
+                title: 'RSA Assets Over Character Limit (Google)',
+                description: tooLong.map(a => `${a.label} is ${a.problem}`).join('. ') + '.',
+                fields: tooLong
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ RSA Character Limits Met',
+            description: `Headlines ≤${limits.headlineLength}, descriptions ≤${limits.descriptionLength}, paths ≤${limits.pathLength} characters.`
+        };
+    }
+};
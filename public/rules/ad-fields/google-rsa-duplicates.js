@@ -0,0 +1,48 @@
+const { assetKey } = require('../../lib/ad-fields');
+
+function duplicatesIn(values, fieldName, label) {
+    const seen = new Map();
+    const duplicates = [];
+
+    values.forEach((value, i) => {
+        const key = assetKey(value);
+        if (seen.has(key)) {
+            duplicates.push({
+                field: `${fieldName}[${i}]`,
+                label: `${label} ${i + 1}`,
+                value,
+                problem: `duplicates ${label.toLowerCase()} ${seen.get(key) + 1}`
+            });
+        } else {
+            seen.set(key, i);
+        }
+    });
+
+    return duplicates;
+}
+
+// Google RSA: every headline and description must be unique
+module.exports = {
+    id: 'google-rsa-duplicates',
+    target: 'adFields',
+    platforms: ['google'],
+    severity: 'medium',
+    policy: 'Google Ads - Responsive Search Ad Requirements',
+    evaluate({ fields }) {
+        if (!fields.google) return null;
+
+        const duplicates = duplicatesIn(fields.google.headlines, 'google.headlines', 'Headline')
+            .concat(duplicatesIn(fields.google.descriptions, 'google.descriptions', 'Description'));
+
+        if (duplicates.length > 0) {
+            return {
+                status: 'fail',
+                title: 'Duplicate RSA Assets (Google)',
+                description: duplicates.map(d => `${d.label} ${d.problem}`).join('. ') + '. Duplicate assets are rejected and reduce ad combinations.',
+                fields: duplicates
+            };
+        }
+
+        return { status: 'pass' };
+    }
+};
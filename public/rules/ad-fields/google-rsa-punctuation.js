@@ -0,0 +1,39 @@
+const { googleAssets, punctuationIssues } = require('../../lib/ad-fields');
+
+// Google editorial: no emoji, no repeated or gimmicky punctuation, and no
+// exclamation marks in headlines
+module.exports = {
+    id: 'google-rsa-punctuation',
+    target: 'adFields',
+    platforms: ['google'],
+    severity: 'high',
+    policy: 'Google Ads - Editorial and Professional Requirements',
+    evaluate({ fields }) {
+        if (!fields.google) return null;
+
+        const flagged = googleAssets(fields.google)
+            .map(asset => Object.assign(asset, {
+                issues: punctuationIssues(asset.value, {
+                    allowEmoji: false,
+                    allowExclamation: asset.kind === 'description'
+                })
+            }))
+            .filter(asset => asset.issues.length > 0)
+            .map(({ issues, ...asset }) => Object.assign(asset, { problem: issues.join(', ') }));
+
+        if (flagged.length > 0) {
+            return {
+                status: 'fail',
+                title: 'Editorial Punctuation & Symbols (Google)',
+                description: flagged.map(a => `${a.label}: ${a.problem}`).join('. ') + '.',
+                fields: flagged
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ RSA Editorial Standards Met',
+            description: 'No emoji, gimmicky symbols or repeated punctuation in assets.'
+        };
+    }
+};
@@ -0,0 +1,37 @@
+const { POLICIES } = require('../../lib/policies');
+const { normalizeCallToAction } = require('../../lib/ad-fields');
+
+// Meta: the CTA must be one of the platform's button types
+module.exports = {
+    id: 'meta-call-to-action',
+    target: 'adFields',
+    platforms: ['meta'],
+    severity: 'high',
+    policy: 'Meta Marketing API - Call to Action Types',
+    evaluate({ fields }) {
+        if (!fields.meta || !fields.meta.callToAction) return null;
+
+        const allowed = POLICIES.meta.fields.callToActions;
+        const cta = normalizeCallToAction(fields.meta.callToAction);
+
+        if (!allowed.includes(cta)) {
+            return {
+                status: 'fail',
+                title: 'Invalid Call-to-Action Button (Meta)',
+                description: `The call-to-action is not a Meta CTA button. Use one of: ${allowed.join(', ')}.`,
+                fields: [{
+                    field: 'meta.callToAction',
+                    label: 'Call to action',
+                    value: fields.meta.callToAction,
+                    problem: 'not a supported button type'
+                }]
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Valid Call-to-Action Button',
+            description: `CTA button ${cta} is supported.`
+        };
+    }
+};
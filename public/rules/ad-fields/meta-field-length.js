@@ -0,0 +1,45 @@
+const { POLICIES } = require('../../lib/policies');
+const { metaFields, charLength } = require('../../lib/ad-fields');
+
+// Meta: recommended lengths before text is truncated in feed
+module.exports = {
+    id: 'meta-field-length',
+    target: 'adFields',
+    platforms: ['meta'],
+    severity: 'medium',
+    policy: 'Meta Ads Guide - Text Recommendations',
+    evaluate({ fields }) {
+        if (!fields.meta) return null;
+
+        const limits = POLICIES.meta.fields;
+        const limitFor = {
+            primaryText: limits.primaryTextLength,
+            headline: limits.headlineLength,
+            description: limits.descriptionLength
+        };
+
+        const problems = metaFields(fields.meta)
+            .map(field => Object.assign(field, { length: charLength(field.value), limit: limitFor[field.kind] }))
+            .filter(field => field.length > field.limit)
+            .map(field => Object.assign(field, { problem: `${field.length}/${field.limit} characters, will be truncated` }));
+
+        if (!fields.meta.primaryText) {
+            problems.unshift({ field: 'meta.primaryText', label: 'Primary text', value: '', problem: 'missing' });
+        }
+
+        if (problems.length > 0) {
+            return {
+                status: 'warn',
+                title: 'Meta Ad Text Length',
+                description: problems.map(p => `${p.label}: ${p.problem}`).join('. ') + '.',
+                fields: problems
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Meta Field Lengths Within Recommendations',
+            description: `Primary text ≤${limits.primaryTextLength}, headline ≤${limits.headlineLength}, description ≤${limits.descriptionLength} characters.`
+        };
+    }
+};
@@ -0,0 +1,29 @@
+const { metaFields, punctuationIssues } = require('../../lib/ad-fields');
+
+// Meta: repeated punctuation and gimmicky symbols read as low quality
+module.exports = {
+    id: 'meta-ad-punctuation',
+    target: 'adFields',
+    platforms: ['meta'],
+    severity: 'medium',
+    policy: 'Meta Advertising Standards - Low Quality Content',
+    evaluate({ fields }) {
+        if (!fields.meta) return null;
+
+        const flagged = metaFields(fields.meta)
+            .map(field => Object.assign(field, { issues: punctuationIssues(field.value) }))
+            .filter(field => field.issues.length > 0)
+            .map(({ issues, ...field }) => Object.assign(field, { problem: issues.join(', ') }));
+
+        if (flagged.length > 0) {
+            return {
+                status: 'warn',
+                title: 'Gimmicky Punctuation or Symbols (Meta)',
+                description: flagged.map(f => `${f.label}: ${f.problem}`).join('. ') + '.',
+                fields: flagged
+            };
+        }
+
+        return { status: 'pass' };
+    }
+};
@@ -0,0 +1,26 @@
+const { findTranslatedTerms, languageOf } = require('../../lib/language');
+
+// CTA check, in English or any language with a callToAction list
+module.exports = {
+    id: 'call-to-action',
+    target: 'adText',
+    severity: 'low',
+    evaluate({ text }) {
+        const translated = findTranslatedTerms(text, 'callToAction');
+        const hasCTA = /contact|call|visit|book|register|enquire|inquire|schedule|apply|learn more/i.test(text) || translated.length > 0;
+
+        if (hasCTA) {
+            return Object.assign({
+                status: 'pass',
+                title: '✅ Clear Call-to-Action Present',
+                description: 'Ad contains a clear call-to-action.'
+            }, translated.length > 0 ? { language: languageOf(translated) } : {});
+        }
+
+        return {
+            status: 'warn',
+            title: 'No Clear Call-to-Action',
+            description: 'Consider adding a CTA to improve performance.'
+        };
+    }
+};
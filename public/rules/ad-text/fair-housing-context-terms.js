@@ -0,0 +1,28 @@
+const { scanFairHousing, uniqueTerms } = require('../../lib/fair-housing');
+const { withSuggestions } = require('../../lib/rewrites');
+const { languageOf } = require('../../lib/language');
+
+// Fair Housing Act - terms that are only discriminatory in some contexts
+module.exports = {
+    id: 'fair-housing-context-terms',
+    target: 'adText',
+    jurisdictions: ['us'],
+    severity: 'medium',
+    policy: 'Fair Housing Act § 3604(c)',
+    evaluate({ text }) {
+        const { contextual } = scanFairHousing(text);
+
+        if (contextual.length > 0) {
+            return {
+                status: 'warn',
+                title: 'Context-Dependent Fair Housing Terms - Reviewer Check',
+                description: `Found "${uniqueTerms(contextual).join('", "')}". These are only acceptable when they describe the property or a lawful program (e.g. HUD-qualified 55+ housing), never who may live there.`,
+                terms: uniqueTerms(contextual),
+                language: languageOf(contextual),
+                matches: withSuggestions(contextual)
+            };
+        }
+
+        return { status: 'pass' };
+    }
+};
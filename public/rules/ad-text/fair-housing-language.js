@@ -0,0 +1,32 @@
+const { scanFairHousing, uniqueTerms } = require('../../lib/fair-housing');
+const { withSuggestions } = require('../../lib/rewrites');
+const { languageOf } = require('../../lib/language');
+
+// Fair Housing Act - Discriminatory Language
+module.exports = {
+    id: 'fair-housing-language',
+    target: 'adText',
+    jurisdictions: ['us'],
+    severity: 'critical',
+    policy: 'Fair Housing Act § 3604(c)',
+    evaluate({ text }) {
+        const { prohibited } = scanFairHousing(text);
+
+        if (prohibited.length > 0) {
+            return {
+                status: 'fail',
+                title: '🚨 Fair Housing Act Violation - Discriminatory Language',
+                description: `CRITICAL: Found prohibited discriminatory terms: "${uniqueTerms(prohibited).join('", "')}". This violates the Fair Housing Act and both Meta and Google Ads policies.`,
+                terms: uniqueTerms(prohibited),
+                language: languageOf(prohibited),
+                matches: withSuggestions(prohibited)
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ No Discriminatory Language Detected',
+            description: 'Ad text complies with Fair Housing Act requirements.'
+        };
+    }
+};
@@ -0,0 +1,57 @@
+const { findTriggerTerms, checkDisclosures } = require('../../lib/financial');
+const { languageOf } = require('../../lib/language');
+
+// One sentence per requirement: the trigger terms, every disclosure they
+// need that is missing, and the provision that requires them
+function describeMissing(missing) {
+    const groups = new Map();
+    missing.forEach(r => {
+        const key = `${r.citation}\u0000${r.triggeredBy.join('|')}`;
+        if (!groups.has(key)) groups.set(key, { citation: r.citation, triggeredBy: r.triggeredBy, labels: [] });
+        groups.get(key).labels.push(r.label);
+    });
+
+    return Array.from(groups.values())
+        .map(g => `${g.triggeredBy.map(m => `"${m}"`).join(', ')} requires the ${g.labels.join('; the ')} (${g.citation})`)
+        .join('. ');
+}
+
+// Financial trigger terms need the disclosures each jurisdiction requires
+module.exports = {
+    id: 'financial-disclosure',
+    target: 'adText',
+    severity: 'high',
+    policy: 'Truth in Lending Act',
+    evaluate({ text, jurisdictions, landingPageContent }) {
+        const triggers = findTriggerTerms(text);
+        if (triggers.length === 0) return { status: 'pass' };
+
+        const pageText = landingPageContent && landingPageContent.success ? landingPageContent.bodyText || '' : '';
+        const requirements = checkDisclosures(triggers, jurisdictions || [], { adText: text, pageText });
+        const missing = requirements.filter(r => !r.foundIn);
+        const quoted = Array.from(new Set(triggers.map(t => `"${t.match}" (${t.label})`))).join(', ');
+
+        if (missing.length > 0) {
+            const citations = Array.from(new Set(missing.map(r => r.citation)));
+            return {
+                status: 'fail',
+                title: '🚨 Financial Terms Missing Required Disclosures',
+                policy: citations.join('; '),
+                description: `${describeMissing(missing)}. State them in the ad or on the landing page.`,
+                language: languageOf(triggers),
+                triggers,
+                missing: missing.map(r => ({ disclosure: r.disclosure, label: r.label, requiredBy: r.citation, jurisdiction: r.jurisdiction, triggeredBy: r.triggeredBy })),
+                matches: triggers.map(t => ({ term: t.label, match: t.match, start: t.start, end: t.end, snippet: t.snippet }))
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Financial Terms Disclosed',
+            description: requirements.length > 0
+                ? `${quoted}: ${Array.from(new Set(requirements.map(r => `${r.label} (${r.foundIn === 'ad' ? 'in the ad' : 'on the landing page'})`))).join(', ')}.`
+                : `${quoted}: no disclosures are required for the selected jurisdictions.`,
+            triggers
+        };
+    }
+};
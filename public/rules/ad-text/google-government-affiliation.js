@@ -0,0 +1,23 @@
+const { findTranslatedTerms, languageOf } = require('../../lib/language');
+
+// Google: Government affiliation
+module.exports = {
+    id: 'google-government-affiliation',
+    target: 'adText',
+    platforms: ['google'],
+    severity: 'critical',
+    policy: 'Google Ads - Misrepresentation',
+    evaluate({ text }) {
+        const translated = findTranslatedTerms(text, 'governmentAffiliation');
+
+        if (/government|official|approved by|certified by government/i.test(text) || translated.length > 0) {
+            return Object.assign({
+                status: 'fail',
+                title: 'Misleading Government Affiliation (Google)',
+                description: 'Ad suggests government affiliation which is prohibited.'
+            }, translated.length > 0 ? { language: languageOf(translated) } : {});
+        }
+
+        return { status: 'pass' };
+    }
+};
@@ -0,0 +1,26 @@
+const { extractClaims, claimCitations } = require('../../lib/claims');
+const { withSuggestions } = require('../../lib/rewrites');
+const { languageOf } = require('../../lib/language');
+
+// Promised investment returns can't be substantiated, whatever the page says
+module.exports = {
+    id: 'guaranteed-returns',
+    target: 'adText',
+    severity: 'critical',
+    policy: 'Google Ads - Misrepresentation',
+    evaluate({ text, jurisdictions }) {
+        const guarantees = extractClaims(text).filter(c => c.type === 'guarantee');
+        if (guarantees.length === 0) return null;
+
+        return {
+            status: 'fail',
+            title: '🚨 Guaranteed Investment Returns',
+            policy: ['Google Ads - Misrepresentation'].concat(claimCitations(jurisdictions || [])).join('; '),
+            description: `"${guarantees.map(c => c.match).join('", "')}": property returns, rental income and appreciation cannot be guaranteed. Remove the promise; a disclaimer does not cure it.`,
+            terms: Array.from(new Set(guarantees.map(c => c.term))),
+            language: languageOf(guarantees),
+            claims: guarantees,
+            matches: withSuggestions(guarantees.map(c => ({ term: c.term, match: c.match, start: c.start, end: c.end, snippet: c.snippet })))
+        };
+    }
+};
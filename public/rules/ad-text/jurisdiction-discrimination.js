@@ -0,0 +1,48 @@
+const { JURISDICTIONS } = require('../../lib/jurisdictions');
+const { scanFairHousing, uniqueTerms } = require('../../lib/fair-housing');
+const { withSuggestions } = require('../../lib/rewrites');
+const { languageOf } = require('../../lib/language');
+
+// Discriminatory language under each jurisdiction pack's equality law, one
+// rule per pack that lists terms (the US federal list is fair-housing-language)
+module.exports = Object.values(JURISDICTIONS)
+    .filter(pack => pack.discrimination)
+    .map(pack => ({
+        id: `${pack.id}-discriminatory-language`,
+        target: 'adText',
+        jurisdictions: [pack.id],
+        severity: 'critical',
+        policy: pack.statutes.discrimination,
+        evaluate({ text }) {
+            const { prohibited, contextual } = scanFairHousing(text, pack.discrimination, `discrimination.${pack.id}`);
+
+            if (prohibited.length > 0) {
+                return {
+                    status: 'fail',
+                    title: `🚨 Discriminatory Language - ${pack.name}`,
+                    description: `Found prohibited terms: "${uniqueTerms(prohibited).join('", "')}". These exclude people by a protected characteristic.`,
+                    terms: uniqueTerms(prohibited),
+                    language: languageOf(prohibited),
+                    matches: withSuggestions(prohibited)
+                };
+            }
+
+            if (contextual.length > 0) {
+                return {
+                    status: 'warn',
+                    severity: 'medium',
+                    title: `Context-Dependent Terms - ${pack.name} - Reviewer Check`,
+                    description: `Found "${uniqueTerms(contextual).join('", "')}". Acceptable only when describing the property, never who may live there.`,
+                    terms: uniqueTerms(contextual),
+                    language: languageOf(contextual),
+                    matches: withSuggestions(contextual)
+                };
+            }
+
+            return {
+                status: 'pass',
+                title: `✅ No Discriminatory Language - ${pack.name}`,
+                description: `Ad text has none of the terms listed for ${pack.name}.`
+            };
+        }
+    }));
@@ -0,0 +1,29 @@
+const { POLICIES } = require('../../lib/policies');
+
+// Excessive Capitalization
+module.exports = {
+    id: 'meta-capitalization',
+    target: 'adText',
+    platforms: ['meta'],
+    severity: 'high',
+    policy: 'Meta Advertising Standards',
+    evaluate({ text }) {
+        const capsWords = text.split(' ').filter(word =>
+            word === word.toUpperCase() && word.length > 1 && /[A-Z]/.test(word)
+        );
+
+        if (capsWords.length > POLICIES.meta.maxConsecutiveCaps) {
+            return {
+                status: 'fail',
+                title: 'Excessive Capitalization (Meta)',
+                description: `Found ${capsWords.length} all-caps words. Reduce to ${POLICIES.meta.maxConsecutiveCaps} or fewer.`
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Appropriate Capitalization',
+            description: 'Text uses appropriate capitalization.'
+        };
+    }
+};
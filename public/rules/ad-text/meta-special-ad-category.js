@@ -0,0 +1,15 @@
+// Meta Special Ad Category
+module.exports = {
+    id: 'meta-special-ad-category',
+    target: 'adText',
+    platforms: ['meta'],
+    severity: 'info',
+    policy: 'Meta Special Ad Categories - Housing',
+    evaluate() {
+        return {
+            status: 'pass',
+            title: '⚠️ Meta Special Ad Category Declaration Required',
+            description: 'Declare ad under "Housing" special ad category in Meta Ads Manager. Age: 18-65+, All genders, Min 15-mile radius.'
+        };
+    }
+};
@@ -0,0 +1,41 @@
+const { JURISDICTIONS } = require('../../lib/jurisdictions');
+const { findAreaStatements } = require('../../lib/rera');
+
+// Areas must be advertised as RERA carpet area
+module.exports = {
+    id: 'rera-carpet-area',
+    target: 'adText',
+    jurisdictions: ['in'],
+    severity: 'high',
+    policy: JURISDICTIONS.in.statutes.carpetArea,
+    evaluate({ text }) {
+        const statements = findAreaStatements(text);
+        if (statements.length === 0) return null;
+
+        const other = statements.filter(s => s.basis === 'other');
+        if (other.length > 0) {
+            return {
+                status: 'fail',
+                title: '🚨 Area Not Stated as Carpet Area',
+                description: `${other.map(s => `"${s.match}" (${s.term})`).join(', ')}. Quote the RERA carpet area; super built-up or saleable area may only appear alongside it.`,
+                matches: other.map(s => ({ term: s.term, match: s.match, start: s.start, end: s.end, snippet: s.match }))
+            };
+        }
+
+        const unstated = statements.filter(s => !s.basis);
+        if (unstated.length > 0) {
+            return {
+                status: 'warn',
+                severity: 'medium',
+                title: 'Area Basis Not Stated',
+                description: `${unstated.map(s => `"${s.match}"`).join(', ')}: say that the figure is carpet area.`
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Carpet Area Stated',
+            description: 'Area figures are quoted as carpet area.'
+        };
+    }
+};
@@ -0,0 +1,29 @@
+const { JURISDICTIONS } = require('../../lib/jurisdictions');
+const { findRegistrationNumbers } = require('../../lib/rera');
+
+// RERA registration number in the ad
+module.exports = {
+    id: 'rera-registration-number',
+    target: 'adText',
+    jurisdictions: ['in'],
+    severity: 'critical',
+    policy: JURISDICTIONS.in.statutes.registration,
+    evaluate({ text }) {
+        const numbers = findRegistrationNumbers(text);
+
+        if (numbers.length === 0) {
+            return {
+                status: 'fail',
+                title: '🚨 RERA Registration Number Missing',
+                description: 'Advertisements for a registered project must quote its RERA registration number (e.g. "MahaRERA No. P51800012345").'
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ RERA Registration Number Quoted',
+            description: `Registration: ${numbers.join(', ')}.`,
+            terms: numbers
+        };
+    }
+};
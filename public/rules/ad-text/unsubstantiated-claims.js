@@ -0,0 +1,41 @@
+const { linkEvidence, expectedEvidence, claimCitations } = require('../../lib/claims');
+const { withSuggestions } = require('../../lib/rewrites');
+const { languageOf } = require('../../lib/language');
+
+// Superlative, comparative, scarcity and award claims need support on the
+// landing page; guaranteed returns are handled by guaranteed-returns.js
+module.exports = {
+    id: 'unsubstantiated-claims',
+    target: 'adText',
+    severity: 'high',
+    policy: 'Google Ads - Misrepresentation',
+    evaluate({ text, jurisdictions, landingPageContent }) {
+        const pageText = landingPageContent && landingPageContent.success ? landingPageContent.bodyText || '' : '';
+        const claims = linkEvidence(text, pageText).filter(c => c.type !== 'guarantee');
+        if (claims.length === 0) return { status: 'pass' };
+
+        const unsupported = claims.filter(c => c.evidence.length === 0);
+        const citations = claimCitations(jurisdictions || []);
+
+        if (unsupported.length > 0) {
+            return {
+                status: 'warn',
+                title: 'Unsubstantiated Claims',
+                policy: ['Google Ads - Misrepresentation'].concat(citations).join('; '),
+                description: unsupported.map(c => `"${c.match}" (${c.label}) needs a ${expectedEvidence(c.type)} on the landing page.`).join(' ') +
+                    (pageText ? '' : ' No landing page content was available to check.'),
+                terms: Array.from(new Set(unsupported.map(c => c.term))),
+                language: languageOf(unsupported),
+                claims,
+                matches: withSuggestions(unsupported.map(c => ({ term: c.term, match: c.match, start: c.start, end: c.end, snippet: c.snippet })))
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Claims Substantiated',
+            description: claims.map(c => `"${c.match}": ${c.evidence.map(e => `${e.label} ("${e.snippet}")`).join(', ')}`).join('. '),
+            claims
+        };
+    }
+};
@@ -0,0 +1,49 @@
+const { POLICIES } = require('../../lib/policies');
+const { matchPlacement } = require('../../lib/image-analysis');
+
+const PLATFORM_NAMES = { meta: 'Meta', google: 'Google' };
+
+// Pixel dimensions and aspect ratio against each platform's placement specs
+module.exports = {
+    id: 'image-dimensions',
+    target: 'image',
+    severity: 'high',
+    policy: 'Meta & Google Ads - Image Specifications',
+    evaluate({ image, platforms }) {
+        if (!image || !image.width || !image.height) return null;
+
+        const { width, height } = image;
+        const problems = [];
+        const matched = [];
+
+        (platforms.length > 0 ? platforms : ['meta', 'google']).forEach(platform => {
+            const placements = POLICIES[platform].imagePlacements;
+            const placement = matchPlacement(width, height, placements);
+            const name = PLATFORM_NAMES[platform];
+
+            if (!placement) {
+                problems.push(`${name}: ${image.aspectRatio}:1 matches no placement (use ${placements.map(p => p.name).join(', ')})`);
+            } else if (!placement.meetsMinimum) {
+                problems.push(`${name}: below the ${placement.minWidth} x ${placement.minHeight} minimum for ${placement.name}; recommended ${placement.recommended}`);
+            } else {
+                matched.push(`${name} ${placement.name}`);
+            }
+        });
+
+        if (problems.length > 0) {
+            return {
+                status: 'warn',
+                title: 'Image Size or Aspect Ratio Off-Spec',
+                description: `Image is ${width} x ${height}px. ${problems.join('. ')}.`,
+                width,
+                height
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Image Dimensions Meet Placement Specs',
+            description: `${width} x ${height}px fits ${matched.join(', ')}.`
+        };
+    }
+};
@@ -0,0 +1,21 @@
+// File size
+const MAX_SIZE = 5 * 1024 * 1024;
+
+module.exports = {
+    id: 'image-file-size',
+    target: 'image',
+    severity: 'medium',
+    evaluate({ imageInfo, image }) {
+        const size = image ? image.bytes : imageInfo.size;
+
+        if (size > MAX_SIZE) {
+            return {
+                status: 'warn',
+                title: 'Large Image File',
+                description: `Image is ${Math.round(size / 1024 / 1024)}MB. Compress to <2MB.`
+            };
+        }
+
+        return { status: 'pass' };
+    }
+};
@@ -0,0 +1,48 @@
+// File type, verified from the file signature when the bytes were uploaded
+const VALID_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+
+module.exports = {
+    id: 'image-format',
+    target: 'image',
+    severity: 'high',
+    evaluate({ imageInfo, image }) {
+        if (image) {
+            if (!image.mimeType) {
+                return {
+                    status: 'fail',
+                    title: 'Unsupported Image Format',
+                    description: `File contents are not a JPG, PNG, GIF or WebP image${image.claimedType ? ` (browser reported ${image.claimedType})` : ''}. Use JPG, PNG, or WebP.`
+                };
+            }
+
+            if (!image.mimeMatches) {
+                return {
+                    status: 'warn',
+                    severity: 'medium',
+                    title: 'Image Type Mismatch',
+                    description: `File is actually ${image.mimeType} but is labelled ${image.claimedType}. Re-export it with the correct extension before uploading to the ad platform.`
+                };
+            }
+
+            return {
+                status: 'pass',
+                title: '✅ Valid Image Format',
+                description: `Format (${image.mimeType}) verified from file contents.`
+            };
+        }
+
+        if (!VALID_TYPES.includes(imageInfo.type)) {
+            return {
+                status: 'fail',
+                title: 'Unsupported Image Format',
+                description: 'Use JPG, PNG, or WebP.'
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Valid Image Format',
+            description: `Format (${imageInfo.type}) supported.`
+        };
+    }
+};
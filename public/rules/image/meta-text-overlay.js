@@ -0,0 +1,37 @@
+const { POLICIES } = require('../../lib/policies');
+
+// Meta image text policy, measured with the local text-region detector
+module.exports = {
+    id: 'meta-image-text',
+    target: 'image',
+    platforms: ['meta'],
+    severity: 'high',
+    policy: 'Meta Advertising Standards - Image Text',
+    evaluate({ image }) {
+        const limit = POLICIES.meta.imageTextLimit;
+
+        if (!image || image.textDetection !== 'measured') {
+            return {
+                status: 'warn',
+                title: `Meta Image Text Policy (${limit}% Rule)`,
+                description: `Ensure text in image is <${limit}% of area. Use Meta Text Overlay Tool.`
+            };
+        }
+
+        if (image.textCoverage > limit) {
+            return {
+                status: 'warn',
+                title: `Image Text Exceeds ${limit}% (Meta)`,
+                description: `Detected text covers about ${image.textCoverage}% of the image across ${image.textBoxes.length} region(s). Ads with heavy image text get reduced delivery; keep it under ${limit}%.`,
+                textCoverage: image.textCoverage,
+                textBoxes: image.textBoxes
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: `✅ Image Text Under ${limit}%`,
+            description: `Detected text covers about ${image.textCoverage}% of the image across ${image.textBoxes.length} region(s).`
+        };
+    }
+};
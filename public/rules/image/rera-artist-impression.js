@@ -0,0 +1,27 @@
+const { JURISDICTIONS } = require('../../lib/jurisdictions');
+const { hasVisualDisclaimer } = require('../../lib/rera');
+
+// An ad image of the project needs an artist's impression disclaimer in the
+// copy (or on the creative itself, which a reviewer has to confirm)
+module.exports = {
+    id: 'rera-artist-impression',
+    target: 'image',
+    jurisdictions: ['in'],
+    severity: 'medium',
+    policy: JURISDICTIONS.in.statutes.veracity,
+    evaluate({ adText }) {
+        if (hasVisualDisclaimer(adText || '')) {
+            return {
+                status: 'pass',
+                title: '✅ Artist\'s Impression Disclaimer',
+                description: 'Ad copy marks the visuals as artist\'s impressions.'
+            };
+        }
+
+        return {
+            status: 'warn',
+            title: 'Artist\'s Impression Disclaimer Needed',
+            description: 'If this image is a render, add "Artist\'s impression" to the creative or the ad copy.'
+        };
+    }
+};
@@ -0,0 +1,29 @@
+// Contact Information
+module.exports = {
+    id: 'landing-contact-info',
+    target: 'landingPage',
+    severity: 'critical',
+    policy: 'Both platforms - Transparency',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+        if (!pageContent.hasPhoneNumber && !pageContent.hasEmail && !pageContent.hasContactForm) {
+            return {
+                status: 'fail',
+                title: '🚨 Missing Contact Information',
+                description: 'Landing page MUST have contact information (phone, email, or form).'
+            };
+        }
+
+        const methods = [];
+        if (pageContent.hasPhoneNumber) methods.push('phone');
+        if (pageContent.hasEmail) methods.push('email');
+        if (pageContent.hasContactForm) methods.push('contact form');
+
+        return {
+            status: 'pass',
+            title: '✅ Contact Information Present',
+            description: `Includes: ${methods.join(', ')}.`
+        };
+    }
+};
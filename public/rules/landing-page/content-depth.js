@@ -0,0 +1,34 @@
+// Content Quality
+module.exports = {
+    id: 'landing-content-depth',
+    target: 'landingPage',
+    severity: 'high',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+        const wordCount = pageContent.bodyText.split(/\s+/).filter(w => w.length > 0).length;
+
+        if (wordCount < 100) {
+            return {
+                status: 'warn',
+                title: 'Thin Content',
+                description: `Very little content (${wordCount} words). Add more details.`
+            };
+        }
+
+        if (wordCount < 300) {
+            return {
+                status: 'warn',
+                severity: 'medium',
+                title: 'Limited Content',
+                description: `Minimal content (${wordCount} words).`
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Adequate Content',
+            description: `${wordCount} words of content.`
+        };
+    }
+};
@@ -0,0 +1,39 @@
+// The page the ad finally lands on must be on the domain the ad shows
+function host(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    id: 'landing-destination-match',
+    target: 'landingPage',
+    severity: 'high',
+    policy: 'Google Ads - Destination Mismatch',
+    evaluate({ url, displayUrl, parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success || !pageContent.finalUrl) return null;
+
+        // A display URL is usually typed without a scheme
+        const expected = displayUrl
+            ? host(/^[a-z][a-z\d+.-]*:\/\//i.test(displayUrl) ? displayUrl : `https://${displayUrl}`)
+            : host(url);
+        const actual = host(pageContent.finalUrl);
+        if (!expected || !actual) return null;
+
+        if (expected !== actual) {
+            return {
+                status: 'fail',
+                title: '🚨 Destination Mismatch',
+                description: `The ad shows ${expected} but the landing page resolves to ${actual}.`
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Destination Matches',
+            description: `Landing page resolves on ${actual}.`
+        };
+    }
+};
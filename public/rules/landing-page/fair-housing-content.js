@@ -0,0 +1,34 @@
+const { scanFairHousing, uniqueTerms } = require('../../lib/fair-housing');
+const { withSuggestions } = require('../../lib/rewrites');
+const { languageOf } = require('../../lib/language');
+
+// Discriminatory content on page
+module.exports = {
+    id: 'landing-fair-housing',
+    target: 'landingPage',
+    jurisdictions: ['us'],
+    severity: 'critical',
+    policy: 'Fair Housing Act § 3604(c)',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+        const { prohibited } = scanFairHousing(pageContent.bodyText);
+
+        if (prohibited.length > 0) {
+            return {
+                status: 'fail',
+                title: '🚨 Discriminatory Content on Landing Page',
+                description: `Found: "${uniqueTerms(prohibited).join('", "')}". Violates Fair Housing Act.`,
+                terms: uniqueTerms(prohibited),
+                language: languageOf(prohibited),
+                matches: withSuggestions(prohibited)
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ No Discriminatory Content',
+            description: 'Landing page complies with Fair Housing Act.'
+        };
+    }
+};
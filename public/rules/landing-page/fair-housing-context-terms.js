@@ -0,0 +1,30 @@
+const { scanFairHousing, uniqueTerms } = require('../../lib/fair-housing');
+const { withSuggestions } = require('../../lib/rewrites');
+const { languageOf } = require('../../lib/language');
+
+// Context-dependent Fair Housing terms on page
+module.exports = {
+    id: 'landing-fair-housing-context-terms',
+    target: 'landingPage',
+    jurisdictions: ['us'],
+    severity: 'medium',
+    policy: 'Fair Housing Act § 3604(c)',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+        const { contextual } = scanFairHousing(pageContent.bodyText);
+
+        if (contextual.length > 0) {
+            return {
+                status: 'warn',
+                title: 'Context-Dependent Terms on Landing Page',
+                description: `Found "${uniqueTerms(contextual).join('", "')}". Confirm they describe the property, not who may live there.`,
+                terms: uniqueTerms(contextual),
+                language: languageOf(contextual),
+                matches: withSuggestions(contextual)
+            };
+        }
+
+        return { status: 'pass' };
+    }
+};
@@ -0,0 +1,44 @@
+// HTTPS check: the page visitors end up on, after any redirects, must be
+// served over HTTPS; without a fetched page the landing URL is judged
+module.exports = {
+    id: 'landing-https',
+    target: 'landingPage',
+    severity: 'critical',
+    policy: 'Google Ads - Landing Page Requirements',
+    evaluate({ parsedUrl, pageContent, platforms }) {
+        if (!parsedUrl) return null;
+
+        const fetched = Boolean(pageContent && pageContent.success && pageContent.protocol);
+        const protocol = fetched ? pageContent.protocol : parsedUrl.protocol;
+        const downgraded = fetched && parsedUrl.protocol === 'https:' && protocol !== 'https:';
+        const target = downgraded && pageContent.finalUrl ? ` (${pageContent.finalUrl})` : '';
+
+        if (protocol === 'https:') {
+            return {
+                status: 'pass',
+                title: '✅ Secure HTTPS Connection',
+                description: 'Landing page uses HTTPS protocol.'
+            };
+        }
+
+        if (platforms.includes('google')) {
+            return {
+                status: 'fail',
+                title: '🚨 Insecure Landing Page - HTTPS Required',
+                description: downgraded
+                    ? `Google Ads REQUIRES HTTPS. Your URL redirects to an HTTP page${target}, which will be rejected.`
+                    : 'Google Ads REQUIRES HTTPS. Your URL uses HTTP which will be rejected.'
+            };
+        }
+
+        return {
+            status: 'warn',
+            severity: 'high',
+            policy: null,
+            title: 'Insecure Connection (HTTP)',
+            description: downgraded
+                ? `The landing URL redirects to an HTTP page${target}. HTTPS is strongly recommended.`
+                : 'HTTPS is strongly recommended.'
+        };
+    }
+};
@@ -0,0 +1,32 @@
+// Images
+module.exports = {
+    id: 'landing-images',
+    target: 'landingPage',
+    severity: 'high',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+        if (pageContent.images === 0) {
+            return {
+                status: 'warn',
+                title: 'No Images Found',
+                description: 'Include high-quality property images.'
+            };
+        }
+
+        if (pageContent.images < 3) {
+            return {
+                status: 'warn',
+                severity: 'medium',
+                title: 'Few Images',
+                description: `Only ${pageContent.images} image(s). Add more.`
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Images Present',
+            description: `${pageContent.images} images found.`
+        };
+    }
+};
@@ -0,0 +1,37 @@
+const { JURISDICTIONS } = require('../../lib/jurisdictions');
+const { scanFairHousing, uniqueTerms } = require('../../lib/fair-housing');
+const { withSuggestions } = require('../../lib/rewrites');
+const { languageOf } = require('../../lib/language');
+
+// Discriminatory content on the page, per jurisdiction pack
+module.exports = Object.values(JURISDICTIONS)
+    .filter(pack => pack.discrimination)
+    .map(pack => ({
+        id: `landing-${pack.id}-discrimination`,
+        target: 'landingPage',
+        jurisdictions: [pack.id],
+        severity: 'critical',
+        policy: pack.statutes.discrimination,
+        evaluate({ parsedUrl, pageContent }) {
+            if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+            const { prohibited } = scanFairHousing(pageContent.bodyText, pack.discrimination, `discrimination.${pack.id}`);
+
+            if (prohibited.length > 0) {
+                return {
+                    status: 'fail',
+                    title: `🚨 Discriminatory Content on Landing Page - ${pack.name}`,
+                    description: `Found: "${uniqueTerms(prohibited).join('", "')}".`,
+                    terms: uniqueTerms(prohibited),
+                    language: languageOf(prohibited),
+                    matches: withSuggestions(prohibited)
+                };
+            }
+
+            return {
+                status: 'pass',
+                title: `✅ No Discriminatory Content - ${pack.name}`,
+                description: `Landing page has none of the terms listed for ${pack.name}.`
+            };
+        }
+    }));
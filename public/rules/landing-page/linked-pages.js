@@ -0,0 +1,47 @@
+// Linked terms, contact and pricing pages found by the deep crawl
+const KIND_LABELS = {
+    terms: 'Terms',
+    contact: 'Contact',
+    pricing: 'Pricing'
+};
+
+module.exports = {
+    id: 'landing-linked-pages',
+    target: 'landingPage',
+    severity: 'high',
+    policy: 'Both platforms - Destination Requirements',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success || !pageContent.crawl) return null;
+
+        // Privacy pages are reported by landing-privacy-policy
+        const pages = pageContent.crawl.pages.filter(p => KIND_LABELS[p.kind]);
+        if (pages.length === 0) return null;
+
+        const broken = pages.filter(p => !p.ok);
+        if (broken.length > 0) {
+            return {
+                status: 'fail',
+                title: '🚨 Broken Linked Pages',
+                description: broken.map(p => `${KIND_LABELS[p.kind]} page ${p.url} returned ${p.status || p.error}`).join('; ') + '.',
+                pages: broken
+            };
+        }
+
+        const invalid = pages.filter(p => !p.contentValid);
+        if (invalid.length > 0) {
+            return {
+                status: 'warn',
+                severity: 'medium',
+                title: 'Linked Pages Missing Expected Content',
+                description: invalid.map(p => `${KIND_LABELS[p.kind]} page ${p.url} does not look like a ${p.kind} page`).join('; ') + '.',
+                pages: invalid
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Linked Pages Verified',
+            description: `${pages.length} linked page(s) load and contain the expected content.`
+        };
+    }
+};
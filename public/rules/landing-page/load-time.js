@@ -0,0 +1,19 @@
+// Page download and load time
+const { worstMetric, gradedOutcome } = require('../../lib/page-speed');
+
+module.exports = {
+    id: 'landing-load-time',
+    target: 'landingPage',
+    severity: 'medium',
+    policy: 'Both platforms - Page Experience',
+    evaluate({ pageExperience }) {
+        const metric = worstMetric(pageExperience, ['loadTime', 'downloadTime']);
+        if (!metric) return null;
+
+        return gradedOutcome(metric, {
+            passTitle: 'Page Loads Quickly',
+            failTitle: 'Slow Page Load',
+            advice: 'Defer non-critical scripts and lazy-load images below the fold.'
+        });
+    }
+};
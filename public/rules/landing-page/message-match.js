@@ -0,0 +1,73 @@
+const { compareFacts } = require('../../lib/message-match');
+
+// The prices, configurations, locations, offers, project name and licence
+// numbers the ad quotes must be what the landing page shows. RERA numbers are
+// compared by landing-rera-registration when the India pack is selected.
+const KIND_LABELS = {
+    price: 'price',
+    configuration: 'configuration',
+    location: 'location',
+    offer: 'offer',
+    project: 'project name',
+    registration: 'registration number'
+};
+
+function describe(comparison) {
+    return Object.assign({
+        kind: comparison.fact.kind,
+        label: KIND_LABELS[comparison.fact.kind],
+        ad: comparison.fact.display,
+        status: comparison.status
+    }, comparison.page ? { page: comparison.page.map(p => p.display) } : {});
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    id: 'landing-message-match',
+    target: 'landingPage',
+    severity: 'high',
+    policy: 'Google Ads - Destination Mismatch; Meta Advertising Standards - Landing Page',
+    evaluate({ parsedUrl, pageContent, adText, jurisdictions }) {
+        if (!parsedUrl || !pageContent || !pageContent.success || !adText) return null;
+
+        const { comparisons } = compareFacts(adText, pageContent, {
+            skip: (jurisdictions || []).includes('in') ? ['rera'] : []
+        });
+        if (comparisons.length === 0) return null;
+
+        const contradicted = comparisons.filter(c => c.status === 'contradicted');
+        const missing = comparisons.filter(c => c.status === 'missing');
+        const missingText = missing.length > 0
+            ? `${missing.map(c => `${KIND_LABELS[c.fact.kind]} "${c.fact.display}"`).join(', ')} ${missing.length === 1 ? 'does' : 'do'} not appear on the landing page.`
+            : '';
+
+        if (contradicted.length > 0) {
+            return {
+                status: 'fail',
+                title: '🚨 Ad and Landing Page Disagree',
+                description: `${contradicted.map(c => capitalize(c.message)).join('. ')}.${missingText ? ` ${capitalize(missingText)}` : ''}`,
+                comparisons: comparisons.map(describe)
+            };
+        }
+
+        if (missing.length > 0) {
+            return {
+                status: 'warn',
+                severity: 'medium',
+                title: 'Ad Details Missing from Landing Page',
+                description: `${capitalize(missingText)} Visitors should find what the ad promises on the page it links to.`,
+                comparisons: comparisons.map(describe)
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Landing Page Matches the Ad',
+            description: `The landing page confirms ${comparisons.map(c => c.fact.display).join(', ')}.`,
+            comparisons: comparisons.map(describe)
+        };
+    }
+};
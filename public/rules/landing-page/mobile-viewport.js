@@ -0,0 +1,24 @@
+// Mobile viewport meta tag
+module.exports = {
+    id: 'landing-mobile-viewport',
+    target: 'landingPage',
+    severity: 'high',
+    policy: 'Both platforms - Mobile Experience',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success || !pageContent.performance) return null;
+
+        if (pageContent.performance.hasViewport) {
+            return {
+                status: 'pass',
+                title: '✅ Mobile Viewport Set',
+                description: 'Page declares a device-width viewport for mobile browsers.'
+            };
+        }
+
+        return {
+            status: 'warn',
+            title: 'No Mobile Viewport',
+            description: 'Add <meta name="viewport" content="width=device-width, initial-scale=1"> so the page is not shown zoomed out on phones.'
+        };
+    }
+};
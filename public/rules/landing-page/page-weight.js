@@ -0,0 +1,25 @@
+// Total page weight
+const { worstMetric, gradedOutcome, formatMetric } = require('../../lib/page-speed');
+
+module.exports = {
+    id: 'landing-page-weight',
+    target: 'landingPage',
+    severity: 'medium',
+    policy: 'Both platforms - Page Experience',
+    evaluate({ pageContent, pageExperience }) {
+        const metric = worstMetric(pageExperience, ['pageWeight', 'htmlBytes']);
+        if (!metric) return null;
+
+        const largest = pageContent.performance.largestResources
+            .filter(r => r.bytes >= 10 * 1024)
+            .slice(0, 3)
+            .map(r => `${r.url.split('/').pop() || r.url} (${formatMetric(r.bytes, 'bytes')})`);
+
+        return gradedOutcome(metric, {
+            passTitle: 'Page Weight OK',
+            failTitle: 'Heavy Landing Page',
+            advice: 'Compress images (WebP or AVIF) and drop unused scripts and styles.' +
+                (largest.length > 0 ? ` Largest: ${largest.join(', ')}.` : '')
+        });
+    }
+};
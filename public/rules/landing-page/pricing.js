@@ -0,0 +1,25 @@
+// Pricing
+module.exports = {
+    id: 'landing-pricing',
+    target: 'landingPage',
+    severity: 'medium',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+        const hasPricing = /₹|rs\.?|inr|price|cost|starting from|\d+\s*lac|\d+\s*crore|\$\d+/i.test(pageContent.bodyText);
+
+        if (!hasPricing) {
+            return {
+                status: 'warn',
+                title: 'No Pricing Information',
+                description: 'Display pricing or price range for transparency.'
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Pricing Information Found',
+            description: 'Includes pricing details.'
+        };
+    }
+};
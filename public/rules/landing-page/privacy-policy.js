@@ -0,0 +1,61 @@
+// Privacy Policy
+//
+// With a deep crawl the linked policy page must also load and read like a
+// privacy policy; a link alone is not enough.
+module.exports = {
+    id: 'landing-privacy-policy',
+    target: 'landingPage',
+    severity: 'critical',
+    policy: 'Google Ads - Privacy Policy',
+    evaluate({ parsedUrl, pageContent, platforms }) {
+        if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+        const required = platforms.includes('google');
+        const crawled = pageContent.crawl ? pageContent.crawl.pages.filter(p => p.kind === 'privacy') : [];
+
+        if (pageContent.hasPrivacyPolicy && crawled.length > 0 && !crawled.some(p => p.ok)) {
+            return {
+                status: required ? 'fail' : 'warn',
+                severity: required ? 'critical' : 'high',
+                title: '🚨 Privacy Policy Link Is Broken',
+                description: `The privacy policy link returned ${crawled.map(p => p.status || p.error).join(', ')}. ` +
+                    'The policy must load for reviewers and users.'
+            };
+        }
+
+        if (pageContent.hasPrivacyPolicy && crawled.length > 0 && !crawled.some(p => p.ok && p.contentValid)) {
+            return {
+                status: 'warn',
+                severity: 'high',
+                title: 'Privacy Policy Page Looks Empty',
+                description: 'The linked privacy page loads but does not describe how personal data is collected or used.'
+            };
+        }
+
+        if (pageContent.hasPrivacyPolicy) {
+            return {
+                status: 'pass',
+                title: '✅ Privacy Policy Found',
+                description: crawled.length > 0
+                    ? 'Linked privacy policy loads and covers data collection.'
+                    : 'Landing page includes privacy policy.'
+            };
+        }
+
+        if (required) {
+            return {
+                status: 'fail',
+                title: '🚨 Missing Privacy Policy (Google Required)',
+                description: 'Google Ads REQUIRES a visible privacy policy link.'
+            };
+        }
+
+        return {
+            status: 'warn',
+            severity: 'high',
+            policy: null,
+            title: 'Privacy Policy Not Detected',
+            description: 'Privacy policy highly recommended.'
+        };
+    }
+};
@@ -0,0 +1,28 @@
+// Landing page could not be fetched
+module.exports = {
+    id: 'landing-reachable',
+    target: 'landingPage',
+    severity: 'critical',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || pageContent.success) return null;
+
+        if (pageContent.timeout) {
+            return {
+                status: 'fail',
+                title: '🚨 Page Load Timeout',
+                description: 'Page took >10 seconds. Target: <3 seconds.',
+                policy: 'Both platforms - Page Experience'
+            };
+        }
+
+        if (pageContent.error) {
+            return {
+                status: 'fail',
+                title: '🚨 Landing Page Not Accessible',
+                description: 'Unable to load landing page. Ad will be rejected.'
+            };
+        }
+
+        return null;
+    }
+};
@@ -0,0 +1,27 @@
+// Long redirect chains slow the page and can look like cloaking
+const MAX_HOPS = 3;
+
+module.exports = {
+    id: 'landing-redirects',
+    target: 'landingPage',
+    severity: 'medium',
+    policy: 'Both platforms - Page Experience',
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success || !pageContent.redirectChain) return null;
+
+        const hops = pageContent.redirectChain.length;
+        if (hops > MAX_HOPS) {
+            return {
+                status: 'warn',
+                title: 'Long Redirect Chain',
+                description: `The landing URL redirects ${hops} times before reaching ${pageContent.finalUrl}. Link directly to the final page.`
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ Redirects OK',
+            description: hops > 0 ? `${hops} redirect(s) to the final page.` : 'Landing URL loads without redirects.'
+        };
+    }
+};
@@ -0,0 +1,21 @@
+// Scripts and stylesheets that delay the first paint
+const { worstMetric, gradedOutcome } = require('../../lib/page-speed');
+
+module.exports = {
+    id: 'landing-render-blocking',
+    target: 'landingPage',
+    severity: 'medium',
+    policy: 'Both platforms - Page Experience',
+    evaluate({ pageContent, pageExperience }) {
+        const metric = worstMetric(pageExperience, ['renderBlocking']);
+        if (!metric) return null;
+
+        const outcome = gradedOutcome(metric, {
+            passTitle: 'Few Render-Blocking Resources',
+            failTitle: 'Render-Blocking Resources',
+            advice: 'Add async or defer to scripts in <head> and inline the CSS needed above the fold.'
+        });
+        outcome.resources = pageContent.performance.renderBlockingResources;
+        return outcome;
+    }
+};
@@ -0,0 +1,50 @@
+const { JURISDICTIONS } = require('../../lib/jurisdictions');
+const { findRegistrationNumbers, mentionsAuthorityWebsite } = require('../../lib/rera');
+
+// RERA registration number and authority website on the landing page,
+// matching the number quoted in the ad
+module.exports = {
+    id: 'landing-rera-registration',
+    target: 'landingPage',
+    jurisdictions: ['in'],
+    severity: 'critical',
+    policy: JURISDICTIONS.in.statutes.registration,
+    evaluate({ parsedUrl, pageContent, adText }) {
+        if (!parsedUrl || !pageContent || !pageContent.success) return null;
+
+        const onPage = findRegistrationNumbers(pageContent.bodyText);
+        const inAd = findRegistrationNumbers(adText || '');
+
+        if (onPage.length === 0) {
+            return {
+                status: 'fail',
+                title: '🚨 RERA Registration Missing on Landing Page',
+                description: 'The landing page must show the project\'s RERA registration number.'
+            };
+        }
+
+        const unmatched = inAd.filter(number => !onPage.includes(number));
+        if (unmatched.length > 0) {
+            return {
+                status: 'fail',
+                title: '🚨 RERA Number Mismatch',
+                description: `The ad quotes ${unmatched.join(', ')} but the landing page shows ${onPage.join(', ')}.`
+            };
+        }
+
+        if (!mentionsAuthorityWebsite(pageContent.bodyText)) {
+            return {
+                status: 'warn',
+                severity: 'high',
+                title: 'RERA Authority Website Not Shown',
+                description: `Registration ${onPage.join(', ')} found, but the page should also give the authority's website (e.g. maharera.maharashtra.gov.in) where the project details can be checked.`
+            };
+        }
+
+        return {
+            status: 'pass',
+            title: '✅ RERA Registration on Landing Page',
+            description: `Registration ${onPage.join(', ')} and the authority website are shown.`
+        };
+    }
+};
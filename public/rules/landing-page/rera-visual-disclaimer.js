@@ -0,0 +1,28 @@
+const { JURISDICTIONS } = require('../../lib/jurisdictions');
+const { hasVisualDisclaimer } = require('../../lib/rera');
+
+// Project renders on the landing page need an artist's impression disclaimer
+module.exports = {
+    id: 'landing-rera-visual-disclaimer',
+    target: 'landingPage',
+    jurisdictions: ['in'],
+    severity: 'medium',
+    policy: JURISDICTIONS.in.statutes.veracity,
+    evaluate({ parsedUrl, pageContent }) {
+        if (!parsedUrl || !pageContent || !pageContent.success || pageContent.images === 0) return null;
+
+        if (hasVisualDisclaimer(pageContent.bodyText)) {
+            return {
+                status: 'pass',
+                title: '✅ Visual Disclaimer Present',
+                description: 'Page marks its images as artist\'s impressions.'
+            };
+        }
+
+        return {
+            status: 'warn',
+            title: 'No Artist\'s Impression Disclaimer',
+            description: 'The page shows images but does not say they are artist\'s impressions. Renders presented as photographs can be treated as a false advertisement.'
+        };
+    }
+};
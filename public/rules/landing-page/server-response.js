@@ -0,0 +1,19 @@
+// Server response time
+const { worstMetric, gradedOutcome } = require('../../lib/page-speed');
+
+module.exports = {
+    id: 'landing-server-response',
+    target: 'landingPage',
+    severity: 'medium',
+    policy: 'Both platforms - Page Experience',
+    evaluate({ pageExperience }) {
+        const metric = worstMetric(pageExperience, ['ttfb']);
+        if (!metric) return null;
+
+        return gradedOutcome(metric, {
+            passTitle: 'Fast Server Response',
+            failTitle: 'Slow Server Response',
+            advice: 'Cache the page or serve it from a CDN, and check slow server-side rendering.'
+        });
+    }
+};
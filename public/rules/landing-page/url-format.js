@@ -0,0 +1,15 @@
+// URL must parse before any other landing page check can run
+module.exports = {
+    id: 'landing-url-format',
+    target: 'landingPage',
+    severity: 'critical',
+    evaluate({ parsedUrl }) {
+        if (parsedUrl) return null;
+
+        return {
+            status: 'fail',
+            title: '🚨 Invalid URL Format',
+            description: 'Invalid URL. Include https:// protocol.'
+        };
+    }
+};
@@ -1,535 +1,430 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const path = require('path');
+const { getRules } = require('./lib/engine');
+const { checkCompliance } = require('./lib/compliance');
+const { measureImage } = require('./lib/image-analysis');
+const { MAX_BATCH_URLS, parseBatchInput, landingUrls, runBatch, findingsToCsv } = require('./lib/batch');
+const { checkInput, recordCheck, getCheck, getLatestCheck, holdsSubmission, listChecks, diffChecks } = require('./lib/history');
+const { createWaiver, revokeWaiver, listWaivers, activeWaivers } = require('./lib/waivers');
+const { getReview, transition } = require('./lib/reviews');
+const { fetchLandingPage } = require('./lib/page-fetcher');
+const { resolveJurisdictions, listJurisdictions } = require('./lib/jurisdictions');
+const { listLanguages } = require('./lib/languages');
+const { getModel, parseThreshold } = require('./lib/scoring');
+const { REPORT_FORMATS, buildReport, renderReport } = require('./lib/report');
+const { parseFetchableUrl } = require('./lib/url-guard');
+const { rateLimit, limitFromEnv } = require('./lib/rate-limit');
+const { SCHEMAS, validateBody } = require('./lib/validation');
+const { createApiV1Router } = require('./lib/api-v1');
+const { reviewerKeysConfigured, requireReviewer, identifyReviewer } = require('./lib/api-keys');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1 or "loopback") so rate
+// limits see the client's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use('/api', rateLimit({ max: limitFromEnv('RATE_LIMIT', 120), name: 'requests' }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '15mb' }));
+app.use(express.text({ type: 'text/csv', limit: '5mb' }));
 app.use(express.static('public'));
 
-// Policy database
-const POLICIES = {
-    fairHousing: {
-        protectedClasses: ['race', 'color', 'religion', 'national origin', 'sex', 'disability', 'familial status'],
-        prohibitedTerms: [
-            'no kids', 'no children', 'adults only', 'mature individuals', 'singles only',
-            'couples only', 'perfect for newlyweds', 'family only', 'no students',
-            'ideal for retirees', 'young professionals', 'empty nesters',
-            'married couples', 'single persons', 'divorced', 'widowed',
-            'senior', 'elderly', 'young', 'older persons',
-            'men only', 'women only', 'male', 'female tenants',
-            'christian', 'muslim', 'jewish', 'hindu', 'no atheists', 'religious',
-            'caucasian', 'african american', 'asian', 'hispanic', 'latino', 'white', 'black',
-            'english speakers only', 'speaks english', 'american citizens',
-            'no wheelchairs', 'able-bodied', 'physically fit', 'no disabled',
-            'exclusive', 'restricted', 'private community', 'select clientele'
-        ]
-    },
-    meta: {
-        imageTextLimit: 20,
-        maxConsecutiveCaps: 3
-    }
-};
+// Fetching pages is the expensive (and outward-facing) part, so it gets a
+// tighter limit of its own
+const fetchLimit = rateLimit({ max: limitFromEnv('FETCH_RATE_LIMIT', 20), name: 'page fetches' });
+
+// Versioned API for integrations: API keys, rule codes, async jobs and
+// webhooks (see lib/api-v1.js). The endpoints below serve the web UI.
+app.use('/api/v1', createApiV1Router({ fetchLimit }));
 
 // API endpoint to fetch and analyze landing page
-app.post('/api/analyze-page', async (req, res) => {
-    try {
-        const { url } = req.body;
+app.post('/api/analyze-page', fetchLimit, validateBody(SCHEMAS.analyzePage), async (req, res) => {
+    const { url, crawl, mode } = req.body;
 
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
-        }
+    // Private addresses are refused by the fetcher after DNS resolution;
+    // malformed URLs and other schemes are turned away here
+    try {
+        parseFetchableUrl(url);
+    } catch (error) {
+        return res.status(400).json({ error: error.message, code: 'URL_NOT_ALLOWED' });
+    }
 
-        // Fetch the page with timeout
-        const response = await axios.get(url, {
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            },
-            maxRedirects: 5,
-            validateStatus: (status) => status < 500
-        });
+    // `mode` is 'static', 'rendered' or 'auto' (the default). `crawl` (true
+    // or { maxDepth, maxPages }) also follows the linked privacy, terms,
+    // contact and pricing pages.
+    const pageContent = await fetchLandingPage(url, { crawl, mode });
+    if (pageContent.blocked) {
+        return res.status(400).json({ error: pageContent.message, code: 'URL_NOT_ALLOWED' });
+    }
+    res.json(pageContent);
+});
 
-        const html = response.data;
-        const $ = cheerio.load(html);
-
-        // Extract page information
-        const pageContent = {
-            success: true,
-            title: $('title').text().trim(),
-            metaDescription: $('meta[name="description"]').attr('content') || '',
-            headings: [],
-            bodyText: '',
-            hasContactForm: $('form').length > 0,
-            hasPhoneNumber: false,
-            hasEmail: false,
-            hasPrivacyPolicy: false,
-            hasTerms: false,
-            images: $('img').length,
-            forms: $('form').length,
-            links: $('a').length,
-            protocol: new URL(url).protocol
-        };
-
-        // Extract headings
-        $('h1, h2, h3').each((i, elem) => {
-            const text = $(elem).text().trim();
-            if (text) pageContent.headings.push(text);
-        });
+// API endpoint listing the registered compliance rules
+app.get('/api/rules', (req, res) => {
+    res.json(getRules().map(rule => ({
+        id: rule.id,
+        target: rule.target,
+        platforms: rule.platforms || ['meta', 'google'],
+        jurisdictions: rule.jurisdictions || null,
+        severity: rule.severity,
+        policy: rule.policy || null
+    })));
+});
 
-        // Extract body text
-        pageContent.bodyText = $('body').text().replace(/\s+/g, ' ').trim();
+// API endpoint listing the jurisdiction policy packs
+app.get('/api/jurisdictions', (req, res) => {
+    res.json(listJurisdictions());
+});
 
-        // Check for contact information
-        pageContent.hasPhoneNumber = /\+?[\d\s\-\(\)]{10,}/.test(pageContent.bodyText);
-        pageContent.hasEmail = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/.test(pageContent.bodyText);
+// API endpoint listing the languages the text rules understand
+app.get('/api/languages', (req, res) => {
+    res.json(listLanguages());
+});
 
-        // Check for privacy policy
-        pageContent.hasPrivacyPolicy = /privacy\s*policy/i.test(pageContent.bodyText) || 
-                                        $('a[href*="privacy"]').length > 0;
+// API endpoint returning the scoring model in use
+app.get('/api/scoring', (req, res) => {
+    res.json(getModel());
+});
 
-        // Check for terms
-        pageContent.hasTerms = /terms\s*(and|&)?\s*conditions|terms\s*of\s*(use|service)/i.test(pageContent.bodyText) ||
-                               $('a[href*="terms"]').length > 0;
+// The web UI's routes only see the web UI's checks, never those stored by
+// /api/v1 clients (see lib/history.js)
+const WEB_UI = { client: null };
+
+// Adding a version to a submission takes its submissionToken (issued to
+// whoever started it) or a reviewer key. Answers the refusal and returns
+// false when neither was sent.
+function mayAddVersion(req, res, latest) {
+    if (req.reviewer || holdsSubmission(latest, req.body.submissionToken)) return true;
+    res.status(403).json({
+        error: 'Only whoever started this submission (with its submissionToken) or a reviewer can add versions to it',
+        code: 'FORBIDDEN'
+    });
+    return false;
+}
 
-        res.json(pageContent);
+// Waivers pick findings to drop by advertiser, so they only apply to checks
+// run by a reviewer
+function waiversFor(req, scope) {
+    return req.reviewer ? activeWaivers(scope) : Promise.resolve([]);
+}
 
+// API endpoint to analyze compliance
+app.post('/api/check-compliance', identifyReviewer, validateBody(SCHEMAS.checkCompliance), async (req, res) => {
+    try {
+        resolveJurisdictions(req.body.jurisdiction);
+        parseThreshold(req.body.approvalThreshold);
     } catch (error) {
-        console.error('Error fetching page:', error.message);
-        
-        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-            return res.json({
-                success: false,
-                timeout: true,
-                message: 'Page took too long to load (>10 seconds)'
-            });
-        }
+        return res.status(400).json({ error: error.message });
+    }
 
-        if (error.response) {
-            return res.json({
-                success: false,
-                error: true,
-                statusCode: error.response.status,
-                message: `Server returned ${error.response.status} error`
-            });
+    try {
+        if (req.body.submissionId) {
+            const latest = await getLatestCheck(req.body.submissionId, WEB_UI);
+            if (!latest) {
+                return res.status(404).json({ error: 'Submission not found' });
+            }
+            if (!mayAddVersion(req, res, latest)) return;
         }
 
-        res.json({
-            success: false,
-            error: true,
-            message: error.message || 'Failed to fetch landing page'
-        });
+        const waivers = await waiversFor(req, req.body);
+        const imageAnalysis = await measureImage(req.body.imageInfo);
+        const results = checkCompliance(Object.assign({}, req.body, { waivers, imageAnalysis }));
+        res.json(await recordCheck(checkInput(req.body), req.body.landingPageContent, results, {
+            submissionId: req.body.submissionId
+        }));
+    } catch (error) {
+        console.error('Error in compliance check:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// API endpoint to analyze compliance
-app.post('/api/check-compliance', async (req, res) => {
+// API endpoints for the stored check history
+app.get('/api/checks', async (req, res) => {
     try {
-        const { adText, landingPage, platform, imageInfo, landingPageContent } = req.body;
-
-        const results = {
-            violations: [],
-            warnings: [],
-            passed: [],
-            totalChecks: 0,
-            passedChecks: 0,
-            criticalViolations: 0
-        };
-
-        // Analyze text
-        if (adText) {
-            analyzeAdText(adText, platform, results);
-        }
-
-        // Analyze landing page
-        if (landingPage) {
-            analyzeLandingPage(landingPage, platform, landingPageContent, results);
-        }
+        res.json(await listChecks({
+            client: null,
+            submissionId: req.query.submissionId,
+            limit: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+            offset: parseInt(req.query.offset, 10) || 0
+        }));
+    } catch (error) {
+        console.error('Error listing checks:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Analyze image
-        if (imageInfo) {
-            analyzeImage(imageInfo, platform, results);
+app.get('/api/checks/:id', async (req, res) => {
+    try {
+        const check = await getCheck(req.params.id, WEB_UI);
+        if (!check) {
+            return res.status(404).json({ error: 'Check not found' });
         }
+        res.json(Object.assign({}, check, { tokenDigest: undefined }));
+    } catch (error) {
+        console.error('Error loading check:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Calculate score
-        const baseScore = results.totalChecks > 0 
-            ? Math.round((results.passedChecks / results.totalChecks) * 100) 
-            : 0;
-        
-        let score = baseScore;
-        score -= (results.criticalViolations * 15);
-        score -= (results.warnings.length * 5);
-        score = Math.max(0, Math.min(100, score));
+// Renders a check as a report. PDF, JSON and SARIF are downloads; HTML opens
+// in the browser unless `download` is set.
+async function sendReport(req, res, check) {
+    const format = String(req.query.format || 'html').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unknown report format "${format}"; use ${REPORT_FORMATS.join(', ')}` });
+    }
 
-        results.score = score;
-        results.approved = results.criticalViolations === 0 && results.violations.length === 0;
-        results.platform = platform;
+    const brand = { name: req.query.brandName, color: req.query.brandColor };
+    const { contentType, extension, body } = await renderReport(buildReport(check, { brand }), format);
+    const name = `compliance-report${check.submissionId ? `-${check.submissionId}-v${check.version}` : ''}.${extension}`;
 
-        res.json(results);
+    res.set('Content-Type', contentType);
+    if (format !== 'html' || req.query.download) {
+        res.set('Content-Disposition', `attachment; filename="${name}"`);
+    }
+    res.send(body);
+}
 
+// API endpoint for the sign-off report of a stored check
+app.get('/api/checks/:id/report', async (req, res) => {
+    try {
+        const check = await getCheck(req.params.id, WEB_UI);
+        if (!check) {
+            return res.status(404).json({ error: 'Check not found' });
+        }
+        await sendReport(req, res, check);
     } catch (error) {
-        console.error('Error in compliance check:', error);
+        console.error('Error rendering report:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-function analyzeAdText(text, platform, results) {
-    const lowerText = text.toLowerCase();
-
-    // Fair Housing Act - Discriminatory Language
-    results.totalChecks++;
-    const foundDiscriminatory = POLICIES.fairHousing.prohibitedTerms.filter(term =>
-        lowerText.includes(term.toLowerCase())
-    );
-
-    if (foundDiscriminatory.length > 0) {
-        results.criticalViolations++;
-        results.violations.push({
-            title: '🚨 Fair Housing Act Violation - Discriminatory Language',
-            description: `CRITICAL: Found prohibited discriminatory terms: "${foundDiscriminatory.join('", "')}". This violates the Fair Housing Act and both Meta and Google Ads policies.`,
-            severity: 'critical',
-            policy: 'Fair Housing Act § 3604(c)'
-        });
-    } else {
-        results.passedChecks++;
-        results.passed.push({
-            title: '✅ No Discriminatory Language Detected',
-            description: 'Ad text complies with Fair Housing Act requirements.'
-        });
+// API endpoint for the report of a result that was not stored: the body is
+// { input, results, landingPageContent } as sent to and returned by
+// /api/check-compliance.
+app.post('/api/report', validateBody(SCHEMAS.report), async (req, res) => {
+    const { input, results, landingPageContent } = req.body || {};
+    if (!results || !Array.isArray(results.violations) || !Array.isArray(results.warnings) || !Array.isArray(results.passed)) {
+        return res.status(400).json({ error: 'results from /api/check-compliance are required' });
     }
 
-    // Meta Special Ad Category
-    if (platform === 'meta' || platform === 'both') {
-        results.totalChecks++;
-        results.passedChecks++;
-        results.passed.push({
-            title: '⚠️ Meta Special Ad Category Declaration Required',
-            description: 'Declare ad under "Housing" special ad category in Meta Ads Manager. Age: 18-65+, All genders, Min 15-mile radius.'
+    try {
+        await sendReport(req, res, {
+            input: checkInput(input || {}),
+            results,
+            landingPageSnapshot: landingPageContent || null,
+            _id: results.checkId,
+            submissionId: results.submissionId,
+            version: results.version
         });
+    } catch (error) {
+        console.error('Error rendering report:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
+});
 
-    // Excessive Capitalization
-    if (platform === 'meta' || platform === 'both') {
-        results.totalChecks++;
-        const capsWords = text.split(' ').filter(word =>
-            word === word.toUpperCase() && word.length > 1 && /[A-Z]/.test(word)
-        );
-        if (capsWords.length > POLICIES.meta.maxConsecutiveCaps) {
-            results.violations.push({
-                title: 'Excessive Capitalization (Meta)',
-                description: `Found ${capsWords.length} all-caps words. Reduce to ${POLICIES.meta.maxConsecutiveCaps} or fewer.`,
-                severity: 'high',
-                policy: 'Meta Advertising Standards'
-            });
-        } else {
-            results.passedChecks++;
-            results.passed.push({
-                title: '✅ Appropriate Capitalization',
-                description: 'Text uses appropriate capitalization.'
+// Re-runs a stored submission against the current rules, as a new version.
+// The stored landing page snapshot is reused unless `refetch` is set.
+app.post('/api/checks/:id/recheck', fetchLimit, identifyReviewer, validateBody(SCHEMAS.recheck), async (req, res) => {
+    try {
+        const original = await getCheck(req.params.id, WEB_UI);
+        if (!original) {
+            return res.status(404).json({ error: 'Check not found' });
+        }
+        if (!mayAddVersion(req, res, original)) return;
+
+        let snapshot = original.landingPageSnapshot;
+        if (req.body.refetch && original.input.landingPage) {
+            snapshot = await fetchLandingPage(original.input.landingPage, {
+                crawl: Boolean(snapshot && snapshot.crawl),
+                mode: snapshot && snapshot.fetchMode === 'rendered' ? 'rendered' : 'auto'
             });
         }
-    }
 
-    // Unsubstantiated Claims
-    results.totalChecks++;
-    const superlatives = ['best', 'cheapest', 'lowest price', 'guaranteed returns', 'highest returns'];
-    const foundSuperlatives = superlatives.filter(term => lowerText.includes(term));
-    if (foundSuperlatives.length > 0) {
-        results.warnings.push({
-            title: 'Unsubstantiated Claims',
-            description: `Claims like "${foundSuperlatives.join('", "')}" require proof and substantiation.`,
-            severity: 'high'
+        const waivers = await waiversFor(req, original.input);
+        const imageAnalysis = original.input.imageInfo ? original.input.imageInfo.analysis : null;
+        const results = checkCompliance(Object.assign({}, original.input, { landingPageContent: snapshot, waivers, imageAnalysis }));
+        await recordCheck(original.input, snapshot, results, {
+            submissionId: original.submissionId,
+            recheckOf: original._id
         });
-    } else {
-        results.passedChecks++;
-    }
 
-    // Financial terms
-    results.totalChecks++;
-    if (/emi|loan|finance|mortgage|credit|interest|apr/i.test(text)) {
-        results.warnings.push({
-            title: 'Financial Terms Require Full Disclosure',
-            description: 'Provide complete disclosure of all terms, rates, and conditions (Truth in Lending Act).',
-            severity: 'high'
+        const saved = results.checkId ? await getCheck(results.checkId, WEB_UI) : null;
+        res.json({
+            results,
+            diff: saved ? diffChecks(original, saved) : null
         });
-    } else {
-        results.passedChecks++;
+    } catch (error) {
+        console.error('Error re-checking:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
+});
 
-    // Google: Government affiliation
-    if (platform === 'google' || platform === 'both') {
-        results.totalChecks++;
-        if (/government|official|approved by|certified by government/i.test(text)) {
-            results.criticalViolations++;
-            results.violations.push({
-                title: 'Misleading Government Affiliation (Google)',
-                description: 'Ad suggests government affiliation which is prohibited.',
-                severity: 'critical',
-                policy: 'Google Ads - Misrepresentation'
-            });
-        } else {
-            results.passedChecks++;
+app.get('/api/checks/:id/diff/:otherId', async (req, res) => {
+    try {
+        const [before, after] = await Promise.all([getCheck(req.params.id, WEB_UI), getCheck(req.params.otherId, WEB_UI)]);
+        if (!before || !after) {
+            return res.status(404).json({ error: 'Check not found' });
         }
+        res.json(diffChecks(before, after));
+    } catch (error) {
+        console.error('Error diffing checks:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
+});
 
-    // CTA check
-    results.totalChecks++;
-    const hasCTA = /contact|call|visit|book|register|enquire|inquire|schedule|apply|learn more/i.test(text);
-    if (hasCTA) {
-        results.passedChecks++;
-        results.passed.push({
-            title: '✅ Clear Call-to-Action Present',
-            description: 'Ad contains a clear call-to-action.'
-        });
-    } else {
-        results.warnings.push({
-            title: 'No Clear Call-to-Action',
-            description: 'Consider adding a CTA to improve performance.',
-            severity: 'low'
-        });
-    }
+// Waiving findings and changing review states need a reviewer key
+// (REVIEWER_KEYS, see lib/api-keys.js); the key's name is the reviewer
+if (!reviewerKeysConfigured()) {
+    console.warn('REVIEWER_KEYS is not set: waivers and review decisions are disabled');
 }
 
-function analyzeLandingPage(url, platform, pageContent, results) {
+// API endpoints for reviewer waivers: findings judged acceptable for an
+// advertiser (or one of its projects) until the waiver expires
+app.get('/api/waivers', async (req, res) => {
     try {
-        const urlObj = new URL(url);
-
-        // HTTPS check
-        results.totalChecks++;
-        if (urlObj.protocol !== 'https:') {
-            if (platform === 'google' || platform === 'both') {
-                results.criticalViolations++;
-                results.violations.push({
-                    title: '🚨 Insecure Landing Page - HTTPS Required',
-                    description: 'Google Ads REQUIRES HTTPS. Your URL uses HTTP which will be rejected.',
-                    severity: 'critical',
-                    policy: 'Google Ads - Landing Page Requirements'
-                });
-            } else {
-                results.warnings.push({
-                    title: 'Insecure Connection (HTTP)',
-                    description: 'HTTPS is strongly recommended.',
-                    severity: 'high'
-                });
-            }
-        } else {
-            results.passedChecks++;
-            results.passed.push({
-                title: '✅ Secure HTTPS Connection',
-                description: 'Landing page uses HTTPS protocol.'
-            });
-        }
+        res.json(await listWaivers({
+            advertiser: req.query.advertiser,
+            project: req.query.project,
+            includeInactive: req.query.includeInactive === 'true'
+        }));
+    } catch (error) {
+        console.error('Error listing waivers:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (pageContent && pageContent.success) {
-            // Contact Information
-            results.totalChecks++;
-            if (!pageContent.hasPhoneNumber && !pageContent.hasEmail && !pageContent.hasContactForm) {
-                results.criticalViolations++;
-                results.violations.push({
-                    title: '🚨 Missing Contact Information',
-                    description: 'Landing page MUST have contact information (phone, email, or form).',
-                    severity: 'critical',
-                    policy: 'Both platforms - Transparency'
-                });
-            } else {
-                results.passedChecks++;
-                let methods = [];
-                if (pageContent.hasPhoneNumber) methods.push('phone');
-                if (pageContent.hasEmail) methods.push('email');
-                if (pageContent.hasContactForm) methods.push('contact form');
-                results.passed.push({
-                    title: '✅ Contact Information Present',
-                    description: `Includes: ${methods.join(', ')}.`
-                });
-            }
+app.post('/api/waivers', requireReviewer, validateBody(SCHEMAS.waiver), async (req, res) => {
+    try {
+        const check = req.body.checkId ? await getCheck(req.body.checkId) : null;
+        res.status(201).json(await createWaiver(Object.assign({}, req.body, { reviewer: req.reviewer.name }), check));
+    } catch (error) {
+        if (error.code === 'INVALID_WAIVER') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        console.error('Error creating waiver:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            // Privacy Policy
-            results.totalChecks++;
-            if (!pageContent.hasPrivacyPolicy) {
-                if (platform === 'google' || platform === 'both') {
-                    results.criticalViolations++;
-                    results.violations.push({
-                        title: '🚨 Missing Privacy Policy (Google Required)',
-                        description: 'Google Ads REQUIRES a visible privacy policy link.',
-                        severity: 'critical',
-                        policy: 'Google Ads - Privacy Policy'
-                    });
-                } else {
-                    results.warnings.push({
-                        title: 'Privacy Policy Not Detected',
-                        description: 'Privacy policy highly recommended.',
-                        severity: 'high'
-                    });
-                }
-            } else {
-                results.passedChecks++;
-                results.passed.push({
-                    title: '✅ Privacy Policy Found',
-                    description: 'Landing page includes privacy policy.'
-                });
-            }
+app.post('/api/waivers/:id/revoke', requireReviewer, async (req, res) => {
+    try {
+        const waiver = await revokeWaiver(req.params.id, req.reviewer.name);
+        if (!waiver) {
+            return res.status(404).json({ error: 'Waiver not found' });
+        }
+        res.json(waiver);
+    } catch (error) {
+        if (error.code === 'ALREADY_REVOKED') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+        console.error('Error revoking waiver:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            // Content Quality
-            results.totalChecks++;
-            const wordCount = pageContent.bodyText.split(/\s+/).filter(w => w.length > 0).length;
-            if (wordCount < 100) {
-                results.warnings.push({
-                    title: 'Thin Content',
-                    description: `Very little content (${wordCount} words). Add more details.`,
-                    severity: 'high'
-                });
-            } else if (wordCount < 300) {
-                results.warnings.push({
-                    title: 'Limited Content',
-                    description: `Minimal content (${wordCount} words).`,
-                    severity: 'medium'
-                });
-            } else {
-                results.passedChecks++;
-                results.passed.push({
-                    title: '✅ Adequate Content',
-                    description: `${wordCount} words of content.`
-                });
-            }
+// API endpoints for a submission's review state (draft, in_review,
+// approved, rejected) and the reviewer actions that change it
+const REVIEW_ERROR_STATUS = { NOT_FOUND: 404, INVALID_REQUEST: 400, COMMENT_REQUIRED: 400, INVALID_TRANSITION: 409, OVERRIDE_REQUIRED: 409 };
 
-            // Images
-            results.totalChecks++;
-            if (pageContent.images === 0) {
-                results.warnings.push({
-                    title: 'No Images Found',
-                    description: 'Include high-quality property images.',
-                    severity: 'high'
-                });
-            } else if (pageContent.images < 3) {
-                results.warnings.push({
-                    title: 'Few Images',
-                    description: `Only ${pageContent.images} image(s). Add more.`,
-                    severity: 'medium'
-                });
-            } else {
-                results.passedChecks++;
-                results.passed.push({
-                    title: '✅ Images Present',
-                    description: `${pageContent.images} images found.`
-                });
-            }
+app.get('/api/submissions/:id/review', async (req, res) => {
+    try {
+        const review = await getReview(req.params.id);
+        if (!review) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+        res.json(review);
+    } catch (error) {
+        console.error('Error loading review:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            // Discriminatory content on page
-            results.totalChecks++;
-            const bodyTextLower = pageContent.bodyText.toLowerCase();
-            const foundDiscriminatory = POLICIES.fairHousing.prohibitedTerms.filter(term =>
-                bodyTextLower.includes(term.toLowerCase())
-            );
-
-            if (foundDiscriminatory.length > 0) {
-                results.criticalViolations++;
-                results.violations.push({
-                    title: '🚨 Discriminatory Content on Landing Page',
-                    description: `Found: "${foundDiscriminatory.join('", "')}". Violates Fair Housing Act.`,
-                    severity: 'critical',
-                    policy: 'Fair Housing Act § 3604(c)'
-                });
-            } else {
-                results.passedChecks++;
-                results.passed.push({
-                    title: '✅ No Discriminatory Content',
-                    description: 'Landing page complies with Fair Housing Act.'
-                });
-            }
+app.post('/api/submissions/:id/review', requireReviewer, validateBody(SCHEMAS.review), async (req, res) => {
+    try {
+        const latest = await getLatestCheck(req.params.id);
+        res.json(await transition(req.params.id, Object.assign({}, req.body, { reviewer: req.reviewer.name }), latest));
+    } catch (error) {
+        if (REVIEW_ERROR_STATUS[error.code]) {
+            return res.status(REVIEW_ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+        }
+        console.error('Error updating review:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            // Pricing
-            results.totalChecks++;
-            const hasPricing = /₹|rs\.?|inr|price|cost|starting from|\d+\s*lac|\d+\s*crore|\$\d+/i.test(pageContent.bodyText);
-            if (!hasPricing) {
-                results.warnings.push({
-                    title: 'No Pricing Information',
-                    description: 'Display pricing or price range for transparency.',
-                    severity: 'medium'
-                });
-            } else {
-                results.passedChecks++;
-                results.passed.push({
-                    title: '✅ Pricing Information Found',
-                    description: 'Includes pricing details.'
-                });
-            }
+// A bare array of ads or a CSV body is validated as { ads } or { csv }
+function batchBody(req, res, next) {
+    if (Array.isArray(req.body)) req.body = { ads: req.body };
+    else if (typeof req.body === 'string') req.body = { csv: req.body };
+    next();
+}
 
-        } else if (pageContent && pageContent.timeout) {
-            results.totalChecks++;
-            results.criticalViolations++;
-            results.violations.push({
-                title: '🚨 Page Load Timeout',
-                description: 'Page took >10 seconds. Target: <3 seconds.',
-                severity: 'critical',
-                policy: 'Both platforms - Page Experience'
-            });
-        } else if (pageContent && pageContent.error) {
-            results.totalChecks++;
-            results.criticalViolations++;
-            results.violations.push({
-                title: '🚨 Landing Page Not Accessible',
-                description: 'Unable to load landing page. Ad will be rejected.',
-                severity: 'critical'
-            });
-        }
+// API endpoint to check a whole campaign (CSV or JSON array of ads). When a
+// reviewer runs it, waivers of the `advertiser` (and `project`) given apply;
+// rows are not stored. At most MAX_BATCH_URLS distinct landing pages are
+// fetched per batch.
+app.post('/api/check-compliance/batch', fetchLimit, identifyReviewer, batchBody, validateBody(SCHEMAS.batch), async (req, res) => {
+    const defaultPlatform = req.query.platform || req.body.platform || 'both';
+    const defaultJurisdiction = req.query.jurisdiction || req.body.jurisdiction || '';
 
-    } catch (e) {
-        results.totalChecks++;
-        results.criticalViolations++;
-        results.violations.push({
-            title: '🚨 Invalid URL Format',
-            description: 'Invalid URL. Include https:// protocol.',
-            severity: 'critical'
-        });
+    let rows;
+    let approvalThreshold;
+    try {
+        rows = parseBatchInput(req.body, defaultPlatform, defaultJurisdiction);
+        approvalThreshold = parseThreshold(req.query.threshold || req.body.approvalThreshold);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
     }
-}
 
-function analyzeImage(imageInfo, platform, results) {
-    // File size
-    results.totalChecks++;
-    const maxSize = 5 * 1024 * 1024;
-    if (imageInfo.size > maxSize) {
-        results.warnings.push({
-            title: 'Large Image File',
-            description: `Image is ${Math.round(imageInfo.size / 1024 / 1024)}MB. Compress to <2MB.`,
-            severity: 'medium'
+    const urls = landingUrls(rows).length;
+    if (urls > MAX_BATCH_URLS) {
+        return res.status(400).json({
+            error: `A batch can fetch at most ${MAX_BATCH_URLS} distinct landing pages (this one has ${urls}); split the file`,
+            code: 'TOO_MANY_URLS'
         });
-    } else {
-        results.passedChecks++;
     }
 
-    // File type
-    results.totalChecks++;
-    const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-    if (!validTypes.includes(imageInfo.type)) {
-        results.violations.push({
-            title: 'Unsupported Image Format',
-            description: 'Use JPG, PNG, or WebP.',
-            severity: 'high'
-        });
-    } else {
-        results.passedChecks++;
-        results.passed.push({
-            title: '✅ Valid Image Format',
-            description: `Format (${imageInfo.type}) supported.`
+    try {
+        const waivers = await waiversFor(req, {
+            advertiser: req.query.advertiser || req.body.advertiser,
+            project: req.query.project || req.body.project
         });
+        const batch = await runBatch(rows, { approvalThreshold, waivers });
+
+        if (req.query.format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', 'attachment; filename="compliance-findings.csv"');
+            return res.send(findingsToCsv(batch.rows));
+        }
+
+        res.json(batch);
+    } catch (error) {
+        console.error('Error in batch compliance check:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
+});
 
-    // Meta image text policy
-    if (platform === 'meta' || platform === 'both') {
-        results.totalChecks++;
-        results.warnings.push({
-            title: 'Meta Image Text Policy (20% Rule)',
-            description: 'Ensure text in image is <20% of area. Use Meta Text Overlay Tool.',
-            severity: 'high'
-        });
+// Body parser failures (malformed JSON, bodies over the limit) as JSON errors
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request body is larger than ${error.limit} bytes`, code: 'PAYLOAD_TOO_LARGE' });
     }
-}
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+    }
+    if (error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ error: error.message, code: 'BAD_REQUEST' });
+    }
+    console.error('Unhandled error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+});
 
 // Serve the frontend
 app.get('/', (req, res) => {
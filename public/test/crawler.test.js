@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { crawlSite } = require('../lib/crawler');
+
+const START_URL = 'https://example.com/';
+const START_HTML = '<body><a href="/privacy">Privacy policy</a> <a href="/contact">Contact us</a></body>';
+
+// A fetch that serves the given pages and has no robots.txt
+function siteWith(pages) {
+    return async url => {
+        if (!(url in pages)) return { response: { status: 404, data: '' }, finalUrl: url, redirectChain: [] };
+        return { response: { status: 200, data: pages[url] }, finalUrl: url, redirectChain: [] };
+    };
+}
+
+test('key pages are judged by their visible text, not their markup', async () => {
+    const crawl = await crawlSite(START_URL, START_HTML, {
+        fetch: siteWith({
+            'https://example.com/privacy': `<html><head>
+                <meta name="description" content="How we collect personal data and use cookies">
+                <script>var cookies = collect(personalData);</script>
+                <style>.third-party-cookies { display: none; }</style>
+            </head><body><h1>Privacy</h1><p>Coming soon.</p></body></html>`,
+            'https://example.com/contact': '<html><body><h1>Contact</h1><img alt="office address"></body></html>'
+        })
+    });
+
+    assert.deepStrictEqual(crawl.pages.map(p => [p.kind, p.ok, p.contentValid]), [
+        ['privacy', true, false],
+        ['contact', true, false]
+    ]);
+    assert.strictEqual(crawl.verified.privacy, false);
+});
+
+test('key pages with the expected text or a contact form are verified', async () => {
+    const crawl = await crawlSite(START_URL, START_HTML, {
+        fetch: siteWith({
+            'https://example.com/privacy': '<html><body><p>We collect personal data and use cookies.</p></body></html>',
+            'https://example.com/contact': '<html><body><form action="/enquire"><input name="email"></form></body></html>'
+        })
+    });
+
+    assert.deepStrictEqual(crawl.verified, { privacy: true, terms: false, contact: true, pricing: false });
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsvRecords, toCsv } = require('../lib/csv');
+const { findingsToCsv } = require('../lib/batch');
+
+test('quotes fields with commas, quotes and line breaks', () => {
+    assert.strictEqual(toCsv(['a', 'b'], [['x,y', 'say "hi"\nthere']]), 'a,b\r\n"x,y","say ""hi""\nthere"\r\n');
+});
+
+test('round-trips quoted fields through the parser', () => {
+    const csv = toCsv(['id', 'ad_text'], [['1', 'Spacious, bright "corner" unit']]);
+    assert.deepStrictEqual(parseCsvRecords(csv), [{ id: '1', ad_text: 'Spacious, bright "corner" unit' }]);
+});
+
+test('prefixes formula-like cells so spreadsheets treat them as text', () => {
+    assert.strictEqual(toCsv(['v'], [['=HYPERLINK("http://x")'], ['+1'], ['-2+3'], ['@SUM(A1)'], ['\t=1']]),
+        'v\r\n"\'=HYPERLINK(""http://x"")"\r\n\'+1\r\n\'-2+3\r\n\'@SUM(A1)\r\n\'\t=1\r\n');
+    assert.strictEqual(toCsv(['v'], [['plain'], [42]]), 'v\r\nplain\r\n42\r\n');
+});
+
+test('the findings export escapes uploaded ids and URLs', () => {
+    const csv = findingsToCsv([{
+        row: 1,
+        id: '=cmd|\' /C calc\'!A0',
+        platform: 'meta',
+        landingUrl: '@evil',
+        results: { score: 100, approved: true, violations: [], warnings: [] }
+    }]);
+    const line = csv.split('\r\n')[1];
+    assert.ok(line.startsWith('1,\'=cmd|\' /C calc\'!A0,meta,\'@evil,100,true'), line);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findTerms, scanFairHousing, uniqueTerms } = require('../lib/fair-housing');
+
+function termsIn(text) {
+    const { prohibited, contextual } = scanFairHousing(text);
+    return { prohibited: uniqueTerms(prohibited), contextual: uniqueTerms(contextual) };
+}
+
+test('prohibited phrases are flagged with their offsets in the original text', () => {
+    const text = 'Spacious 2BHK, no kids. Perfect for newlyweds!';
+    const { prohibited } = scanFairHousing(text);
+    assert.deepStrictEqual(prohibited.map(m => [m.term, m.match, text.slice(m.start, m.end)]), [
+        ['no kids', 'no kids', 'no kids'],
+        ['perfect for newlyweds', 'Perfect for newlyweds', 'Perfect for newlyweds']
+    ]);
+});
+
+test('terms match only as whole words', () => {
+    ['Youngstown condos', 'Blackstone Towers', 'Whitefield 3BHK', 'Christiansen Street', 'Noah Kidson, agent']
+        .forEach(text => assert.deepStrictEqual(termsIn(text), { prohibited: [], contextual: [] }, text));
+});
+
+test('plural suffixes still match', () => {
+    assert.deepStrictEqual(termsIn('Seniors welcome').contextual, ['senior']);
+    assert.deepStrictEqual(termsIn('Ideal for married couples').prohibited, ['married couples']);
+});
+
+test('a term followed by a safe collocation is not flagged', () => {
+    ['Senior project manager on site', 'Call our senior sales team', 'White marble floors', 'Black granite countertops', 'Exclusive listing agent']
+        .forEach(text => assert.deepStrictEqual(termsIn(text), { prohibited: [], contextual: [] }, text));
+});
+
+test('a collocation only makes the term safe when it follows directly', () => {
+    assert.deepStrictEqual(termsIn('Senior community, project manager on site').contextual, ['senior']);
+    assert.deepStrictEqual(termsIn('White neighbourhood with marble floors').prohibited, ['white']);
+    assert.deepStrictEqual(termsIn('Exclusive community').contextual, ['exclusive']);
+});
+
+test('the longest overlapping term wins and is reported once', () => {
+    assert.deepStrictEqual(termsIn('Ideal for young professionals'), { prohibited: ['young professionals'], contextual: [] });
+    assert.deepStrictEqual(termsIn('Young families love the park'), { prohibited: [], contextual: ['young'] });
+});
+
+test('spacing and full-width letters do not hide a term', () => {
+    assert.deepStrictEqual(termsIn('No   kids, please').prohibited, ['no kids']);
+    assert.deepStrictEqual(termsIn('ｎｏ ｋｉｄｓ').prohibited, ['no kids']);
+});
+
+test('custom term lists and collocations can be passed in', () => {
+    const matches = findTerms('Quiet lane, quiet zone', ['quiet'], [{ terms: ['quiet'], followedBy: ['zone'] }]);
+    assert.deepStrictEqual(matches.map(m => m.start), [0]);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findTriggerTerms, checkDisclosures } = require('../lib/financial');
+
+function missing(text, jurisdictions = ['us', 'in']) {
+    return checkDisclosures(findTriggerTerms(text), jurisdictions, { adText: text })
+        .filter(requirement => !requirement.foundIn)
+        .map(requirement => `${requirement.jurisdiction}:${requirement.disclosure}`);
+}
+
+test('an EMI triggers the repayment terms disclosure', () => {
+    const text = 'EMI of Rs 25,000 at 8.5% APR';
+    assert.deepStrictEqual(findTriggerTerms(text).map(t => t.type), ['paymentAmount', 'rate']);
+    assert.ok(missing(text).includes('us:repaymentTerms'));
+    assert.ok(missing(text).includes('in:repaymentTerms'));
+});
+
+test('a period stated with the EMI counts as the repayment terms', () => {
+    ['EMI of Rs 25,000 for 20 years at 8.5% APR', 'EMI of Rs. 25,000 for 20 years at 8.5% APR', 'Just $1,500/month for 30 years. 6.5% APR',
+        'Monthly payments of $2,100 over 360 months, 7% APR'].forEach(text => {
+        assert.ok(!missing(text).some(key => key.endsWith(':repaymentTerms')), text);
+    });
+});
+
+test('a period in another sentence does not count as the repayment terms', () => {
+    assert.ok(missing('EMI of Rs 25,000 at 8.5% APR. Ready in 20 years').includes('us:repaymentTerms'));
+});
+
+test('a repayment period stated as a tenure counts', () => {
+    assert.ok(!missing('EMI of Rs 25,000, tenure of 20 years, 8.5% APR').includes('us:repaymentTerms'));
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const httpsRule = require('../rules/landing-page/https');
+const { extractPageContent } = require('../lib/page-fetcher');
+
+const LANDING_URL = 'https://example.com/offer';
+
+// As lib/page-fetcher.js builds it for the page a fetch ended on
+function fetchedPage(finalUrl) {
+    return Object.assign(extractPageContent('<html><body>Offer</body></html>', finalUrl), { finalUrl });
+}
+
+function evaluate(pageContent, platforms) {
+    return httpsRule.evaluate({ parsedUrl: new URL(LANDING_URL), pageContent, platforms });
+}
+
+test('an https landing URL that redirects to an http page is flagged', () => {
+    const pageContent = fetchedPage('http://example.com/offer');
+    assert.strictEqual(pageContent.protocol, 'http:');
+
+    const google = evaluate(pageContent, ['google']);
+    assert.strictEqual(google.status, 'fail');
+    assert.match(google.description, /redirects to an HTTP page \(http:\/\/example\.com\/offer\)/);
+
+    const meta = evaluate(pageContent, ['meta']);
+    assert.strictEqual(meta.status, 'warn');
+    assert.match(meta.description, /redirects to an HTTP page/);
+});
+
+test('an https final page passes', () => {
+    const pageContent = fetchedPage('https://www.example.com/offer');
+    assert.strictEqual(evaluate(pageContent, ['google']).status, 'pass');
+});
+
+test('without a fetched page the landing URL is judged', () => {
+    assert.strictEqual(evaluate(null, ['google']).status, 'pass');
+    assert.strictEqual(evaluate({ success: false }, ['google']).status, 'pass');
+    const plain = httpsRule.evaluate({ parsedUrl: new URL('http://example.com/'), pageContent: null, platforms: ['google'] });
+    assert.strictEqual(plain.status, 'fail');
+});
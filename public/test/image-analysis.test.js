@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PNG } = require('pngjs');
+const { analyzeImageBuffer, measureImage } = require('../lib/image-analysis');
+
+// 5 x 7 glyphs, enough to set a line of capitals
+const GLYPHS = {
+    A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+    E: ['11111', '10000', '11110', '10000', '10000', '10000', '11111'],
+    H: ['10001', '10001', '11111', '10001', '10001', '10001', '10001'],
+    L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+    O: ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+    S: ['01111', '10000', '01110', '00001', '00001', '10001', '01110'],
+    T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+    ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000']
+};
+
+function image(width, height, shade) {
+    const png = new PNG({ width, height });
+    for (let i = 0; i < width * height; i++) {
+        png.data.fill(shade(i % width, Math.floor(i / width)), i * 4, i * 4 + 3);
+        png.data[i * 4 + 3] = 255;
+    }
+    return png;
+}
+
+function write(png, text, left, top, scale) {
+    [...text].forEach((ch, k) => GLYPHS[ch].forEach((row, gy) => [...row].forEach((bit, gx) => {
+        if (bit !== '1') return;
+        for (let dy = 0; dy < scale; dy++) {
+            for (let dx = 0; dx < scale; dx++) {
+                const i = ((top + gy * scale + dy) * png.width + left + (k * 6 + gx) * scale + dx) * 4;
+                png.data.fill(0, i, i + 3);
+            }
+        }
+    })));
+}
+
+// Repeatable pseudo-random grey levels
+function noise(seed = 1) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return Math.floor(seed / 0x7fffffff * 256);
+    };
+}
+
+function textImage() {
+    const png = image(600, 600, () => 255);
+    for (let line = 0; line < 5; line++) write(png, 'HOT SALE AT THE LOTS', 20, 300 + line * 40, 4);
+    return PNG.sync.write(png);
+}
+
+test('lines of text are detected and boxed', () => {
+    const analysis = analyzeImageBuffer(textImage(), 'image/png');
+    assert.strictEqual(analysis.textDetection, 'measured');
+    assert.ok(analysis.textCoverage > 5 && analysis.textCoverage < 40, String(analysis.textCoverage));
+    assert.ok(analysis.textBoxes.length > 0);
+    analysis.textBoxes.forEach(box => assert.ok(box.y >= 280, JSON.stringify(box)));
+});
+
+test('random noise is not mistaken for text', () => {
+    const shade = noise();
+    const analysis = analyzeImageBuffer(PNG.sync.write(image(600, 600, shade)), 'image/png');
+    assert.strictEqual(analysis.textDetection, 'measured');
+    assert.strictEqual(analysis.textCoverage, 0);
+    assert.deepStrictEqual(analysis.textBoxes, []);
+});
+
+test('only the header is read when text is not measured', () => {
+    const analysis = analyzeImageBuffer(textImage(), 'image/png', { measureText: false });
+    assert.deepStrictEqual([analysis.width, analysis.height, analysis.textDetection], [600, 600, 'unsupported']);
+});
+
+test('measureImage analyses in a worker and shares the result for the same bytes', async () => {
+    const data = `data:image/png;base64,${textImage().toString('base64')}`;
+    const [first, second] = await Promise.all([
+        measureImage({ data, type: 'image/png' }),
+        measureImage({ data, type: 'image/png' })
+    ]);
+
+    assert.deepStrictEqual(first, analyzeImageBuffer(textImage(), 'image/png'));
+    assert.deepStrictEqual(second, first);
+    assert.notStrictEqual(second, first);
+    assert.strictEqual(await measureImage({ type: 'image/png' }), null);
+    assert.strictEqual(await measureImage(null), null);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractFacts, compareFacts } = require('../lib/message-match');
+
+const AD = 'Luxury 3BHK at Green Valley Heights from ₹45 lac, 20% off';
+
+function page(bodyText) {
+    return { success: true, title: 'Green Valley Heights', metaDescription: '', bodyText };
+}
+
+function statuses(comparisons) {
+    return comparisons.map(c => [c.fact.kind, c.fact.display, c.status]);
+}
+
+test('the facts of the ad are extracted', () => {
+    const facts = extractFacts(AD);
+    assert.deepStrictEqual(facts.prices.map(p => [p.currency, p.value, p.display]), [['INR', 4500000, '₹45 lac']]);
+    assert.deepStrictEqual(facts.configurations.map(c => c.display), ['3 BHK']);
+    assert.deepStrictEqual(facts.offers.map(o => o.key), ['20% off']);
+    assert.deepStrictEqual(facts.projects.map(p => p.display), ['Green Valley Heights']);
+});
+
+test('adjectives that start a name are kept, marketing adjectives dropped', () => {
+    const names = text => extractFacts(text).projects.map(p => p.display);
+    assert.deepStrictEqual(names('Green Valley Heights 3BHK, ready to move'), ['Green Valley Heights']);
+    assert.deepStrictEqual(names('Luxury Sunrise Heights: 3BHK from 45 lac'), ['Sunrise Heights']);
+    assert.deepStrictEqual(names('Our Luxury Sunrise Heights'), ['Sunrise Heights']);
+    assert.deepStrictEqual(names('Spacious homes at Premium Park'), ['Premium Park']);
+});
+
+test('a page that repeats the offer confirms every fact', () => {
+    const { comparisons } = compareFacts(AD, page('3BHK apartments at Green Valley Heights from ₹45 lac. Flat 20% off this month.'));
+    assert.ok(comparisons.length > 0);
+    comparisons.forEach(c => assert.strictEqual(c.status, 'matched', c.fact.display));
+});
+
+test('a different price, configuration and offer on the page are contradictions', () => {
+    const { comparisons } = compareFacts(AD, page('2BHK apartments at Green Valley Heights from ₹52 lac. 10% off for early buyers.'));
+    assert.deepStrictEqual(statuses(comparisons), [
+        ['price', '₹45 lac', 'contradicted'],
+        ['configuration', '3 BHK', 'contradicted'],
+        ['offer', '20% off', 'contradicted'],
+        ['project', 'Green Valley Heights', 'matched']
+    ]);
+});
+
+test('ad facts the page never mentions are missing', () => {
+    const { comparisons } = compareFacts(AD, { success: true, title: 'Valley Heights', bodyText: 'Homes for every family.' });
+    assert.deepStrictEqual(statuses(comparisons).map(s => s[2]), ['missing', 'missing', 'missing', 'missing']);
+});
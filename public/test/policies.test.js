@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { POLICIES } = require('../lib/policies');
+const { SUBSTITUTIONS } = require('../lib/substitutions');
+
+const { prohibitedTerms, contextTerms, safeCollocations } = POLICIES.fairHousing;
+
+test('Fair Housing terms are lowercase and listed once', () => {
+    const terms = prohibitedTerms.concat(contextTerms);
+    terms.forEach(term => assert.strictEqual(term, term.toLowerCase().trim(), term));
+    assert.strictEqual(new Set(terms).size, terms.length);
+});
+
+test('every Fair Housing term has a compliant substitution', () => {
+    prohibitedTerms.concat(contextTerms)
+        .forEach(term => assert.ok((SUBSTITUTIONS[term] || []).length > 0, term));
+});
+
+test('safe collocations only name listed terms', () => {
+    const terms = new Set(prohibitedTerms.concat(contextTerms));
+    safeCollocations.forEach(entry => {
+        entry.terms.forEach(term => assert.ok(terms.has(term), term));
+        assert.ok(entry.followedBy.length > 0);
+    });
+});
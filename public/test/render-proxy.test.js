@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startRenderProxy } = require('../lib/render-proxy');
+
+// The guard is off when ALLOW_PRIVATE_NETWORK is set for development
+delete process.env.ALLOW_PRIVATE_NETWORK;
+
+let proxy;
+let site;
+
+test.before(async () => {
+    proxy = await startRenderProxy();
+    site = http.createServer((req, res) => res.end('local page'));
+    await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+});
+
+test.after(() => {
+    proxy.close();
+    site.close();
+});
+
+function viaProxy(path, method = 'GET') {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: proxy.address().port, method, path });
+        req.on('connect', (res, socket) => {
+            socket.destroy();
+            resolve({ status: res.statusCode });
+        });
+        req.on('response', res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+test('refuses to forward requests to private addresses', async () => {
+    const { status } = await viaProxy(`http://127.0.0.1:${site.address().port}/`);
+    assert.strictEqual(status, 403);
+});
+
+test('refuses tunnels to private addresses, by address or by name', async () => {
+    assert.strictEqual((await viaProxy(`127.0.0.1:${site.address().port}`, 'CONNECT')).status, 403);
+    assert.strictEqual((await viaProxy(`localhost:${site.address().port}`, 'CONNECT')).status, 403);
+    assert.strictEqual((await viaProxy('169.254.169.254:80', 'CONNECT')).status, 403);
+});
+
+test('refuses schemes other than http', async () => {
+    assert.strictEqual((await viaProxy('ftp://example.com/')).status, 403);
+});
+
+test('forwards and tunnels when private addresses are allowed', async () => {
+    process.env.ALLOW_PRIVATE_NETWORK = 'true';
+    try {
+        const forwarded = await viaProxy(`http://127.0.0.1:${site.address().port}/`);
+        assert.deepStrictEqual(forwarded, { status: 200, body: 'local page' });
+        assert.strictEqual((await viaProxy(`127.0.0.1:${site.address().port}`, 'CONNECT')).status, 200);
+    } finally {
+        delete process.env.ALLOW_PRIVATE_NETWORK;
+    }
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSuggestions, rewriteText } = require('../lib/rewrites');
+const { checkCompliance } = require('../lib/compliance');
+
+function matchesIn(text, terms) {
+    return withSuggestions(terms.map(term => {
+        const start = text.toLowerCase().indexOf(term);
+        return { term, match: text.slice(start, start + term.length), start, end: start + term.length };
+    }));
+}
+
+test('single words are suggested but never rewritten in place', () => {
+    const text = 'Villa near the Hindu temple, white marble floors';
+    const matches = matchesIn(text, ['hindu', 'white']);
+    assert.deepStrictEqual(matches.map(m => m.suggestions[0]), ['Near places of worship', 'welcoming neighbourhood']);
+    assert.strictEqual(rewriteText(text, matches), text);
+});
+
+test('clause phrases are rewritten only where they stand alone', () => {
+    const alone = 'Spacious 2BHK, no bachelors.';
+    assert.strictEqual(rewriteText(alone, matchesIn(alone, ['no bachelors'])), 'Spacious 2BHK, all applicants welcome.');
+
+    const inSentence = 'No bachelors allowed in this society';
+    assert.strictEqual(rewriteText(inSentence, matchesIn(inSentence, ['no bachelors'])), inSentence);
+});
+
+test('descriptive phrases are rewritten anywhere', () => {
+    const text = 'Selling fast: towers in a private community';
+    assert.strictEqual(rewriteText(text, matchesIn(text, ['selling fast', 'private community'])), 'Now booking: towers in a gated community');
+});
+
+test('claims are not swapped for other claims', () => {
+    const text = 'Award-winning towers';
+    const matches = matchesIn(text, ['award-winning']);
+    assert.strictEqual(rewriteText(text, matches), text);
+    assert.ok(matches[0].suggestions.every(s => !/award|acclaimed/i.test(s)));
+});
+
+test('the headline familial status phrase is rewritten where it stands alone', () => {
+    const text = 'Sunny 1BHK near the metro, perfect for newlyweds.';
+    assert.strictEqual(rewriteText(text, matchesIn(text, ['perfect for newlyweds'])), 'Sunny 1BHK near the metro, ideal starter home.');
+});
+
+test('the rewrite is re-checked and its remaining findings reported', () => {
+    const clean = checkCompliance({ adText: 'Sunny 1BHK near the metro, no kids. Call today.', platform: 'meta', jurisdiction: 'us' });
+    assert.strictEqual(clean.rewrittenAdText, 'Sunny 1BHK near the metro, quiet residential setting. Call today.');
+    assert.deepStrictEqual(clean.rewriteFindings, []);
+
+    const flagged = checkCompliance({ adText: 'Award-winning 1BHK, no kids. Call today.', platform: 'meta', jurisdiction: 'us' });
+    assert.strictEqual(flagged.rewrittenAdText, 'Award-winning 1BHK, quiet residential setting. Call today.');
+    assert.deepStrictEqual(flagged.rewriteFindings.map(f => f.ruleId), ['unsubstantiated-claims']);
+});
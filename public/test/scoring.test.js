@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadModel, scoreResults, parseThreshold } = require('../lib/scoring');
+
+// Weights as in config/scoring.json: critical 10, high 5, medium 3, low 1;
+// a warning loses half of a check's weight, a failure all of it
+const config = loadModel(null);
+
+function results(rules, violations = []) {
+    return { rules, violations, warnings: [] };
+}
+
+test('a clean run scores 100 and is approved', () => {
+    const scored = scoreResults(results([
+        { id: 'a', target: 'adText', severity: 'critical', status: 'pass' },
+        { id: 'b', target: 'landingPage', severity: 'high', status: 'pass' }
+    ]), { config });
+    assert.strictEqual(scored.score, 100);
+    assert.strictEqual(scored.approved, true);
+    assert.deepStrictEqual(scored.scoring.explanation, []);
+});
+
+test('info notices are not scored', () => {
+    const rules = [{ id: 'a', target: 'adText', severity: 'high', status: 'pass' }];
+    const withNotice = rules.concat({ id: 'notice', target: 'adText', severity: 'info', status: 'fail' });
+
+    const scored = scoreResults(results(withNotice), { config });
+    assert.deepStrictEqual(scored, scoreResults(results(rules), { config }));
+    assert.strictEqual(scored.subScores.copy.checks, 1);
+});
+
+test('every check is counted once, whatever lists its finding is in', () => {
+    // copy: 10 + 5 points, the high check failed: 10 / 15 kept
+    const rules = [
+        { id: 'a', target: 'adText', severity: 'critical', status: 'pass' },
+        { id: 'b', target: 'adText', severity: 'high', status: 'fail' }
+    ];
+    const finding = { ruleId: 'b', severity: 'high' };
+    const scored = scoreResults({ rules, violations: [finding], warnings: [finding] }, { config });
+
+    assert.deepStrictEqual(scored.subScores.copy, { label: 'Ad copy', score: 67, weight: 0.4, checks: 2, points: 15 });
+    assert.strictEqual(scored.score, 67);
+    assert.deepStrictEqual(scored.scoring.explanation.map(e => [e.ruleId, e.impact]), [['b', -33.3]]);
+    assert.deepStrictEqual(scored.scoring.blockedBy, ['b']);
+});
+
+test('the overall score is the weighted mean of the categories that ran', () => {
+    // copy 100 (weight 0.4), landing page 50 (weight 0.4), no creative
+    const scored = scoreResults(results([
+        { id: 'a', target: 'adText', severity: 'medium', status: 'pass' },
+        { id: 'b', target: 'landingPage', severity: 'medium', status: 'warn' }
+    ]), { config });
+    assert.deepStrictEqual(Object.keys(scored.subScores), ['copy', 'landingPage']);
+    assert.strictEqual(scored.score, 75);
+    assert.deepStrictEqual(scored.scoring.explanation.map(e => e.impact), [-25]);
+});
+
+test('the approval threshold can be set per request', () => {
+    const run = results([
+        { id: 'a', target: 'adText', severity: 'medium', status: 'pass' },
+        { id: 'b', target: 'adText', severity: 'low', status: 'warn' }
+    ]);
+    // 3.5 of 4 points kept: 88
+    assert.strictEqual(scoreResults(run, { config }).score, 88);
+    assert.strictEqual(scoreResults(run, { config }).approved, true);
+
+    const strict = scoreResults(run, { config, threshold: 90 });
+    assert.strictEqual(strict.approved, false);
+    assert.strictEqual(strict.scoring.threshold, 90);
+    assert.strictEqual(scoreResults(run, { config, threshold: 0 }).scoring.threshold, 0);
+});
+
+test('thresholds outside 0-100 are rejected', () => {
+    assert.strictEqual(parseThreshold(undefined), undefined);
+    assert.strictEqual(parseThreshold(''), undefined);
+    assert.strictEqual(parseThreshold('75'), 75);
+    assert.throws(() => parseThreshold(101), /0 to 100/);
+    assert.throws(() => parseThreshold('high'), /0 to 100/);
+});
+
+test('a SCORING_CONFIG override is merged over the defaults section by section', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-'));
+    const file = path.join(dir, 'scoring.json');
+    fs.writeFileSync(file, JSON.stringify({
+        severityWeights: { low: 4 },
+        approval: { minScore: 60 },
+        ruleWeights: { 'call-to-action': 0 }
+    }));
+
+    try {
+        const merged = loadModel(file);
+        assert.deepStrictEqual(merged.severityWeights, { critical: 10, high: 5, medium: 3, low: 4 });
+        assert.deepStrictEqual(merged.approval, { minScore: 60, blockingSeverities: ['critical', 'high'] });
+        assert.deepStrictEqual(merged.ruleWeights, { 'guaranteed-returns': 2, 'call-to-action': 0 });
+        assert.deepStrictEqual(merged.categories, config.categories);
+
+        const scored = scoreResults(results([
+            { id: 'call-to-action', target: 'adText', severity: 'low', status: 'fail' },
+            { id: 'b', target: 'adText', severity: 'low', status: 'warn' }
+        ]), { config: merged });
+        assert.strictEqual(scored.subScores.copy.checks, 1);
+        assert.strictEqual(scored.score, 50);
+        assert.strictEqual(scored.scoring.threshold, 60);
+
+        fs.writeFileSync(file, JSON.stringify({ categories: { copy: { label: 'Copy' } } }));
+        assert.throws(() => loadModel(file), /needs targets and a weight/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyWaivers } = require('../lib/waivers');
+
+function results() {
+    return {
+        violations: [{
+            ruleId: 'fair-housing-language',
+            severity: 'critical',
+            description: 'Found prohibited discriminatory terms: "adults only".',
+            matches: [{ term: 'adults only', match: 'Adults only' }]
+        }],
+        warnings: [{ ruleId: 'call-to-action', severity: 'low', description: 'Consider adding a CTA to improve performance.' }],
+        waived: [],
+        rules: [{ id: 'fair-housing-language', status: 'fail' }, { id: 'call-to-action', status: 'warn' }],
+        criticalViolations: 1
+    };
+}
+
+test('a waiver without terms or a finding does not cover the rule', () => {
+    const waived = applyWaivers(results(), [
+        { ruleId: 'fair-housing-language', terms: null, findingDescription: null },
+        { ruleId: 'call-to-action', terms: null, findingDescription: null }
+    ]);
+    assert.strictEqual(waived.violations.length, 1);
+    assert.strictEqual(waived.warnings.length, 1);
+    assert.strictEqual(waived.waived.length, 0);
+});
+
+test('a critical finding is waived only for the terms it matched', () => {
+    const other = applyWaivers(results(), [{ ruleId: 'fair-housing-language', terms: ['senior'] }]);
+    assert.strictEqual(other.violations.length, 1);
+
+    const waived = applyWaivers(results(), [{ ruleId: 'fair-housing-language', terms: ['adults only'] }]);
+    assert.strictEqual(waived.violations.length, 0);
+    assert.strictEqual(waived.criticalViolations, 0);
+    assert.strictEqual(waived.rules[0].status, 'waived');
+});
+
+test('a finding without terms is waived only when it is the same finding', () => {
+    const description = 'Consider adding a CTA to improve performance.';
+    const same = applyWaivers(results(), [{ ruleId: 'call-to-action', terms: null, findingDescription: description }]);
+    assert.deepStrictEqual(same.waived.map(f => f.ruleId), ['call-to-action']);
+
+    const changed = applyWaivers(results(), [{ ruleId: 'call-to-action', terms: null, findingDescription: 'Something else.' }]);
+    assert.strictEqual(changed.warnings.length, 1);
+});
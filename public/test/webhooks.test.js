@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { SIGNATURE_HEADER, signPayload, verifySignature, deliverWebhook } = require('../lib/webhooks');
+
+// The guard is off when ALLOW_PRIVATE_NETWORK is set for development
+delete process.env.ALLOW_PRIVATE_NETWORK;
+
+const SECRET = 'whsec-test-0123456789';
+const BODY = JSON.stringify({ id: 'abc', event: 'check.completed', data: { job: { id: 'job1' } } });
+const NOW = 1700000000000;
+const TIMESTAMP = NOW / 1000;
+
+test('signatures carry the timestamp and an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const header = signPayload(BODY, SECRET, TIMESTAMP);
+    assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+    assert.strictEqual(header, signPayload(BODY, SECRET, TIMESTAMP));
+    assert.notStrictEqual(header, signPayload(BODY, SECRET, TIMESTAMP + 1));
+});
+
+test('a signature verifies only for the same body and secret', () => {
+    const header = signPayload(BODY, SECRET, TIMESTAMP);
+    assert.strictEqual(verifySignature(BODY, header, SECRET, { now: NOW }), true);
+    assert.strictEqual(verifySignature(BODY.replace('job1', 'job2'), header, SECRET, { now: NOW }), false);
+    assert.strictEqual(verifySignature(BODY, header, 'another-secret-0123456789', { now: NOW }), false);
+});
+
+test('signatures outside the tolerance window are rejected', () => {
+    const header = signPayload(BODY, SECRET, TIMESTAMP);
+    assert.strictEqual(verifySignature(BODY, header, SECRET, { now: NOW + 299 * 1000 }), true);
+    assert.strictEqual(verifySignature(BODY, header, SECRET, { now: NOW + 301 * 1000 }), false);
+    assert.strictEqual(verifySignature(BODY, header, SECRET, { now: NOW - 301 * 1000 }), false);
+    assert.strictEqual(verifySignature(BODY, header, SECRET, { now: NOW + 3600 * 1000, toleranceSeconds: 3600 }), true);
+});
+
+test('malformed signature headers are rejected', () => {
+    const digest = signPayload(BODY, SECRET, TIMESTAMP).split('v1=')[1];
+    [undefined, '', 'garbage', `v1=${digest}`, 't=1700000000', `t=soon,v1=${digest}`, `t=1700000000,v1=${digest.slice(2)}`]
+        .forEach(header => assert.strictEqual(verifySignature(BODY, header, SECRET, { now: NOW }), false, String(header)));
+});
+
+test('delivered webhooks verify against the raw body received', async () => {
+    let received;
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received = { body, signature: req.headers[SIGNATURE_HEADER.toLowerCase()] };
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    process.env.ALLOW_PRIVATE_NETWORK = 'true';
+    try {
+        const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+        const outcome = await deliverWebhook(url, 'check.completed', { job: { id: 'job1' } }, { secret: SECRET, maxAttempts: 1 });
+        assert.strictEqual(outcome.delivered, true);
+        assert.strictEqual(verifySignature(received.body, received.signature, SECRET), true);
+        assert.strictEqual(JSON.parse(received.body).id, outcome.id);
+    } finally {
+        delete process.env.ALLOW_PRIVATE_NETWORK;
+        receiver.close();
+    }
+});